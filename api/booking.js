@@ -0,0 +1,11 @@
+const { Resend } = require('resend');
+const { createClient } = require('@supabase/supabase-js');
+const { createBookingHandler } = require('../lib/booking-handler');
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+module.exports = createBookingHandler({ supabase, resend, bucket: 'piano-quotes', privateBucket: 'piano-quote-files' });
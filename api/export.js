@@ -0,0 +1,68 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../lib/auth');
+const { exportSchema, validate } = require('../lib/validation');
+const { streamExport } = require('../lib/export');
+const { getTenant, defaultTenant } = require('../lib/tenants');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  const { value: filters, errors } = validate(exportSchema, req.query);
+  const tenant = filters.tenant ? getTenant(filters.tenant) : defaultTenant();
+  if (!tenant) {
+    errors.push({ field: 'tenant', message: 'Unknown tenant' });
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push({ field: 'to', message: 'Must be on or after the from date' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid export filters',
+      fields: errors
+    });
+  }
+
+  try {
+    const count = await streamExport(res, supabase, {
+      tenantId: tenant.id,
+      from: filters.from,
+      to: filters.to,
+      dateField: filters.dateField,
+      statuses: filters.status ? filters.status.split(',').map(status => status.trim()) : [],
+      pianoType: filters.pianoType,
+      area: filters.area,
+    }, {
+      format: filters.format,
+      filename: `quotes-${tenant.id}-${new Date().toISOString().slice(0, 10)}`,
+    });
+
+    console.log(`Exported ${count} quotes for ${tenant.id} as ${filters.format}`);
+
+  } catch (error) {
+    console.error('API error:', error);
+    if (res.headersSent) {
+      return;
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
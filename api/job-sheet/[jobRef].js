@@ -0,0 +1,44 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../../lib/auth');
+const { normaliseJobRef } = require('../../lib/job-ref');
+const { verifyJobSheetLink, jobSheetUrl } = require('../../lib/file-links');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const bucket = 'piano-quote-files';
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const jobRef = normaliseJobRef(req.query.jobRef);
+  if (!jobRef) {
+    return res.status(400).json({ error: 'Invalid job reference' });
+  }
+
+  if (!isAuthorised(req)) {
+    const link = verifyJobSheetLink({ jobRef, exp: req.query.exp, sig: req.query.sig });
+    if (!link.valid) {
+      return res.status(401).json({ error: link.reason });
+    }
+  }
+
+  try {
+    const { data: url, error } = await jobSheetUrl(supabase, bucket, jobRef);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Location', url);
+    return res.status(302).end();
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,81 @@
+const { Resend } = require('resend');
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../lib/auth');
+const { normaliseJobRef } = require('../lib/job-ref');
+const { JOB_STATUSES, listJobs, retryJob, runJobs } = require('../lib/outbox');
+const { createQuoteJobHandlers, alertJobFailed } = require('../lib/quote-jobs');
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const jobHandlers = createQuoteJobHandlers({ supabase, resend, bucket: 'piano-quotes', privateBucket: 'piano-quote-files' });
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const status = req.query.status || 'failed';
+      if (status !== 'all' && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid job status', allowed: [...JOB_STATUSES, 'all'] });
+      }
+
+      const jobRef = req.query.jobRef ? normaliseJobRef(req.query.jobRef) : null;
+      if (req.query.jobRef && !jobRef) {
+        return res.status(400).json({ error: 'Invalid job reference' });
+      }
+
+      const { data: jobs, error } = await listJobs(supabase, { status, jobRef });
+      if (error) {
+        console.error('Job list error:', error);
+        throw new Error('Failed to load jobs');
+      }
+
+      return res.status(200).json({ status, jobs });
+    }
+
+    const id = Number(req.body && req.body.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Invalid job id' });
+    }
+
+    const { data: job, error: retryError } = await retryJob(supabase, id);
+    if (retryError) {
+      console.error('Job retry error:', retryError);
+      throw new Error('Failed to retry job');
+    }
+    if (!job) {
+      return res.status(409).json({ error: 'Only failed jobs can be retried' });
+    }
+
+    console.log(`Job ${job.kind} for ${job.job_ref} queued for retry`);
+
+    const summary = await runJobs(supabase, jobHandlers, {
+      jobRef: job.job_ref,
+      onFailed: failed => alertJobFailed(resend, failed)
+    });
+
+    return res.status(200).json({ success: true, job, summary });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,38 @@
+const { Resend } = require('resend');
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../../lib/auth');
+const { runJobs } = require('../../lib/outbox');
+const { createQuoteJobHandlers, alertJobFailed } = require('../../lib/quote-jobs');
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const jobHandlers = createQuoteJobHandlers({ supabase, resend, bucket: 'piano-quotes', privateBucket: 'piano-quote-files' });
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req) && !isAuthorised(req, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  try {
+    const summary = await runJobs(supabase, jobHandlers, {
+      batchSize: 20,
+      maxRounds: 10,
+      onFailed: job => alertJobFailed(resend, job)
+    });
+
+    console.log('Job run:', summary);
+    return res.status(200).json(summary);
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,85 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../lib/auth');
+const { subjectSchema, erasureSchema, validate } = require('../lib/validation');
+const { exportSubjectData, eraseSubject } = require('../lib/privacy');
+const { getTenant, defaultTenant } = require('../lib/tenants');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const buckets = { bucket: 'piano-quotes', privateBucket: 'piano-quote-files' };
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  const { value: request, errors } = validate(req.method === 'GET' ? subjectSchema : erasureSchema, req.method === 'GET' ? req.query : req.body);
+  const tenant = request.tenant ? getTenant(request.tenant) : defaultTenant();
+  if (!tenant) {
+    errors.push({ field: 'tenant', message: 'Unknown tenant' });
+  }
+  if (!request.email && !request.phone && !errors.some(error => error.field === 'email' || error.field === 'phone')) {
+    errors.push({ field: 'email', message: 'Give an email address, a phone number or both' });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid data subject request',
+      fields: errors
+    });
+  }
+
+  const subject = { tenantId: tenant.id, email: request.email, phone: request.phone };
+
+  try {
+    if (req.method === 'GET') {
+      const { data: bundle, error } = await exportSubjectData(supabase, buckets, subject, { requestedBy: request.requestedBy });
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      console.log(`Personal data export of ${bundle.quotes.length} quotes by ${request.requestedBy}`);
+
+      res.setHeader('Content-Disposition', `attachment; filename="personal-data-${bundle.generatedAt.slice(0, 10)}.json"`);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json(bundle);
+    }
+
+    const { data: erased, error } = await eraseSubject(supabase, buckets, subject, {
+      mode: request.mode,
+      requestedBy: request.requestedBy,
+      reason: request.reason,
+    });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.log(`Erased (${erased.mode}) ${erased.jobRefs.length} quotes and ${erased.objects} files by ${request.requestedBy}`);
+
+    return res.status(200).json({
+      success: true,
+      mode: erased.mode,
+      jobRefs: erased.jobRefs,
+      filesRemoved: erased.objects
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,39 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../../lib/auth');
+const { purgeExpiredQuotes } = require('../../lib/privacy');
+const { listTenants } = require('../../lib/tenants');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const buckets = { bucket: 'piano-quotes', privateBucket: 'piano-quote-files' };
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req) && !isAuthorised(req, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  try {
+    const tenants = [];
+    for (const tenant of listTenants()) {
+      const { data: purged, error } = await purgeExpiredQuotes(supabase, buckets, tenant);
+      if (error) {
+        throw new Error(`${error.message} for ${tenant.id}`);
+      }
+      tenants.push({ tenant: tenant.id, purged: purged.jobRefs.length, filesRemoved: purged.objects });
+    }
+
+    console.log('Retention run:', tenants);
+    return res.status(200).json({ tenants });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,55 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../../lib/auth');
+const { normaliseJobRef } = require('../../lib/job-ref');
+const { serialiseQuote } = require('../../lib/quotes');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  const jobRef = normaliseJobRef(req.query.jobRef);
+  if (!jobRef) {
+    return res.status(400).json({ error: 'Invalid job reference' });
+  }
+
+  try {
+    const { data: row, error } = await supabase
+      .from('quotes')
+      .select('*')
+      .eq('job_ref', jobRef)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Quote lookup error:', error);
+      throw new Error('Failed to load quote');
+    }
+
+    if (!row) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    return res.status(200).json(serialiseQuote(row));
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,39 @@
+const { Resend } = require('resend');
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../lib/auth');
+const { sendScheduledEmails } = require('../lib/reminders');
+const { listTenants } = require('../lib/tenants');
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req) && !isAuthorised(req, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  try {
+    const tenants = [];
+    for (const tenant of listTenants()) {
+      const { data: sent, error } = await sendScheduledEmails(supabase, resend, tenant);
+      if (error) {
+        throw new Error(`${error.message} for ${tenant.id}`);
+      }
+      tenants.push(sent);
+    }
+
+    console.log('Scheduled emails:', tenants);
+    return res.status(200).json({ tenants });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
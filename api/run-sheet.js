@@ -0,0 +1,127 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isAuthorised } = require('../lib/auth');
+const { normaliseJobRef } = require('../lib/job-ref');
+const { runSheetSchema, validate } = require('../lib/validation');
+const { loadPlanningDay, assignCrew, pianoNeeds } = require('../lib/crews');
+const { generateRunSheetPDF } = require('../lib/run-sheet');
+const { getTenant, defaultTenant, storagePath } = require('../lib/tenants');
+const { signedFileUrl } = require('../lib/file-links');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const bucket = 'piano-quote-files';
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorised(req)) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const tenant = req.query.tenant ? getTenant(req.query.tenant) : defaultTenant();
+      if (!tenant) {
+        return res.status(400).json({ error: 'Unknown tenant' });
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '')) {
+        return res.status(400).json({ error: 'Use the format YYYY-MM-DD for the date' });
+      }
+
+      const { data: day, error } = await loadPlanningDay(supabase, tenant.id, req.query.date);
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      return res.status(200).json({ tenant: tenant.id, ...day });
+    }
+
+    const { value: plan, errors } = validate(runSheetSchema, req.body);
+    const tenant = plan.tenant ? getTenant(plan.tenant) : defaultTenant();
+    if (!tenant) {
+      errors.push({ field: 'tenant', message: 'Unknown tenant' });
+    }
+
+    const jobRefs = (plan.jobRefs || []).map(normaliseJobRef);
+    if (new Set(jobRefs).size !== jobRefs.length) {
+      errors.push({ field: 'jobRefs', message: 'Each job can only appear once' });
+    }
+    if (plan.jobRefs && jobRefs.length === 0) {
+      errors.push({ field: 'jobRefs', message: 'Choose at least one job' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid run sheet',
+        fields: errors
+      });
+    }
+
+    const { data: assigned, error: assignError } = await assignCrew(supabase, {
+      tenantId: tenant.id,
+      date: plan.date,
+      crewId: plan.crewId,
+      vehicleId: plan.vehicleId,
+      jobRefs,
+      assignedBy: plan.assignedBy,
+    });
+
+    if (assignError) {
+      return res.status(assignError.status).json({
+        error: assignError.message,
+        problems: assignError.problems
+      });
+    }
+
+    console.log(`${jobRefs.length} jobs on ${plan.date} assigned to ${assigned.crew.name} by ${plan.assignedBy}`);
+
+    const pdfBuffer = await generateRunSheetPDF({ date: plan.date, ...assigned }, tenant.business);
+    const pdfPath = storagePath(tenant, `run-sheets/${plan.date}/crew-${assigned.crew.id}.pdf`);
+
+    const { error: uploadError } = await supabase.storage
+      .from(bucket)
+      .upload(pdfPath, pdfBuffer, {
+        contentType: 'application/pdf',
+        cacheControl: '60',
+        upsert: true
+      });
+
+    if (uploadError) {
+      console.error('Run sheet upload error:', uploadError);
+      throw new Error('Failed to upload run sheet');
+    }
+
+    return res.status(200).json({
+      success: true,
+      date: plan.date,
+      crew: { id: assigned.crew.id, name: assigned.crew.name, size: assigned.crew.size },
+      vehicle: assigned.vehicle ? { id: assigned.vehicle.id, name: assigned.vehicle.name } : null,
+      jobs: assigned.quotes.map((quote, i) => ({
+        position: i + 1,
+        jobRef: quote.job_ref,
+        customer: quote.customer_name,
+        pianoType: quote.piano_type,
+        moveTime: quote.move_time ? String(quote.move_time).slice(0, 5) : null,
+      })),
+      estimatedHours: assigned.quotes.reduce((sum, quote) => sum + pianoNeeds(quote.piano_type, tenant.pricing).hours, 0),
+      pdfUrl: await signedFileUrl(supabase, bucket, pdfPath, { expiresIn: 60 * 60 })
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,38 @@
+const { createClient } = require('@supabase/supabase-js');
+const { handleInboundSms, verifyTwilioSignature } = require('../lib/sms');
+const { defaultTenant } = require('../lib/tenants');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const params = req.body && typeof req.body === 'object' ? req.body : {};
+  const url = `${defaultTenant().appUrl}/api/sms-webhook`;
+
+  if (!verifyTwilioSignature(url, params, req.headers['x-twilio-signature'])) {
+    console.warn('SMS webhook rejected: invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const { data: result, error } = await handleInboundSms(supabase, { from: params.From, body: params.Body });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    console.log(`Inbound SMS ${result.action}${result.phone ? ' for ' + result.phone : ''}`);
+
+    res.setHeader('Content-Type', 'text/xml');
+    return res.status(200).send('<Response></Response>');
+
+  } catch (error) {
+    console.error('API error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,38 @@
+module.exports = {
+  name: 'The North London Piano',
+  team: 'Piano Move Team',
+  domain: 'pianomoveteam.co.uk',
+  website: 'https://www.pianomoveteam.co.uk',
+  address: {
+    street: '176 Millicent Grove',
+    city: 'London',
+    postcode: 'N13 6HS',
+    country: 'United Kingdom',
+  },
+  phones: {
+    office: { label: 'Tel', display: '020 3441 9463', e164: '+442034419463' },
+    mobile: { label: 'Mobile', display: '07711 872 434', e164: '+447711872434' },
+    freephone: { label: 'Freephone', display: '0800 084 2902', e164: '+448000842902' },
+  },
+  email: 'thenorthpiano@googlemail.com',
+  reviewUrl: 'https://www.google.co.uk/search?ibp=gwp;0,7&q=Piano+Service+North+London&ludocid=14902599609672896939&lsig=AB86z5XuluRlZf_c27ORk6gwjkIv&gfe_rd=mr&pli=1#lpg=cid:CgIgAQ%3D%3D',
+  logo: {
+    url: null,
+    path: null,
+  },
+  brand: {
+    primary: '#000000',
+    accent: '#FF6B6B',
+    whatsapp: '#25D366',
+    calendar: '#4A90E2',
+    warning: '#c0392b',
+  },
+  senders: {
+    office: 'Piano Quote <quotes@pianomoveteam.co.uk>',
+    customer: 'Piano Move Team <noreply@pianomoveteam.co.uk>',
+  },
+  recipients: {
+    office: { to: ['thenorthpiano@googlemail.com'], cc: ['gogoo.ltd@gmail.com'] },
+    alerts: { to: ['thenorthpiano@googlemail.com'], cc: [] },
+  },
+};
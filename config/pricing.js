@@ -0,0 +1,44 @@
+module.exports = {
+  currency: 'GBP',
+  spread: 0.1,
+  roundTo: 5,
+  pianoTypes: {
+    'digital': { label: 'Digital Piano', base: 90, perStep: 2, hours: 1.5, crew: 2 },
+    'upright': { label: 'Upright Piano', base: 180, perStep: 4, hours: 2, crew: 2 },
+    'baby-grand': { label: 'Baby Grand Piano', base: 320, perStep: 7, hours: 3, crew: 3 },
+    'grand': { label: 'Grand Piano', base: 380, perStep: 8, hours: 3, crew: 3 },
+    'concert-grand': { label: 'Concert Grand Piano', base: 650, perStep: 12, hours: 4, crew: 4 },
+    'other': { label: 'Other / Not specified', base: 220, perStep: 5, hours: 2.5, crew: 2 },
+  },
+  aliases: {
+    'digital-piano': 'digital',
+    'upright-piano': 'upright',
+    'piano': 'upright',
+    'babygrand': 'baby-grand',
+    'baby-grand-piano': 'baby-grand',
+    'grand-piano': 'grand',
+    'concert-grand-piano': 'concert-grand',
+    'other-not-specified': 'other',
+    'not-specified': 'other',
+  },
+  freeSteps: 2,
+  distanceBands: [
+    { upTo: 5, label: 'Local move (under 5 miles)', amount: 0 },
+    { upTo: 15, label: 'Distance 5-15 miles', amount: 30 },
+    { upTo: 30, label: 'Distance 15-30 miles', amount: 70 },
+    { upTo: 60, label: 'Distance 30-60 miles', amount: 150 },
+    { upTo: null, label: 'Long distance (over 60 miles)', amount: 150, perMileOver: 60, perMile: 2.5 },
+  ],
+  unknownDistance: { label: 'Distance unknown', amount: 50, widen: 0.1 },
+  approximateDistance: { widen: 0.05 },
+  weekend: { label: 'Weekend move', percent: 20 },
+  specialRequirements: {
+    label: 'Special requirements',
+    amount: 25,
+    keywords: [
+      { terms: ['hoist', 'crane', 'window'], label: 'Hoist / window lift', amount: 250 },
+      { terms: ['storage', 'store'], label: 'Storage', amount: 60 },
+      { terms: ['stool', 'bench'], label: 'Piano stool', amount: 10 },
+    ],
+  },
+};
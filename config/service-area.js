@@ -0,0 +1,4 @@
+module.exports = {
+  base: 'N13 6HS',
+  radiusMiles: 40,
+};
@@ -0,0 +1,18 @@
+const business = require('./business');
+const pricing = require('./pricing');
+const serviceArea = require('./service-area');
+
+module.exports = {
+  'north-london': {
+    default: true,
+    business,
+    pricing,
+    serviceArea,
+    appUrl: process.env.APP_URL || business.website,
+    origins: null,
+    apiKeyEnv: 'NORTH_LONDON_API_KEY',
+    storagePrefix: '',
+    retention: { unconvertedQuoteDays: 365 },
+    reminders: { followUpDays: 3, moveReminders: true, officeDigest: true },
+  },
+};
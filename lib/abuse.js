@@ -0,0 +1,97 @@
+const HONEYPOT_FIELD = 'website';
+const MIN_FILL_SECONDS = 4;
+const MAX_FILL_HOURS = 24;
+
+const LIMITS = {
+  ip: { limit: 5, windowSeconds: 10 * 60, prefix: 'quote-ip' },
+  email: { limit: 3, windowSeconds: 60 * 60, prefix: 'quote-email' },
+};
+
+const CHALLENGE_PROVIDERS = {
+  turnstile: {
+    url: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    secret: () => process.env.TURNSTILE_SECRET_KEY,
+  },
+  hcaptcha: {
+    url: 'https://api.hcaptcha.com/siteverify',
+    secret: () => process.env.HCAPTCHA_SECRET_KEY,
+  },
+};
+
+function getClientIp(req) {
+  const headers = req.headers || {};
+  if (headers['x-real-ip']) return String(headers['x-real-ip']).trim();
+
+  const hops = String(headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  if (hops.length > 0) return hops[hops.length - 1];
+  return (req.socket && req.socket.remoteAddress) || null;
+}
+
+function checkHoneypot(body) {
+  const value = body && body[HONEYPOT_FIELD];
+  return value ? { ok: false, reason: 'honeypot' } : { ok: true };
+}
+
+function checkFormTiming(body, now = Date.now()) {
+  const value = body && body.form_started_at;
+  const started = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  if (value === '' || !Number.isFinite(started)) return { ok: false, reason: 'timing_missing' };
+
+  const seconds = (now - started) / 1000;
+  if (seconds < MIN_FILL_SECONDS) return { ok: false, reason: 'too_fast' };
+  if (seconds > MAX_FILL_HOURS * 60 * 60) return { ok: false, reason: 'stale_form' };
+  return { ok: true };
+}
+
+async function verifyChallenge(token, ip, provider = process.env.CHALLENGE_PROVIDER) {
+  if (!provider) return { ok: true };
+
+  const config = typeof provider === 'string' ? CHALLENGE_PROVIDERS[provider] : provider;
+  if (!config) {
+    console.error(`Unknown challenge provider "${provider}"`);
+    return { ok: false, reason: 'challenge_unavailable' };
+  }
+  if (typeof config.verify === 'function') {
+    return config.verify(token, ip);
+  }
+  if (!token) return { ok: false, reason: 'challenge_missing' };
+
+  try {
+    const params = new URLSearchParams({ secret: config.secret(), response: token });
+    if (ip) params.set('remoteip', ip);
+
+    const response = await fetch(config.url, { method: 'POST', body: params });
+    const result = await response.json();
+    return result.success ? { ok: true } : { ok: false, reason: 'challenge_failed' };
+  } catch (error) {
+    console.error('Challenge verification error:', error);
+    return { ok: false, reason: 'challenge_unavailable' };
+  }
+}
+
+async function logRejection(supabase, req, reason, details = {}) {
+  const entry = {
+    reason,
+    ip: getClientIp(req),
+    origin: (req.headers && req.headers.origin) || null,
+    user_agent: (req.headers && req.headers['user-agent']) || null,
+    email: details.email || null,
+    created_at: new Date().toISOString(),
+  };
+
+  console.warn('Quote request rejected:', entry);
+
+  const { error } = await supabase.from('abuse_log').insert(entry);
+  if (error) {
+    console.error('Abuse log insert error:', error);
+  }
+}
+
+module.exports = {
+  LIMITS,
+  getClientIp,
+  checkHoneypot,
+  checkFormTiming,
+  verifyChallenge,
+  logRejection,
+};
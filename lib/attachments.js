@@ -0,0 +1,140 @@
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+const DEFAULT_LIMITS = {
+  maxFiles: 10,
+  maxFileBytes: 40 * MB,
+  maxTotalBytes: 40 * MB,
+};
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const SIGNATURES = [
+  { type: 'image/jpeg', ext: 'jpg', test: buf => startsWith(buf, [0xff, 0xd8, 0xff]) },
+  { type: 'image/png', ext: 'png', test: buf => startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/gif', ext: 'gif', test: buf => ascii(buf, 0, 6) === 'GIF87a' || ascii(buf, 0, 6) === 'GIF89a' },
+  { type: 'image/webp', ext: 'webp', test: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WEBP' },
+  { type: 'image/heic', ext: 'heic', test: buf => ascii(buf, 4, 8) === 'ftyp' && HEIF_BRANDS.includes(ascii(buf, 8, 12)) },
+  { type: 'application/pdf', ext: 'pdf', test: buf => ascii(buf, 0, 5) === '%PDF-' },
+];
+
+function processAttachments(files, limits = DEFAULT_LIMITS) {
+  const accepted = [];
+  const rejected = [];
+  const usedNames = new Set();
+  let totalBytes = 0;
+
+  for (const file of files || []) {
+    const originalName = String(file.filename || '');
+    const reject = reason => rejected.push({ filename: originalName, reason });
+
+    if (accepted.length >= limits.maxFiles) {
+      reject(`Only ${limits.maxFiles} files can be attached`);
+      continue;
+    }
+
+    const content = Buffer.from(String(file.content || ''), 'base64');
+    if (content.length === 0) {
+      reject('File is empty');
+      continue;
+    }
+    if (content.length > limits.maxFileBytes) {
+      reject(`File is larger than ${formatBytes(limits.maxFileBytes)}`);
+      continue;
+    }
+    if (totalBytes + content.length > limits.maxTotalBytes) {
+      reject(`Attachments exceed the ${formatBytes(limits.maxTotalBytes)} total limit`);
+      continue;
+    }
+
+    const signature = sniffType(content);
+    if (!signature) {
+      reject('Only photos (JPEG, PNG, GIF, WebP, HEIC) and PDF files are accepted');
+      continue;
+    }
+
+    totalBytes += content.length;
+    accepted.push({
+      filename: uniqueName(sanitiseFilename(originalName, signature.ext), usedNames),
+      contentType: signature.type,
+      content,
+      size: content.length,
+    });
+  }
+
+  return { accepted, rejected };
+}
+
+function planAttachments(jobRef, files, { prefix = '' } = {}) {
+  return files.map(file => ({
+    path: `${prefix}attachments/${jobRef}/${file.filename}`,
+    filename: file.filename,
+    contentType: file.contentType,
+    size: file.size,
+    content: file.content.toString('base64'),
+  }));
+}
+
+async function storeAttachments(supabase, bucket, files) {
+  for (const file of files.filter(file => file.content)) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(file.path, Buffer.from(file.content, 'base64'), {
+        contentType: file.contentType,
+        cacheControl: '3600',
+        upsert: true
+      });
+
+    if (error) {
+      console.error(`Attachment upload error (${file.filename}):`, error);
+      return { data: null, error };
+    }
+  }
+
+  return { data: files.map(({ content, ...file }) => file), error: null };
+}
+
+function sniffType(buf) {
+  return SIGNATURES.find(signature => signature.test(buf)) || null;
+}
+
+function sanitiseFilename(filename, ext) {
+  const base = path.basename(filename.replace(/\\/g, '/'), path.extname(filename))
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .slice(0, 80);
+  return `${base || 'photo'}.${ext}`;
+}
+
+function uniqueName(filename, usedNames) {
+  let candidate = filename;
+  const ext = path.extname(filename);
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${path.basename(filename, ext)}-${i}${ext}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function startsWith(buf, bytes) {
+  return buf.length >= bytes.length && bytes.every((byte, i) => buf[i] === byte);
+}
+
+function ascii(buf, start, end) {
+  return buf.length >= end ? buf.toString('latin1', start, end) : '';
+}
+
+function formatBytes(bytes) {
+  return `${Math.round(bytes / MB)}MB`;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  processAttachments,
+  planAttachments,
+  storeAttachments,
+  sniffType,
+  sanitiseFilename,
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+function isAuthorised(req, key = process.env.ADMIN_API_KEY) {
+  if (!key) return false;
+
+  const header = req.headers && req.headers.authorization;
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  isAuthorised,
+};
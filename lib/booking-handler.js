@@ -0,0 +1,123 @@
+const { verifyBookingLink } = require('./booking-link');
+const { transitionQuote } = require('./quote-status');
+const { bookingSchema, validate } = require('./validation');
+const { INLINE_BUDGET_MS, runJobs } = require('./outbox');
+const { PRIVATE_BUCKET } = require('./file-links');
+const { buildBookingJobs, createQuoteJobHandlers, alertJobFailed } = require('./quote-jobs');
+
+function createBookingHandler({ supabase, resend, bucket = 'piano-quotes', privateBucket = PRIVATE_BUCKET }) {
+  const jobHandlers = createQuoteJobHandlers({ supabase, resend, bucket, privateBucket });
+
+  return async function handleBooking(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const params = req.method === 'GET' ? req.query : req.body;
+      const link = verifyBookingLink(params || {});
+      if (!link.valid) {
+        return res.status(403).json({ error: link.reason });
+      }
+
+      const { data: quote, error: loadError } = await supabase
+        .from('quotes')
+        .select('*')
+        .eq('job_ref', link.jobRef)
+        .maybeSingle();
+
+      if (loadError) {
+        console.error('Quote lookup error:', loadError);
+        throw new Error('Failed to load quote');
+      }
+
+      if (!quote) {
+        return res.status(404).json({ error: 'Quote not found' });
+      }
+
+      const today = new Date().toISOString().slice(0, 10);
+      const availableDates = (quote.offered_dates || []).filter(date => date >= today).sort();
+
+      if (req.method === 'GET') {
+        return res.status(200).json({
+          jobRef: quote.job_ref,
+          firstName: String(quote.customer_name || '').split(' ')[0],
+          status: quote.status,
+          pianoType: quote.piano_type,
+          pickup: quote.pickup_postcode,
+          delivery: quote.delivery_postcode,
+          price: quote.quoted_price,
+          offeredDates: availableDates,
+          moveDate: quote.move_date,
+          expiresAt: link.expiresAt
+        });
+      }
+
+      const { value: booking, errors } = validate(bookingSchema, req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid booking',
+          fields: errors
+        });
+      }
+
+      if (quote.status !== 'quoted') {
+        return res.status(409).json({ error: quote.status === 'booked' ? 'This move is already booked' : 'This quote can no longer be accepted online' });
+      }
+
+      if (!availableDates.includes(booking.moveDate)) {
+        return res.status(400).json({
+          error: 'Invalid booking',
+          fields: [{ field: 'moveDate', message: 'Please choose one of the offered dates' }]
+        });
+      }
+
+      const { data: result, error: transitionError } = await transitionQuote(supabase, quote.job_ref, 'booked', {
+        changedBy: 'customer (online booking)',
+        moveDate: booking.moveDate,
+        jobs: buildBookingJobs(),
+      });
+
+      if (transitionError) {
+        return res.status(transitionError.status).json({ error: transitionError.message });
+      }
+
+      const booked = result.quote;
+      console.log(`Quote ${booked.job_ref} accepted online for ${booked.move_date}`);
+
+      try {
+        const summary = await runJobs(supabase, jobHandlers, {
+          jobRef: booked.job_ref,
+          budgetMs: INLINE_BUDGET_MS,
+          onFailed: job => alertJobFailed(resend, job)
+        });
+        console.log(`Jobs for ${booked.job_ref}:`, summary);
+      } catch (jobError) {
+        console.error('Job run error:', jobError);
+      }
+
+      return res.status(200).json({
+        success: true,
+        jobRef: booked.job_ref,
+        status: booked.status,
+        moveDate: booked.move_date
+      });
+
+    } catch (error) {
+      console.error('API error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  createBookingHandler,
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { defaultTenant, tenantForQuote } = require('./tenants');
+
+const DEFAULT_TTL_DAYS = 14;
+
+function createBookingLink(jobRef, { ttlDays = DEFAULT_TTL_DAYS, now = Date.now(), secret = process.env.BOOKING_LINK_SECRET, appUrl = defaultTenant().appUrl } = {}) {
+  if (!secret) throw new Error('BOOKING_LINK_SECRET is not configured');
+
+  const exp = Math.floor(now / 1000) + ttlDays * 24 * 60 * 60;
+  const params = new URLSearchParams({ ref: jobRef, exp: String(exp), sig: sign(jobRef, exp, secret) });
+  return {
+    url: `${appUrl}/booking.html?${params}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+function bookingUrlForQuote(quote, tenant = tenantForQuote(quote)) {
+  if (quote.status !== 'quoted' || (quote.offered_dates || []).length === 0) return null;
+  try {
+    return createBookingLink(quote.job_ref, { appUrl: tenant.appUrl }).url;
+  } catch (error) {
+    console.error('Booking link error:', error);
+    return null;
+  }
+}
+
+function verifyBookingLink({ ref, exp, sig } = {}, { now = Date.now(), secret = process.env.BOOKING_LINK_SECRET } = {}) {
+  if (!secret || !ref || !exp || !sig) return { valid: false, reason: 'Invalid link' };
+
+  const expected = Buffer.from(sign(ref, exp, secret));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'Invalid link' };
+  }
+  if (Number(exp) * 1000 < now) {
+    return { valid: false, reason: 'This link has expired, please contact us for a new one' };
+  }
+
+  return { valid: true, jobRef: ref, expiresAt: new Date(Number(exp) * 1000).toISOString() };
+}
+
+function sign(jobRef, exp, secret) {
+  return crypto.createHmac('sha256', secret).update(`booking:${jobRef}:${exp}`).digest('base64url');
+}
+
+module.exports = {
+  createBookingLink,
+  bookingUrlForQuote,
+  verifyBookingLink,
+};
@@ -0,0 +1,30 @@
+const business = require('../config/business');
+
+const DEFAULT_ORIGINS = [business.website, `https://${business.domain}`];
+
+function allowedOrigins() {
+  const configured = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ORIGINS;
+}
+
+function applyCors(req, res, { methods, headers, origins = allowedOrigins() }) {
+  const origin = req.headers && req.headers.origin;
+  const allowed = !origin || origins.includes(origin);
+
+  if (origin && allowed) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+
+  return allowed;
+}
+
+module.exports = {
+  applyCors,
+  allowedOrigins,
+};
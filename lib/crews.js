@@ -0,0 +1,158 @@
+const { resolvePianoType } = require('./pricing');
+const { tenantForQuote } = require('./tenants');
+const defaultRates = require('../config/pricing');
+
+const DEFAULT_CREW_SIZE = 2;
+
+function pianoNeeds(pianoType, rates = defaultRates) {
+  const piano = rates.pianoTypes[resolvePianoType(pianoType, rates) || 'other'];
+  return { crew: piano.crew || DEFAULT_CREW_SIZE, hours: piano.hours };
+}
+
+function checkCapacity(crew, vehicle, quotes) {
+  const problems = [];
+
+  if (vehicle && crew.size > vehicle.seats) {
+    problems.push(`${vehicle.name} seats ${vehicle.seats} but ${crew.name} has ${crew.size} people`);
+  }
+
+  for (const quote of quotes) {
+    const needed = pianoNeeds(quote.piano_type, tenantForQuote(quote).pricing).crew;
+    if (needed > crew.size) {
+      problems.push(`${quote.job_ref} (${quote.piano_type || 'piano'}) needs ${needed} people but ${crew.name} has ${crew.size}`);
+    }
+  }
+
+  return problems;
+}
+
+async function loadPlanningDay(supabase, tenantId, date) {
+  const [crews, vehicles, quotes, assignments] = await Promise.all([
+    supabase.from('crews').select('*').eq('tenant_id', tenantId).eq('active', true).order('name'),
+    supabase.from('vehicles').select('*').eq('tenant_id', tenantId).eq('active', true).order('name'),
+    supabase.from('quotes').select('*').eq('tenant_id', tenantId).eq('status', 'booked').eq('move_date', date).order('move_time'),
+    supabase.from('crew_assignments').select('*').eq('tenant_id', tenantId).eq('move_date', date).order('position'),
+  ]);
+
+  const failed = [crews, vehicles, quotes, assignments].find(result => result.error);
+  if (failed) {
+    console.error('Planning day lookup error:', failed.error);
+    return { data: null, error: { status: 500, message: 'Failed to load the planning day' } };
+  }
+
+  const byJob = new Map(assignments.data.map(assignment => [assignment.job_ref, assignment]));
+  const jobs = quotes.data.map(quote => {
+    const assignment = byJob.get(quote.job_ref);
+    return {
+      jobRef: quote.job_ref,
+      customer: quote.customer_name,
+      pianoType: quote.piano_type,
+      moveTime: quote.move_time ? String(quote.move_time).slice(0, 5) : null,
+      pickup: quote.pickup_postcode,
+      delivery: quote.delivery_postcode,
+      needs: pianoNeeds(quote.piano_type, tenantForQuote(quote).pricing),
+      crewId: assignment ? assignment.crew_id : null,
+      vehicleId: assignment ? assignment.vehicle_id : null,
+      position: assignment ? assignment.position : null,
+    };
+  });
+
+  return { data: { date, crews: crews.data, vehicles: vehicles.data, jobs }, error: null };
+}
+
+async function assignCrew(supabase, { tenantId, date, crewId, vehicleId, jobRefs, assignedBy }) {
+  const { data: crew, error: crewError } = await supabase
+    .from('crews')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('id', crewId)
+    .maybeSingle();
+
+  if (crewError) {
+    console.error('Crew lookup error:', crewError);
+    return { data: null, error: { status: 500, message: 'Failed to load crew' } };
+  }
+  if (!crew || !crew.active) {
+    return { data: null, error: { status: 404, message: 'Crew not found' } };
+  }
+
+  const vehicleLookup = vehicleId || crew.vehicle_id;
+  let vehicle = null;
+  if (vehicleLookup) {
+    const { data, error } = await supabase
+      .from('vehicles')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('id', vehicleLookup)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Vehicle lookup error:', error);
+      return { data: null, error: { status: 500, message: 'Failed to load vehicle' } };
+    }
+    if (!data || !data.active) {
+      return { data: null, error: { status: 404, message: 'Vehicle not found' } };
+    }
+    vehicle = data;
+  }
+
+  const { data: rows, error: quoteError } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .in('job_ref', jobRefs);
+
+  if (quoteError) {
+    console.error('Run sheet quote lookup error:', quoteError);
+    return { data: null, error: { status: 500, message: 'Failed to load quotes' } };
+  }
+
+  const quotes = jobRefs.map(jobRef => rows.find(row => row.job_ref === jobRef));
+  const missing = jobRefs.filter((jobRef, i) => !quotes[i]);
+  if (missing.length > 0) {
+    return { data: null, error: { status: 404, message: `Quotes not found: ${missing.join(', ')}` } };
+  }
+
+  const notBooked = quotes.filter(quote => quote.status !== 'booked' || String(quote.move_date).slice(0, 10) !== date);
+  if (notBooked.length > 0) {
+    return {
+      data: null,
+      error: { status: 409, message: `Not booked for ${date}: ${notBooked.map(quote => quote.job_ref).join(', ')}` },
+    };
+  }
+
+  const problems = checkCapacity(crew, vehicle, quotes);
+  if (problems.length > 0) {
+    return { data: null, error: { status: 409, message: 'Crew or vehicle cannot take these jobs', problems } };
+  }
+
+  const assignedAt = new Date().toISOString();
+  const { error: assignError } = await supabase.rpc('assign_crew', {
+    p_crew_id: crew.id,
+    p_move_date: date,
+    p_assignments: quotes.map((quote, i) => ({
+      tenant_id: tenantId,
+      job_ref: quote.job_ref,
+      move_date: date,
+      crew_id: crew.id,
+      vehicle_id: vehicle ? vehicle.id : null,
+      position: i + 1,
+      assigned_by: assignedBy,
+      assigned_at: assignedAt,
+    })),
+  });
+
+  if (assignError) {
+    console.error('Crew assignment error:', assignError);
+    return { data: null, error: { status: 500, message: 'Failed to update crew assignments' } };
+  }
+
+  return { data: { crew, vehicle, quotes }, error: null };
+}
+
+module.exports = {
+  pianoNeeds,
+  checkCapacity,
+  loadPlanningDay,
+  assignCrew,
+};
@@ -0,0 +1,73 @@
+const DUPLICATE_WINDOW_MINUTES = 30;
+const PREVIOUS_QUOTE_LIMIT = 5;
+
+async function findReplay(supabase, data, idempotencyKey, { windowMinutes = DUPLICATE_WINDOW_MINUTES, now = Date.now(), tenantId } = {}) {
+  if (idempotencyKey) {
+    const { data: row, error } = await supabase
+      .from('quotes')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Idempotency lookup error:', error);
+    } else if (row) {
+      return { row, reason: 'idempotency_key' };
+    }
+  }
+
+  const since = new Date(now - windowMinutes * 60 * 1000).toISOString();
+  const { data: rows, error } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('customer_email', data.email)
+    .eq('customer_phone', data.phone)
+    .eq('pickup_postcode', data.pickup_postcode)
+    .eq('delivery_postcode', data.delivery_postcode)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Duplicate lookup error:', error);
+    return null;
+  }
+
+  return rows && rows.length > 0 ? { row: rows[0], reason: 'duplicate' } : null;
+}
+
+async function findPreviousQuotes(supabase, data, { limit = PREVIOUS_QUOTE_LIMIT, tenantId } = {}) {
+  const columns = 'job_ref, created_at, status, piano_type, pickup_postcode, delivery_postcode';
+  const lookups = await Promise.all([
+    supabase.from('quotes').select(columns).eq('tenant_id', tenantId).eq('customer_email', data.email).order('created_at', { ascending: false }).limit(limit),
+    supabase.from('quotes').select(columns).eq('tenant_id', tenantId).eq('customer_phone', data.phone).order('created_at', { ascending: false }).limit(limit),
+  ]);
+
+  const byRef = new Map();
+  for (const { data: rows, error } of lookups) {
+    if (error) {
+      console.error('Previous quote lookup error:', error);
+      continue;
+    }
+    for (const row of rows || []) byRef.set(row.job_ref, row);
+  }
+
+  return [...byRef.values()]
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    .slice(0, limit);
+}
+
+function readIdempotencyKey(req) {
+  const key = (req.headers && req.headers['idempotency-key']) || (req.body && req.body.idempotency_key);
+  if (typeof key !== 'string') return null;
+  const trimmed = key.trim();
+  return /^[\w.:-]{8,128}$/.test(trimmed) ? trimmed : null;
+}
+
+module.exports = {
+  findReplay,
+  findPreviousQuotes,
+  readIdempotencyKey,
+};
@@ -0,0 +1,889 @@
+const { html, toPlainText } = require('./html');
+const { formatEstimate, formatPrice } = require('./pricing');
+const { describeMove } = require('./quotes');
+const { formatRoute } = require('./location');
+const { vcardFileName } = require('./vcard');
+const { toE164, formatPhone, whatsAppNumber } = require('./phone');
+const defaultBusiness = require('../config/business');
+
+function generateEmailForYou({
+  data,
+  calLink,
+  waLink,
+  attachCount = 0,
+  jobRef,
+  pdfUrl,
+  estimate,
+  previousQuotes = [],
+  route = null,
+  business = defaultBusiness,
+  receivedAt = new Date(),
+}) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    @media only screen and (max-width: 600px) {
+      .container { width: 100% !important; }
+      .button-row td { display: block !important; width: 100% !important; padding: 0 0 12px 0 !important; }
+      .button { width: 100% !important; display: block !important; }
+      h1 { font-size: 22px !important; }
+    }
+  </style>
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        <tr>
+          <td style="padding:30px;border-bottom:3px solid ${business.brand.primary}">
+            <h1 style="margin:0;color:#000000;font-size:24px;font-weight:700">New Piano Moving Quote Request</h1>
+            <p style="margin:10px 0 0 0;color:#666666;font-size:15px">${new Date(receivedAt).toLocaleString('en-GB', {timeZone:'Europe/London',dateStyle:'full',timeStyle:'short'})}</p>
+          </td>
+        </tr>
+
+        ${route && route.outsideServiceArea ? html`
+        <tr>
+          <td style="padding:20px 30px;background:#fdecea;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0;color:${business.brand.warning};font-size:16px;font-weight:600">Outside Service Area - check before quoting</p>
+          </td>
+        </tr>
+        ` : ''}
+
+        ${attachCount > 0 ? html`
+        <tr>
+          <td style="padding:20px 30px;background:#f9f9f9;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0;color:#000000;font-size:16px;font-weight:600">${attachCount} Customer Photo${attachCount > 1 ? 's' : ''} Attached</p>
+          </td>
+        </tr>
+        ` : ''}
+
+        ${previousQuotes.length > 0 ? html`
+        <tr>
+          <td style="padding:20px 30px;background:#fff4e5;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 10px 0;color:#000000;font-size:16px;font-weight:600">Returning Customer - ${previousQuotes.length} Earlier Quote${previousQuotes.length > 1 ? 's' : ''}</p>
+            ${previousQuotes.map(quote => html`
+            <p style="margin:0 0 6px 0;color:#333333;font-size:14px"><strong>${quote.job_ref}</strong> &middot; ${formatDate(quote.created_at)} &middot; ${quote.status || 'new'} &middot; ${quote.pickup_postcode} &rarr; ${quote.delivery_postcode}</p>`)}
+          </td>
+        </tr>
+        ` : ''}
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600;text-transform:uppercase">Price Estimate</p>
+            <p style="margin:0 0 18px 0;color:#000000;font-size:28px;font-weight:700">${formatEstimate(estimate)}</p>
+            <table width="100%" cellpadding="8" cellspacing="0" style="border:1px solid #e0e0e0">
+              ${estimate.breakdown.map(item => html`
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="color:#666666;font-size:14px">${item.label}</td>
+                <td style="color:#000000;font-size:14px;font-weight:600;text-align:right">${formatPrice(item.amount, estimate.currency)}</td>
+              </tr>`)}
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 20px 0;color:#000000;font-size:16px;font-weight:600;text-transform:uppercase">Quick Actions</p>
+            
+            <table width="100%" cellpadding="0" cellspacing="0">
+              <tr class="button-row">
+                <td width="49%" style="padding:0 1% 12px 0;vertical-align:top">
+                  <a href="${calLink}" target="_blank" class="button" style="display:block;background:${business.brand.calendar};color:#ffffff;padding:15px 10px;text-decoration:none;font-weight:600;font-size:14px;border-radius:6px;text-align:center">Add to Calendar</a>
+                </td>
+                <td width="49%" style="padding:0 0 12px 1%;vertical-align:top">
+                  <a href="tel:${toE164(data.phone) || data.phone}" class="button" style="display:block;background:${business.brand.accent};color:#ffffff;padding:15px 10px;text-decoration:none;font-weight:600;font-size:14px;border-radius:6px;text-align:center">Call Now</a>
+                </td>
+              </tr>
+              <tr class="button-row">
+                <td width="49%" style="padding:0 1% 0 0;vertical-align:top">
+                  <a href="${waLink}" target="_blank" class="button" style="display:block;background:${business.brand.whatsapp};color:#ffffff;padding:15px 10px;text-decoration:none;font-weight:600;font-size:14px;border-radius:6px;text-align:center">WhatsApp</a>
+                </td>
+                <td width="49%" style="padding:0 0 0 1%;vertical-align:top">
+                  <a href="${pdfUrl}" target="_blank" class="button" style="display:block;background:#9B59B6;color:#ffffff;padding:15px 10px;text-decoration:none;font-weight:600;font-size:14px;border-radius:6px;text-align:center">Print Job Sheet</a>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600;text-transform:uppercase">Customer Information</p>
+            <table width="100%" cellpadding="12" cellspacing="0" style="border:1px solid #e0e0e0">
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;width:30%;color:#666666;background:#f9f9f9;font-size:14px">Name</td>
+                <td style="color:#000000;font-weight:600;font-size:15px">${data.fullname}</td>
+              </tr>
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Email</td>
+                <td><a href="mailto:${data.email}" style="color:#000000;text-decoration:none;font-size:15px">${data.email}</a></td>
+              </tr>
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Phone</td>
+                <td><a href="tel:${toE164(data.phone) || data.phone}" style="color:#000000;font-weight:700;text-decoration:none;font-size:16px">${formatPhone(data.phone)}</a></td>
+              </tr>
+              <tr>
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Piano</td>
+                <td style="color:#000000;font-size:15px">${data.pianotype || 'Not specified'}</td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600">Pickup Location</p>
+            <table width="100%" cellpadding="12" cellspacing="0" style="border:1px solid #e0e0e0;background:#f9f9f9">
+              <tr>
+                <td style="width:30%;color:#666666;font-weight:600;font-size:14px">Address</td>
+                <td style="color:#000000;font-weight:700;font-size:16px">${data.pickup_postcode}</td>
+              </tr>
+              <tr>
+                <td style="color:#666666;font-weight:600;font-size:14px">Steps</td>
+                <td style="color:#000000;font-weight:700;font-size:20px">${data.pickup_steps}</td>
+              </tr>
+              <tr>
+                <td style="color:#666666;font-weight:600;font-size:14px">Maps</td>
+                <td><a href="https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(data.pickup_postcode)}" target="_blank" style="color:#000000;text-decoration:underline;font-weight:600;font-size:14px">Open in Google Maps</a></td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600">Delivery Location</p>
+            <table width="100%" cellpadding="12" cellspacing="0" style="border:1px solid #e0e0e0;background:#f9f9f9">
+              <tr>
+                <td style="width:30%;color:#666666;font-weight:600;font-size:14px">Address</td>
+                <td style="color:#000000;font-weight:700;font-size:16px">${data.delivery_postcode}</td>
+              </tr>
+              <tr>
+                <td style="color:#666666;font-weight:600;font-size:14px">Steps</td>
+                <td style="color:#000000;font-weight:700;font-size:20px">${data.delivery_steps}</td>
+              </tr>
+              <tr>
+                <td style="color:#666666;font-weight:600;font-size:14px">Maps</td>
+                <td><a href="https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(data.delivery_postcode)}" target="_blank" style="color:#000000;text-decoration:underline;font-weight:600;font-size:14px">Open in Google Maps</a></td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        ${data.specialrequirements ? html`
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600">Special Requirements</p>
+            <div style="border:2px solid #e0e0e0;padding:18px;background:#fffacd;border-radius:6px">
+              <p style="margin:0;color:#333333;font-size:15px;line-height:1.6;white-space:pre-wrap">${data.specialrequirements}</p>
+            </div>
+          </td>
+        </tr>
+        ` : ''}
+
+        <tr>
+          <td style="padding:25px 30px;text-align:center">
+            ${route ? html`<p style="margin:0 0 16px 0;color:#333333;font-size:15px">${formatRoute(route)}</p>` : ''}
+            <a href="https://www.google.com/maps/dir/${encodeURIComponent(data.pickup_postcode)}/${encodeURIComponent(data.delivery_postcode)}" target="_blank" style="display:inline-block;background:${business.brand.primary};color:#ffffff;padding:16px 32px;text-decoration:none;font-weight:600;font-size:16px;border-radius:6px">View Route & Distance</a>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:25px 30px;background:#f9f9f9;text-align:center;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0;color:#999999;font-size:13px;text-transform:uppercase;letter-spacing:1px">${business.team} • Quote Management</p>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+function generateCalendarLink(data, moveDate) {
+  const eventTitle = `Piano Move - ${data.fullname}`;
+  const eventDesc = describeMove(data);
+  return `https://calendar.google.com/calendar/render?action=TEMPLATE&text=${encodeURIComponent(eventTitle)}&details=${encodeURIComponent(eventDesc)}&location=${encodeURIComponent(data.pickup_postcode + ' to ' + data.delivery_postcode)}${moveDate ? `&dates=${calendarDates(moveDate)}` : ''}`;
+}
+
+function calendarDates(moveDate) {
+  const start = new Date(`${String(moveDate).slice(0, 10)}T00:00:00Z`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  const day = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `${day(start)}/${day(end)}`;
+}
+
+function generateWhatsAppLink(data) {
+  return `https://wa.me/${whatsAppNumber(data.phone) || data.phone.replace(/\D/g, '')}?text=${encodeURIComponent('Hi ' + data.fullname + ', thank you for your piano moving quote request. I would like to discuss the details with you.')}`;
+}
+
+function generateEmailForCustomer(data, vcfUrl, business = defaultBusiness) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    @media only screen and (max-width: 600px) {
+      .container { width: 100% !important; }
+      .button-row td { display: block !important; width: 100% !important; padding: 0 0 12px 0 !important; }
+      .button { width: 100% !important; display: block !important; }
+      h1 { font-size: 26px !important; }
+      .text { font-size: 17px !important; }
+    }
+  </style>
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        ${business.logo.url ? html`
+        <tr>
+          <td style="padding:30px 30px 0 30px">
+            <img src="${business.logo.url}" alt="${business.name}" style="display:block;max-width:200px;height:auto;border:0">
+          </td>
+        </tr>
+        ` : ''}
+
+        <tr>
+          <td style="padding:40px 30px 30px 30px">
+            <h1 style="margin:0 0 18px 0;color:#000000;font-size:30px;font-weight:700">Hi ${data.fullname},</h1>
+            <p class="text" style="margin:0 0 12px 0;color:#333333;font-size:18px;line-height:1.6">Thank you for requesting a piano moving quote.</p>
+            <p class="text" style="margin:0;color:#333333;font-size:18px;line-height:1.6">We've received your details and <strong>will contact you shortly</strong> with a personalized quote.</p>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:0 30px 30px 30px">
+            <table width="100%" cellpadding="22" cellspacing="0" style="border:2px solid ${business.brand.primary};border-radius:8px">
+              <tr>
+                <td>
+                  <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600;text-transform:uppercase">Your Submission</p>
+                  <table width="100%" cellpadding="10" cellspacing="0">
+                    <tr style="border-bottom:1px solid #e0e0e0">
+                      <td style="color:#666666;font-size:16px;width:35%;padding:10px 0">Piano Type</td>
+                      <td style="color:#000000;font-size:17px;font-weight:600;padding:10px 0">${data.pianotype || 'Not specified'}</td>
+                    </tr>
+                    <tr style="border-bottom:1px solid #e0e0e0">
+                      <td style="color:#666666;font-size:16px;padding:10px 0">Pickup</td>
+                      <td style="color:#000000;font-size:16px;padding:10px 0">${data.pickup_postcode} <span style="color:#666666;font-size:15px">(${data.pickup_steps} steps)</span></td>
+                    </tr>
+                    <tr>
+                      <td style="color:#666666;font-size:16px;padding:10px 0">Delivery</td>
+                      <td style="color:#000000;font-size:16px;padding:10px 0">${data.delivery_postcode} <span style="color:#666666;font-size:15px">(${data.delivery_steps} steps)</span></td>
+                    </tr>
+                  </table>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-top:1px solid #e0e0e0">
+            <p style="margin:0 0 20px 0;color:#000000;font-size:20px;font-weight:600">Need to Reach Us?</p>
+            <p class="text" style="margin:0 0 24px 0;color:#666666;font-size:17px;line-height:1.6">Have questions or want to discuss your piano move? We're here to help!</p>
+            
+            <table width="100%" cellpadding="0" cellspacing="0">
+              <tr class="button-row">
+                <td width="32%" style="padding:0 1% 0 0;vertical-align:top">
+                  <a href="mailto:${business.email}?subject=Piano%20Quote%20-%20${encodeURIComponent(data.fullname)}" class="button" style="display:block;background:${business.brand.primary};color:#ffffff;padding:16px 10px;text-decoration:none;font-weight:600;font-size:15px;border-radius:6px;text-align:center">Email Us</a>
+                </td>
+                <td width="32%" style="padding:0 1%;vertical-align:top">
+                  <a href="tel:${business.phones.office.e164}" class="button" style="display:block;background:${business.brand.accent};color:#ffffff;padding:16px 10px;text-decoration:none;font-weight:600;font-size:15px;border-radius:6px;text-align:center">Call Us</a>
+                </td>
+                <td width="32%" style="padding:0 0 0 1%;vertical-align:top">
+                  <a href="https://wa.me/${business.phones.mobile.e164.replace(/\D/g, '')}?text=Hi,%20I%20requested%20a%20quote%20for%20moving%20my%20piano" target="_blank" class="button" style="display:block;background:${business.brand.whatsapp};color:#ffffff;padding:16px 10px;text-decoration:none;font-weight:600;font-size:15px;border-radius:6px;text-align:center">WhatsApp</a>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;text-align:center;border-top:1px solid #e0e0e0">
+            <p style="margin:0 0 18px 0;color:#000000;font-size:20px;font-weight:600">Save Our Contact</p>
+            <p class="text" style="margin:0 0 24px 0;color:#666666;font-size:17px;line-height:1.6">Add us to your phone contacts for easy access next time you need us.</p>
+            <table width="100%" cellpadding="0" cellspacing="0">
+              <tr>
+                <td align="center">
+                  <a href="${vcfUrl}" download="${vcardFileName(business)}" class="button" style="display:inline-block;background:${business.brand.primary};color:#ffffff;padding:18px 32px;text-decoration:none;font-weight:600;font-size:16px;border-radius:6px;max-width:280px">Add to Contacts</a>
+                </td>
+              </tr>
+            </table>
+            <p style="margin:20px 0 0 0;color:#999999;font-size:14px">One tap - all our contact info saved!</p>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-top:1px solid #e0e0e0">
+            <p style="margin:0 0 24px 0;color:#000000;font-size:20px;font-weight:600">Why Choose ${business.name}?</p>
+            
+            <table width="100%" cellpadding="0" cellspacing="0">
+              <tr>
+                <td style="vertical-align:top;width:35px;padding:0 14px 18px 0">
+                  <span style="font-size:24px">✓</span>
+                </td>
+                <td style="vertical-align:top;padding:0 0 18px 0">
+                  <p style="margin:0;color:#000000;font-size:17px;font-weight:600">Expert Piano Specialists</p>
+                  <p style="margin:6px 0 0 0;color:#666666;font-size:16px;line-height:1.5">Trained professionals with years of experience</p>
+                </td>
+              </tr>
+              <tr>
+                <td style="vertical-align:top;padding:0 14px 18px 0">
+                  <span style="font-size:24px">✓</span>
+                </td>
+                <td style="vertical-align:top;padding:0 0 18px 0">
+                  <p style="margin:0;color:#000000;font-size:17px;font-weight:600">Fully Insured Service</p>
+                  <p style="margin:6px 0 0 0;color:#666666;font-size:16px;line-height:1.5">Your valuable piano is protected throughout</p>
+                </td>
+              </tr>
+              <tr>
+                <td style="vertical-align:top;padding:0 14px 18px 0">
+                  <span style="font-size:24px">✓</span>
+                </td>
+                <td style="vertical-align:top;padding:0 0 18px 0">
+                  <p style="margin:0;color:#000000;font-size:17px;font-weight:600">Professional Equipment</p>
+                  <p style="margin:6px 0 0 0;color:#666666;font-size:16px;line-height:1.5">Specialized tools for safe transport</p>
+                </td>
+              </tr>
+              <tr>
+                <td style="vertical-align:top;padding:0 14px 0 0">
+                  <span style="font-size:24px">✓</span>
+                </td>
+                <td style="vertical-align:top;padding:0">
+                  <p style="margin:0;color:#000000;font-size:17px;font-weight:600">Trusted in London</p>
+                  <p style="margin:6px 0 0 0;color:#666666;font-size:16px;line-height:1.5">Based in North London, serving all areas</p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;text-align:center;border-top:1px solid #e0e0e0">
+            <p style="margin:0 0 15px 0;font-size:38px;letter-spacing:4px;line-height:1">
+              <span style="color:#FFD700">★</span><span style="color:#FFD700">★</span><span style="color:#FFD700">★</span><span style="color:#FFD700">★</span><span style="color:#FFD700">★</span>
+            </p>
+            <p style="margin:0 0 20px 0;color:#000000;font-size:19px;font-weight:600">Trusted by Hundreds of Satisfied Customers</p>
+            <p class="text" style="margin:0 0 24px 0;color:#666666;font-size:17px;line-height:1.6">Don't just take our word for it - see what our happy customers say about our professional piano moving services.</p>
+            <table width="100%" cellpadding="0" cellspacing="0">
+              <tr>
+                <td align="center">
+                  <a href="${business.reviewUrl}" target="_blank" class="button" style="display:inline-block;background:#ffffff;color:#000000;border:2px solid ${business.brand.primary};padding:16px 28px;text-decoration:none;font-weight:600;font-size:15px;border-radius:6px;max-width:280px">Read Our Google Reviews</a>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;background:#f9f9f9;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0 0 8px 0;color:#000000;font-size:17px;font-weight:600">Best regards,</p>
+            <p style="margin:0 0 24px 0;color:#000000;font-size:17px;font-weight:600">${business.name} Team</p>
+            
+            <div style="border-top:1px solid #e0e0e0;padding-top:20px;margin-top:20px">
+              <p style="margin:0;color:#999999;font-size:14px;line-height:1.7">
+                ${business.address.street}, ${business.address.city} ${business.address.postcode}<br/>
+                <a href="${business.website}" style="color:#666666;text-decoration:underline">${business.website.replace(/^https?:\/\//, '')}</a>
+              </p>
+            </div>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+const STATUS_EMAILS = {
+  called_back: {
+    subject: 'Thanks for speaking with us about your piano move',
+    heading: 'Thanks for your time',
+    lines: [
+      'It was good to speak with you about your piano move.',
+      'We are putting your quote together now and will be in touch with the price shortly.',
+    ],
+  },
+  quoted: {
+    subject: 'Your piano moving quote',
+    heading: 'Your quote is ready',
+    lines: [
+      'Thank you for waiting. We have priced your piano move using the details you sent us.',
+      'If you are happy to go ahead, just reply to this email or give us a call and we will book you in.',
+    ],
+  },
+  booked: {
+    subject: 'Your piano move is booked',
+    heading: 'Your move is booked',
+    lines: [
+      'Great news - your piano move is confirmed.',
+      'Our crew will call you on the day when they are on their way. Please make sure there is a clear path to the piano.',
+    ],
+  },
+  completed: {
+    subject: business => `Thank you for choosing ${business.name}`,
+    heading: 'Thank you',
+    lines: [
+      'Your piano has been moved and we hope it is settling into its new home.',
+      'If you were happy with our service, a Google review would mean a lot to our small team.',
+    ],
+  },
+  lost: {
+    subject: 'Your piano moving quote',
+    heading: 'Sorry to miss you',
+    lines: [
+      'We understand you have decided not to go ahead with us this time.',
+      'If anything changes, your quote reference below will help us pick things up quickly.',
+    ],
+  },
+};
+
+function generateStatusEmailForCustomer(quote, status, details = {}, business = defaultBusiness) {
+  const content = STATUS_EMAILS[status];
+  if (!content) return null;
+
+  const rows = [
+    ['Reference', quote.job_ref],
+    ['Piano Type', quote.piano_type || 'Not specified'],
+    ['Pickup', quote.pickup_postcode],
+    ['Delivery', quote.delivery_postcode],
+    details.price != null && ['Price', formatPrice(details.price, details.currency)],
+    details.moveDate && ['Move Date', formatDate(details.moveDate)],
+  ].filter(Boolean);
+  const action = details.bookingUrl && { label: 'View Quote & Book Your Move', url: details.bookingUrl };
+  const body = renderCustomerEmail(quote.customer_name, content.heading, [...content.lines, details.message].filter(Boolean), rows, action, business);
+
+  return {
+    subject: `${typeof content.subject === 'function' ? content.subject(business) : content.subject} (${quote.job_ref})`,
+    html: body,
+    text: toPlainText(body),
+  };
+}
+
+const REMINDER_EMAILS = {
+  follow_up: {
+    subject: 'Following up on your piano moving quote',
+    heading: 'Still planning your move?',
+    lines: [
+      'We wanted to check in about the piano move you asked us to quote for.',
+      'If you have any questions or would like to book a date, just reply to this email or give us a call. If your plans have changed there is nothing you need to do.',
+    ],
+  },
+  move_reminder: {
+    subject: 'Your piano move is tomorrow',
+    heading: 'See you tomorrow',
+    lines: [
+      'Just a reminder that our crew is booked to move your piano tomorrow. A few things that help the day go smoothly:',
+      'Clear a path from the piano to the door and move rugs, plants and anything fragile out of the way.',
+      'Close and lock the lid, and take music, ornaments and photos off the top of the piano and out of the stool.',
+      'If you can, reserve a parking space close to the entrance at both addresses.',
+      'Let us know today if anything has changed, such as access, steps or the delivery address.',
+    ],
+  },
+};
+
+function generateReminderEmailForCustomer(quote, kind, details = {}, business = defaultBusiness) {
+  const content = REMINDER_EMAILS[kind];
+  if (!content) return null;
+
+  const rows = [
+    ['Reference', quote.job_ref],
+    ['Piano Type', quote.piano_type || 'Not specified'],
+    ['Pickup', quote.pickup_postcode],
+    ['Delivery', quote.delivery_postcode],
+    quote.quoted_price != null && ['Price', formatPrice(quote.quoted_price, details.currency)],
+    kind === 'move_reminder' && quote.move_date && ['Move Date', formatDate(quote.move_date)],
+    kind === 'move_reminder' && quote.move_time && ['Arrival', String(quote.move_time).slice(0, 5)],
+  ].filter(Boolean);
+  const action = details.bookingUrl && { label: 'View Quote & Book Your Move', url: details.bookingUrl };
+  const body = renderCustomerEmail(quote.customer_name, content.heading, content.lines, rows, action, business);
+
+  return {
+    subject: `${content.subject} (${quote.job_ref})`,
+    html: body,
+    text: toPlainText(body),
+  };
+}
+
+function renderCustomerEmail(name, heading, lines, rows, action, business = defaultBusiness) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <style>
+    @media only screen and (max-width: 600px) {
+      .container { width: 100% !important; }
+      h1 { font-size: 26px !important; }
+      .text { font-size: 17px !important; }
+    }
+  </style>
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        ${business.logo.url ? html`
+        <tr>
+          <td style="padding:30px 30px 0 30px">
+            <img src="${business.logo.url}" alt="${business.name}" style="display:block;max-width:200px;height:auto;border:0">
+          </td>
+        </tr>
+        ` : ''}
+
+        <tr>
+          <td style="padding:40px 30px 30px 30px">
+            <p style="margin:0 0 8px 0;color:#666666;font-size:16px">Hi ${name},</p>
+            <h1 style="margin:0 0 18px 0;color:#000000;font-size:30px;font-weight:700">${heading}</h1>
+            ${lines.map(line => html`
+            <p class="text" style="margin:0 0 12px 0;color:#333333;font-size:18px;line-height:1.6">${line}</p>`)}
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:0 30px 30px 30px">
+            <table width="100%" cellpadding="22" cellspacing="0" style="border:2px solid ${business.brand.primary};border-radius:8px">
+              <tr>
+                <td>
+                  <p style="margin:0 0 18px 0;color:#000000;font-size:16px;font-weight:600;text-transform:uppercase">Your Move</p>
+                  <table width="100%" cellpadding="10" cellspacing="0">
+                    ${rows.map(([label, value]) => html`
+                    <tr style="border-bottom:1px solid #e0e0e0">
+                      <td style="color:#666666;font-size:16px;width:35%;padding:10px 0">${label}</td>
+                      <td style="color:#000000;font-size:17px;font-weight:600;padding:10px 0">${value}</td>
+                    </tr>`)}
+                  </table>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        ${action ? html`
+        <tr>
+          <td style="padding:0 30px 30px 30px;text-align:center">
+            <a href="${action.url}" target="_blank" class="button" style="display:inline-block;background:${business.brand.primary};color:#ffffff;padding:18px 32px;text-decoration:none;font-weight:600;font-size:16px;border-radius:6px">${action.label}</a>
+          </td>
+        </tr>
+        ` : ''}
+
+        <tr>
+          <td style="padding:30px;background:#f9f9f9;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0 0 8px 0;color:#000000;font-size:17px;font-weight:600">Best regards,</p>
+            <p style="margin:0 0 24px 0;color:#000000;font-size:17px;font-weight:600">${business.name} Team</p>
+            
+            <div style="border-top:1px solid #e0e0e0;padding-top:20px;margin-top:20px">
+              <p style="margin:0;color:#999999;font-size:14px;line-height:1.7">
+                ${business.address.street}, ${business.address.city} ${business.address.postcode}<br/>
+                Tel: <a href="tel:${business.phones.office.e164}" style="color:#666666;text-decoration:underline">${business.phones.office.display}</a><br/>
+                <a href="${business.website}" style="color:#666666;text-decoration:underline">${business.website.replace(/^https?:\/\//, '')}</a>
+              </p>
+            </div>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+function generateBookingEmailForYou(quote, calLink, {
+  heading = `Quote Accepted - ${quote.job_ref}`,
+  intro = `${quote.customer_name} booked their move online.`,
+  currency,
+} = {}, business = defaultBusiness) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        <tr>
+          <td style="padding:30px;border-bottom:3px solid ${business.brand.primary}">
+            <h1 style="margin:0;color:#000000;font-size:24px;font-weight:700">${heading}</h1>
+            <p style="margin:10px 0 0 0;color:#666666;font-size:15px">${intro}</p>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <table width="100%" cellpadding="12" cellspacing="0" style="border:1px solid #e0e0e0">
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;width:30%;color:#666666;background:#f9f9f9;font-size:14px">Move Date</td>
+                <td style="color:#000000;font-weight:700;font-size:16px">${formatDate(quote.move_date)}</td>
+              </tr>
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Price</td>
+                <td style="color:#000000;font-weight:700;font-size:16px">${formatPrice(quote.quoted_price, currency)}</td>
+              </tr>
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Phone</td>
+                <td><a href="tel:${toE164(quote.customer_phone) || quote.customer_phone}" style="color:#000000;font-weight:700;text-decoration:none;font-size:16px">${formatPhone(quote.customer_phone)}</a></td>
+              </tr>
+              <tr>
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Route</td>
+                <td style="color:#000000;font-size:15px">${quote.pickup_postcode} &rarr; ${quote.delivery_postcode}</td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:25px 30px;text-align:center">
+            <a href="${calLink}" target="_blank" style="display:inline-block;background:${business.brand.calendar};color:#ffffff;padding:16px 32px;text-decoration:none;font-weight:600;font-size:16px;border-radius:6px">Add to Calendar</a>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:25px 30px;background:#f9f9f9;text-align:center;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0;color:#999999;font-size:13px;text-transform:uppercase;letter-spacing:1px">${business.team} • Quote Management</p>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+function generateJobFailedEmail(job, business = defaultBusiness, appUrl = business.website) {
+  const opsUrl = `${appUrl}/ops.html?jobRef=${encodeURIComponent(job.job_ref)}`;
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        <tr>
+          <td style="padding:30px;border-bottom:3px solid ${business.brand.primary}">
+            <h1 style="margin:0;color:${business.brand.warning};font-size:24px;font-weight:700">Quote Job Failed - ${job.job_ref}</h1>
+            <p style="margin:10px 0 0 0;color:#666666;font-size:15px">The ${job.kind.replace(/_/g, ' ')} step gave up after ${job.attempts} attempts. The quote itself is saved.</p>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 10px 0;color:#000000;font-size:16px;font-weight:600">Last Error</p>
+            <p style="margin:0;color:#333333;font-size:14px;white-space:pre-wrap">${job.last_error || 'Unknown error'}</p>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:25px 30px;text-align:center">
+            <a href="${opsUrl}" target="_blank" style="display:inline-block;background:${business.brand.primary};color:#ffffff;padding:16px 32px;text-decoration:none;font-weight:600;font-size:16px;border-radius:6px">Open Ops View</a>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:25px 30px;background:#f9f9f9;text-align:center;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0;color:#999999;font-size:13px;text-transform:uppercase;letter-spacing:1px">${business.team} • Quote Management</p>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+function generateBounceAlertEmail(quote, reason, business = defaultBusiness) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        <tr>
+          <td style="padding:30px;border-bottom:3px solid ${business.brand.primary}">
+            <h1 style="margin:0;color:${business.brand.warning};font-size:24px;font-weight:700">Customer Email Bounced - ${quote.job_ref}</h1>
+            <p style="margin:10px 0 0 0;color:#666666;font-size:15px">Our reply to ${quote.customer_name} could not be delivered. Please phone them instead.</p>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:30px;border-bottom:1px solid #e0e0e0">
+            <table width="100%" cellpadding="12" cellspacing="0" style="border:1px solid #e0e0e0">
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;width:30%;color:#666666;background:#f9f9f9;font-size:14px">Phone</td>
+                <td><a href="tel:${toE164(quote.customer_phone) || quote.customer_phone}" style="color:#000000;font-weight:700;text-decoration:none;font-size:16px">${formatPhone(quote.customer_phone)}</a></td>
+              </tr>
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Email</td>
+                <td style="color:#000000;font-size:15px">${quote.customer_email}</td>
+              </tr>
+              <tr style="border-bottom:1px solid #e0e0e0">
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Route</td>
+                <td style="color:#000000;font-size:15px">${quote.pickup_postcode} &rarr; ${quote.delivery_postcode}</td>
+              </tr>
+              <tr>
+                <td style="font-weight:600;color:#666666;background:#f9f9f9;font-size:14px">Reason</td>
+                <td style="color:#333333;font-size:14px">${reason || 'Not given'}</td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:25px 30px;background:#f9f9f9;text-align:center;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0;color:#999999;font-size:13px;text-transform:uppercase;letter-spacing:1px">${business.team} • Quote Management</p>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+function generateDigestEmail(quotes, date, business = defaultBusiness) {
+  return html`
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;background:#f5f5f5">
+  
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;padding:20px 0">
+  <tr>
+    <td align="center">
+      
+      <table class="container" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:2px solid ${business.brand.primary};max-width:600px">
+        
+        <tr>
+          <td style="padding:30px;border-bottom:3px solid ${business.brand.primary}">
+            <h1 style="margin:0;color:#000000;font-size:24px;font-weight:700">Quotes Waiting for a Call - ${quotes.length}</h1>
+            <p style="margin:10px 0 0 0;color:#666666;font-size:15px">${formatDate(date)}. These customers have not been contacted yet, oldest first.</p>
+          </td>
+        </tr>
+
+        ${quotes.map(quote => html`
+        <tr>
+          <td style="padding:20px 30px;border-bottom:1px solid #e0e0e0">
+            <p style="margin:0 0 6px 0;color:#000000;font-size:16px;font-weight:700">${quote.customer_name} <span style="color:#666666;font-weight:400">(${quote.job_ref})</span></p>
+            <p style="margin:0 0 6px 0;font-size:15px"><a href="tel:${toE164(quote.customer_phone) || quote.customer_phone}" style="color:#000000;font-weight:700;text-decoration:none">${formatPhone(quote.customer_phone)}</a></p>
+            <p style="margin:0 0 6px 0;color:#333333;font-size:14px">${quote.piano_type || 'Piano'}: ${quote.pickup_postcode} &rarr; ${quote.delivery_postcode}</p>
+            <p style="margin:0;color:#999999;font-size:13px">Received ${new Date(quote.created_at).toLocaleString('en-GB', {timeZone:'Europe/London',dateStyle:'medium',timeStyle:'short'})}</p>
+          </td>
+        </tr>`)}
+
+        <tr>
+          <td style="padding:25px 30px;background:#f9f9f9;text-align:center;border-top:2px solid ${business.brand.primary}">
+            <p style="margin:0;color:#999999;font-size:13px;text-transform:uppercase;letter-spacing:1px">${business.team} • Quote Management</p>
+          </td>
+        </tr>
+
+      </table>
+      
+    </td>
+  </tr>
+</table>
+
+</body>
+</html>
+  `.toString();
+}
+
+function formatDate(date) {
+  return new Date(`${String(date).slice(0, 10)}T12:00:00Z`).toLocaleDateString('en-GB', {
+    timeZone: 'Europe/London',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+module.exports = {
+  generateEmailForYou,
+  generateEmailForCustomer,
+  generateCalendarLink,
+  generateWhatsAppLink,
+  generateStatusEmailForCustomer,
+  generateBookingEmailForYou,
+  generateJobFailedEmail,
+  generateBounceAlertEmail,
+  generateReminderEmailForCustomer,
+  generateDigestEmail,
+  renderCustomerEmail,
+  formatDate,
+};
@@ -0,0 +1,126 @@
+const { tenantForQuote } = require('./tenants');
+const { createJobSheetLink } = require('./file-links');
+
+const PAGE_SIZE = 500;
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+const COLUMNS = [
+  ['job_ref', row => row.job_ref],
+  ['tenant', row => row.tenant_id],
+  ['created_at', row => row.created_at],
+  ['status', row => row.status || 'new'],
+  ['status_updated_at', row => row.status_updated_at],
+  ['customer_name', row => row.customer_name],
+  ['customer_email', row => row.customer_email],
+  ['customer_phone', row => row.customer_phone],
+  ['piano_type', row => row.piano_type],
+  ['pickup_address', row => row.pickup_postcode],
+  ['pickup_outward', row => row.pickup_outward],
+  ['pickup_area', row => row.pickup_area],
+  ['pickup_steps', row => row.pickup_steps],
+  ['delivery_address', row => row.delivery_postcode],
+  ['delivery_outward', row => row.delivery_outward],
+  ['delivery_area', row => row.delivery_area],
+  ['delivery_steps', row => row.delivery_steps],
+  ['distance_miles', row => numberOrNull(row.distance_miles)],
+  ['outside_service_area', row => Boolean(row.outside_service_area)],
+  ['move_date', row => row.move_date],
+  ['currency', row => tenantForQuote(row).pricing.currency],
+  ['estimate_low', row => numberOrNull(row.estimate_low)],
+  ['estimate_high', row => numberOrNull(row.estimate_high)],
+  ['final_price', row => numberOrNull(row.quoted_price)],
+  ['attachments', row => row.attachments_count || 0],
+  ['pdf_url', row => row.pdf_path ? createJobSheetLink(row.job_ref, { appUrl: tenantForQuote(row).appUrl }).url : null],
+];
+
+function exportRow(row) {
+  return Object.fromEntries(COLUMNS.map(([name, value]) => [name, value(row) ?? null]));
+}
+
+function toCsvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+async function* exportPages(supabase, filters, { pageSize = PAGE_SIZE } = {}) {
+  for (let offset = 0; ; offset += pageSize) {
+    const { data: rows, error } = await exportQuery(supabase, filters).range(offset, offset + pageSize - 1);
+    if (error) {
+      console.error('Export query error:', error);
+      throw new Error('Failed to load quotes');
+    }
+
+    if (rows.length > 0) yield rows.map(exportRow);
+    if (rows.length < pageSize) return;
+  }
+}
+
+async function streamExport(res, supabase, filters, { format = 'csv', pageSize, filename = 'quotes' } = {}) {
+  const pages = exportPages(supabase, filters, { pageSize });
+  const first = await pages.next();
+  const { contentType, extension } = FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200);
+
+  if (format === 'csv') res.write(toCsvLine(COLUMNS.map(([name]) => name)));
+
+  let count = 0;
+  try {
+    for (let page = first; !page.done; page = await pages.next()) {
+      res.write(page.value.map(row => format === 'csv' ? toCsvLine(Object.values(row)) : JSON.stringify(row) + '\n').join(''));
+      count += page.value.length;
+    }
+  } catch (error) {
+    res.destroy(error);
+    throw error;
+  }
+
+  res.end();
+  return count;
+}
+
+function exportQuery(supabase, { tenantId, from, to, dateField = 'created_at', statuses = [], pianoType, area }) {
+  let query = supabase
+    .from('quotes')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .order(dateField, { ascending: true })
+    .order('job_ref', { ascending: true });
+
+  if (from) query = query.gte(dateField, dateField === 'created_at' ? `${from}T00:00:00Z` : from);
+  if (to) query = query.lte(dateField, dateField === 'created_at' ? `${to}T23:59:59.999Z` : to);
+  if (statuses.length > 0) query = query.in('status', statuses);
+  if (pianoType) query = query.eq('piano_type', pianoType);
+  if (area) {
+    const outward = area.toUpperCase();
+    query = /\d/.test(outward)
+      ? query.or(`pickup_outward.eq.${outward},delivery_outward.eq.${outward}`)
+      : query.or(`pickup_outward.match.^${outward}[0-9],delivery_outward.match.^${outward}[0-9]`);
+  }
+
+  return query;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function numberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+module.exports = {
+  FORMATS,
+  exportRow,
+  toCsvLine,
+  exportPages,
+  streamExport,
+};
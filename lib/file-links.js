@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { defaultTenant } = require('./tenants');
+
+const PRIVATE_BUCKET = 'piano-quote-files';
+const DEFAULT_TTL_DAYS = 30;
+const SIGNED_URL_SECONDS = 300;
+
+function createJobSheetLink(jobRef, { ttlDays = DEFAULT_TTL_DAYS, now = Date.now(), secret = process.env.FILE_LINK_SECRET, appUrl = defaultTenant().appUrl } = {}) {
+  if (!secret) throw new Error('FILE_LINK_SECRET is not configured');
+
+  const exp = Math.floor(now / 1000) + ttlDays * 24 * 60 * 60;
+  const params = new URLSearchParams({ exp: String(exp), sig: sign(jobRef, exp, secret) });
+  return {
+    url: `${appUrl}/api/job-sheet/${encodeURIComponent(jobRef)}?${params}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+function verifyJobSheetLink({ jobRef, exp, sig } = {}, { now = Date.now(), secret = process.env.FILE_LINK_SECRET } = {}) {
+  if (!secret || !jobRef || !exp || !sig) return { valid: false, reason: 'Invalid link' };
+
+  const expected = Buffer.from(sign(jobRef, exp, secret));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'Invalid link' };
+  }
+  if (Number(exp) * 1000 < now) {
+    return { valid: false, reason: 'This link has expired, open the job from the ops view instead' };
+  }
+
+  return { valid: true, jobRef };
+}
+
+async function signedFileUrl(supabase, bucket, path, { expiresIn = SIGNED_URL_SECONDS, download } = {}) {
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrl(path, expiresIn, download ? { download } : undefined);
+
+  if (error) {
+    console.error(`Signed URL error (${path}):`, error);
+    return null;
+  }
+  return data.signedUrl;
+}
+
+async function jobSheetUrl(supabase, bucket, jobRef, { expiresIn = SIGNED_URL_SECONDS } = {}) {
+  const { data: quote, error } = await supabase
+    .from('quotes')
+    .select('job_ref, pdf_path')
+    .eq('job_ref', jobRef)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Job sheet lookup error:', error);
+    return { data: null, error: { status: 500, message: 'Failed to load quote' } };
+  }
+  if (!quote) {
+    return { data: null, error: { status: 404, message: 'Quote not found' } };
+  }
+  if (!quote.pdf_path) {
+    return { data: null, error: { status: 404, message: 'The job sheet is not ready yet, try again in a minute' } };
+  }
+
+  const url = await signedFileUrl(supabase, bucket, quote.pdf_path, { expiresIn });
+  if (!url) {
+    return { data: null, error: { status: 404, message: 'Job sheet not found' } };
+  }
+
+  return { data: url, error: null };
+}
+
+function sign(jobRef, exp, secret) {
+  return crypto.createHmac('sha256', secret).update(`job-sheet:${jobRef}:${exp}`).digest('base64url');
+}
+
+module.exports = {
+  PRIVATE_BUCKET,
+  SIGNED_URL_SECONDS,
+  createJobSheetLink,
+  verifyJobSheetLink,
+  signedFileUrl,
+  jobSheetUrl,
+};
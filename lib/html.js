@@ -0,0 +1,105 @@
+const URL_ATTRIBUTE = /\b(?:href|src|action)\s*=\s*["']?$/i;
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ', middot: '·', rarr: '→', bull: '•', pound: '£', copy: '©' };
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += render(value, strings[i]) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+function render(value, preceding) {
+  if (Array.isArray(value)) {
+    return value.map(item => render(item, '')).join('');
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (value === undefined || value === null || value === false) {
+    return '';
+  }
+  if (URL_ATTRIBUTE.test(preceding)) {
+    return escapeHtml(safeUrl(value));
+  }
+  return escapeHtml(value);
+}
+
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/`/g, '&#96;');
+}
+
+function safeUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : '#';
+  } catch {
+    return '#';
+  }
+}
+
+function toPlainText(markup) {
+  const text = String(markup)
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<td\b[^>]*>\s*([^<]+?)\s*<\/td>\s*(?=<td\b)/gi, '$1: ')
+    .replace(/<a\b[^>]*?href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => linkText(href, label))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|h[1-6]|td|tr|table|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+function linkText(href, label) {
+  const text = label.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+  if (!text) return href;
+  if (href === '#') return text;
+  if (/^(mailto|tel):/i.test(href)) {
+    const target = decodeEntities(href).replace(/^\w+:/, '').split('?')[0];
+    return text.includes(target) ? text : `${text} (${target})`;
+  }
+  if (decodeEntities(href).replace(/^https?:\/\//, '').replace(/\/$/, '') === decodeEntities(text).replace(/\/$/, '')) return href;
+  return `${text} (${href})`;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&([a-z]+);/gi, (match, name) => ENTITIES[name] || match);
+}
+
+module.exports = {
+  html,
+  raw,
+  escapeHtml,
+  safeUrl,
+  toPlainText,
+};
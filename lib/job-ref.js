@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+const PREFIX = 'PMT';
+const BODY_LENGTH = 7;
+const LEGACY_PATTERN = /^PMT\d{6}$/;
+
+function generateJobRef() {
+  let body = '';
+  for (let i = 0; i < BODY_LENGTH; i++) {
+    body += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return format(body + checkCharacter(body));
+}
+
+function normaliseJobRef(value) {
+  const compact = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+  if (!compact.startsWith(PREFIX)) return null;
+  if (LEGACY_PATTERN.test(compact)) return `${PREFIX}-${compact.slice(PREFIX.length)}`;
+
+  const chars = compact.slice(PREFIX.length);
+  if (chars.length !== BODY_LENGTH + 1) return null;
+  if ([...chars].some(char => !ALPHABET.includes(char))) return null;
+  if (checkCharacter(chars.slice(0, -1)) !== chars.slice(-1)) return null;
+
+  return format(chars);
+}
+
+async function allocateJobRef(supabase, attempts = 5) {
+  for (let i = 0; i < attempts; i++) {
+    const jobRef = generateJobRef();
+    const { count, error } = await supabase
+      .from('quotes')
+      .select('job_ref', { count: 'exact', head: true })
+      .eq('job_ref', jobRef);
+
+    if (error) {
+      console.error('Job reference lookup error:', error);
+      return jobRef;
+    }
+    if (!count) return jobRef;
+  }
+  throw new Error('Could not allocate a unique job reference');
+}
+
+function checkCharacter(body) {
+  const n = ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+function format(chars) {
+  return `${PREFIX}-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+module.exports = {
+  generateJobRef,
+  normaliseJobRef,
+  allocateJobRef,
+};
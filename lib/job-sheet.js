@@ -0,0 +1,352 @@
+const PDFDocument = require('pdfkit');
+const { formatEstimate, formatPrice } = require('./pricing');
+const { formatRoute } = require('./location');
+const { formatPhone } = require('./phone');
+const defaultBusiness = require('../config/business');
+
+async function generateJobSheetPDF(data, jobRef, estimate, photos = [], route = null, business = defaultBusiness) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ 
+      size: 'A4', 
+      margin: 25,
+      bufferPages: true,
+      info: {
+        Title: `Job Sheet ${jobRef}`,
+        Author: business.name,
+        Subject: `Piano Move - ${data.fullname}`,
+      }
+    });
+    
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawJobSheet(doc, data, jobRef, estimate, {
+      route,
+      business,
+      date: new Date(),
+      photos: photos.filter(photo => photo.contentType.startsWith('image/')),
+    });
+    drawFooters(doc, business);
+
+    doc.end();
+  });
+}
+
+function drawJobSheet(doc, data, jobRef, estimate, { route = null, business = defaultBusiness, date = new Date(), title = 'JOB SHEET', photos = [] } = {}) {
+  const jobDate = new Date(date).toLocaleDateString('en-GB', { 
+    day: '2-digit', 
+    month: '2-digit', 
+    year: 'numeric' 
+  });
+
+  doc.rect(25, 25, doc.page.width - 50, 60)
+     .lineWidth(2)
+     .stroke(business.brand.primary);
+
+  if (business.logo.path) {
+    doc.image(business.logo.path, doc.page.width - 230, 32, { fit: [70, 46] });
+  }
+  
+  doc.fontSize(25).fillColor('#000000').font('Helvetica-Bold')
+     .text(title, 35, 35);
+  
+  doc.fontSize(10).fillColor('#666666').font('Helvetica')
+     .text(business.name, 35, 65);
+  
+  doc.fontSize(11).fillColor('#000000').font('Helvetica-Bold')
+     .text(`REF: ${jobRef}`, doc.page.width - 150, 35, { width: 120, align: 'right' });
+  
+  doc.fontSize(9).fillColor('#666666').font('Helvetica')
+     .text(`Date: ${jobDate}`, doc.page.width - 150, 55, { width: 120, align: 'right' });
+
+  let yPos = 100;
+
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+     .text('CUSTOMER DETAILS', 35, yPos);
+  
+  yPos += 15;
+  
+  doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+     .text('Name:', 35, yPos);
+  doc.fontSize(10).font('Helvetica').fillColor('#000000')
+     .text(data.fullname, 85, yPos);
+  yPos += 14;
+  
+  doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+     .text('Phone:', 35, yPos);
+  doc.fontSize(10).font('Helvetica').fillColor('#000000')
+     .text(formatPhone(data.phone), 85, yPos);
+  yPos += 14;
+  
+  doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+     .text('Email:', 35, yPos);
+  doc.fontSize(10).font('Helvetica').fillColor('#000000')
+     .text(data.email, 85, yPos);
+  yPos += 14;
+  
+  doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+     .text('Piano Type:', 35, yPos);
+  doc.fontSize(10).font('Helvetica').fillColor('#000000')
+     .text(data.pianotype || 'Not specified', 85, yPos);
+  yPos += 18;
+
+  doc.moveTo(35, yPos).lineTo(doc.page.width - 35, yPos).lineWidth(0.5).stroke('#cccccc');
+  yPos += 15;
+
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+     .text('PICKUP LOCATION', 35, yPos);
+  
+  yPos += 15;
+  const boxHeight = 45;
+  doc.rect(35, yPos, doc.page.width - 70, boxHeight)
+     .lineWidth(1.5)
+     .stroke('#000000');
+  
+  doc.fontSize(11).fillColor('#999999').font('Helvetica-Bold')
+     .text('ADDRESS:', 45, yPos + 10);
+  doc.fontSize(11).fillColor('#000000').font('Helvetica-Bold')
+     .text(data.pickup_postcode, 45, yPos + 22, { width: 260 });
+  
+  const stepsX = doc.page.width - 110;
+  doc.fontSize(11).fillColor('#999999').font('Helvetica-Bold')
+     .text('STEPS:', stepsX, yPos + 10);
+  doc.fontSize(22).fillColor('#000000').font('Helvetica-Bold')
+     .text(data.pickup_steps.toString(), stepsX, yPos + 20);
+
+  yPos += boxHeight + 15;
+
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+     .text('DELIVERY LOCATION', 35, yPos);
+  
+  yPos += 15;
+  doc.rect(35, yPos, doc.page.width - 70, boxHeight)
+     .lineWidth(1.5)
+     .stroke('#000000');
+  
+  doc.fontSize(11).fillColor('#999999').font('Helvetica-Bold')
+     .text('ADDRESS:', 45, yPos + 10);
+  doc.fontSize(11).fillColor('#000000').font('Helvetica-Bold')
+     .text(data.delivery_postcode, 45, yPos + 22, { width: 260 });
+  
+  doc.fontSize(11).fillColor('#999999').font('Helvetica-Bold')
+     .text('STEPS:', stepsX, yPos + 10);
+  doc.fontSize(22).fillColor('#000000').font('Helvetica-Bold')
+     .text(data.delivery_steps.toString(), stepsX, yPos + 20);
+
+  yPos += boxHeight + 15;
+
+  if (route) {
+    doc.fontSize(11).fillColor('#999999').font('Helvetica-Bold')
+       .text('DISTANCE:', 35, yPos);
+    doc.fontSize(11).fillColor('#000000').font('Helvetica')
+       .text(formatRoute(route), 110, yPos, { width: doc.page.width - 145 });
+    yPos += 18;
+
+    if (route.outsideServiceArea) {
+      doc.fontSize(11).fillColor('#c0392b').font('Helvetica-Bold')
+         .text('OUTSIDE SERVICE AREA', 35, yPos);
+      yPos += 18;
+    }
+
+    yPos += 7;
+  }
+
+  const contentBottom = doc.page.height - 75;
+  const ensureSpace = height => {
+    if (yPos + height > contentBottom) {
+      doc.addPage();
+      yPos = drawContinuationHeader(doc, `REF: ${jobRef}`, `${title} (CONTINUED)`);
+    }
+  };
+
+  if (data.specialrequirements) {
+    ensureSpace(60);
+
+    doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+       .text('SPECIAL REQUIREMENTS', 35, yPos);
+    
+    yPos += 15;
+
+    const textOptions = { width: doc.page.width - 90, lineGap: 1 };
+    let remaining = data.specialrequirements;
+
+    while (remaining) {
+      doc.fontSize(12).font('Helvetica');
+      const chunk = fitText(doc, remaining, textOptions, contentBottom - yPos - 20);
+      const textHeight = doc.heightOfString(chunk, textOptions) + 15;
+
+      doc.rect(35, yPos, doc.page.width - 70, textHeight)
+         .fillAndStroke('#FFFEF0', '#000000');
+      
+      doc.fontSize(12).fillColor('#000000').font('Helvetica')
+         .text(chunk, 45, yPos + 10, textOptions);
+      
+      yPos += textHeight + 12;
+      remaining = remaining.slice(chunk.length).trimStart();
+
+      if (remaining) {
+        doc.addPage();
+        yPos = drawContinuationHeader(doc, `REF: ${jobRef}`, 'SPECIAL REQUIREMENTS (CONTINUED)');
+      }
+    }
+  }
+
+  const breakdownText = estimate.breakdown
+    .map(item => `${item.label}: ${formatPrice(item.amount, estimate.currency)}`)
+    .join('  •  ');
+  const notesHeight = Math.max(45, doc.fontSize(8).font('Helvetica').heightOfString(breakdownText, {
+    width: doc.page.width - 90
+  }) + 35);
+
+  ensureSpace(notesHeight + 60);
+
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+     .text('NOTES / QUOTE', 35, yPos);
+  
+  yPos += 15;
+  
+  doc.rect(35, yPos, doc.page.width - 70, notesHeight)
+     .lineWidth(1)
+     .stroke('#000000');
+  
+  doc.fontSize(11).fillColor('#999999').font('Helvetica-Bold')
+     .text('ESTIMATE:', 45, yPos + 10);
+  doc.fontSize(14).fillColor('#000000').font('Helvetica-Bold')
+     .text(formatEstimate(estimate), 120, yPos + 8);
+  doc.fontSize(8).fillColor('#666666').font('Helvetica')
+     .text(breakdownText, 45, yPos + 27, { width: doc.page.width - 90 });
+
+  yPos += notesHeight + 15;
+
+  const sigWidth = (doc.page.width - 60) / 2;
+  
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+     .text('CREW SIGNATURE:', 35, yPos);
+  doc.moveTo(35, yPos + 10).lineTo(35 + sigWidth, yPos + 10)
+     .lineWidth(1)
+     .stroke('#000000');
+  
+  doc.fontSize(12).fillColor('#000000').font('Helvetica-Bold')
+     .text('CUSTOMER SIGNATURE:', doc.page.width / 2 + 5, yPos);
+  doc.moveTo(doc.page.width / 2 + 5, yPos + 10)
+     .lineTo(doc.page.width - 35, yPos + 10)
+     .lineWidth(1)
+     .stroke('#000000');
+
+  drawPhotoPages(doc, jobRef, photos, contentBottom);
+}
+
+function drawFooters(doc, business) {
+  const pages = doc.bufferedPageRange();
+  for (let i = pages.start; i < pages.start + pages.count; i++) {
+    doc.switchToPage(i);
+    drawFooter(doc, i - pages.start + 1, pages.count, business);
+  }
+}
+
+function drawContinuationHeader(doc, reference, title) {
+  doc.fontSize(14).fillColor('#000000').font('Helvetica-Bold')
+     .text(title, 35, 35);
+  doc.fontSize(11).fillColor('#000000').font('Helvetica-Bold')
+     .text(reference, doc.page.width - 150, 37, { width: 115, align: 'right' });
+  doc.moveTo(35, 57).lineTo(doc.page.width - 35, 57).lineWidth(0.5).stroke('#cccccc');
+  return 70;
+}
+
+function drawPhotoPages(doc, jobRef, photos, contentBottom) {
+  const columns = 2;
+  const rows = 3;
+  const gap = 15;
+  const captionHeight = 14;
+  const cellWidth = (doc.page.width - 70 - gap * (columns - 1)) / columns;
+
+  photos.forEach((photo, index) => {
+    const slot = index % (columns * rows);
+    if (slot === 0) {
+      doc.addPage();
+      drawContinuationHeader(doc, `REF: ${jobRef}`, 'CUSTOMER PHOTOS');
+    }
+
+    const top = 70;
+    const cellHeight = (contentBottom - top - gap * (rows - 1)) / rows;
+    const x = 35 + (slot % columns) * (cellWidth + gap);
+    const y = top + Math.floor(slot / columns) * (cellHeight + gap);
+    const imageHeight = cellHeight - captionHeight;
+
+    doc.rect(x, y, cellWidth, imageHeight).lineWidth(0.5).stroke('#cccccc');
+
+    try {
+      doc.image(photo.content, x + 4, y + 4, {
+        fit: [cellWidth - 8, imageHeight - 8],
+        align: 'center',
+        valign: 'center'
+      });
+    } catch (error) {
+      doc.fontSize(10).fillColor('#999999').font('Helvetica')
+         .text('Preview not available - see email attachment', x + 10, y + imageHeight / 2 - 5, {
+           width: cellWidth - 20,
+           align: 'center'
+         });
+    }
+
+    doc.fontSize(9).fillColor('#000000').font('Helvetica')
+       .text(`${index + 1}. ${photo.filename}`, x, y + imageHeight + 3, {
+         width: cellWidth,
+         align: 'center',
+         lineBreak: false,
+         ellipsis: true
+       });
+  });
+}
+
+function drawFooter(doc, pageNumber, pageCount, business) {
+  const footerY = doc.page.height - 60;
+
+  doc.fontSize(10).fillColor('#000000').font('Helvetica-Bold')
+     .text(`${business.name} • ${business.address.street}, ${business.address.city} ${business.address.postcode}`,
+           35, footerY, { 
+             align: 'center', 
+             width: doc.page.width - 70 
+           });
+  
+  doc.fontSize(8).fillColor('#000000').font('Helvetica-Bold')
+     .text([...Object.values(business.phones).map(phone => `${phone.label}: ${phone.display}`), `Email: ${business.email}`].join(' • '),
+           35, footerY + 12, { 
+             align: 'center', 
+             width: doc.page.width - 70 
+           });
+
+  if (pageCount > 1) {
+    doc.fontSize(8).fillColor('#666666').font('Helvetica')
+       .text(`Page ${pageNumber} of ${pageCount}`, 35, footerY - 14, {
+         align: 'center',
+         width: doc.page.width - 70
+       });
+  }
+}
+
+function fitText(doc, text, options, maxHeight) {
+  if (doc.heightOfString(text, options) <= maxHeight) return text;
+
+  const words = text.split(/(\s+)/);
+  let low = 1;
+  let high = words.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (doc.heightOfString(words.slice(0, mid).join(''), options) <= maxHeight) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return words.slice(0, low).join('');
+}
+
+module.exports = {
+  generateJobSheetPDF,
+  drawJobSheet,
+  drawContinuationHeader,
+  drawFooters,
+};
@@ -0,0 +1,83 @@
+const dataset = require('../data/postcode-districts.json');
+const serviceArea = require('../config/service-area');
+
+const POSTCODE_PATTERN = /\b([A-Z]{1,2})(\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+const EARTH_RADIUS_MILES = 3958.8;
+
+function parsePostcode(text) {
+  const match = POSTCODE_PATTERN.exec(String(text || ''));
+  if (!match) return null;
+
+  const area = match[1].toUpperCase();
+  const outward = `${area}${match[2].toUpperCase()}`;
+  const inward = match[3].toUpperCase();
+
+  return {
+    postcode: `${outward} ${inward}`,
+    outward,
+    inward,
+    area,
+    district: outward.replace(/^([A-Z]{1,2}\d{1,2})[A-Z]$/, '$1'),
+  };
+}
+
+function locate(text) {
+  const parsed = parsePostcode(text);
+  if (!parsed) return null;
+
+  const district = dataset.districts[parsed.district];
+  const area = dataset.areas[parsed.area];
+  const point = district || area;
+
+  return {
+    ...parsed,
+    areaName: area ? area[2] : null,
+    placeName: district ? district[2] : (area ? area[2] : null),
+    lat: point ? point[0] : null,
+    lng: point ? point[1] : null,
+    approximate: !district,
+  };
+}
+
+function distanceMiles(from, to) {
+  if (!from || !to || from.lat == null || to.lat == null) return null;
+
+  const rad = degrees => degrees * Math.PI / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLng = rad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a)) * 10) / 10;
+}
+
+function describeRoute(pickupText, deliveryText, area = serviceArea) {
+  const pickup = locate(pickupText);
+  const delivery = locate(deliveryText);
+  const base = locate(area.base);
+
+  const outside = [pickup, delivery].some(end => {
+    const miles = distanceMiles(base, end);
+    return miles == null || miles > area.radiusMiles;
+  });
+
+  return {
+    pickup,
+    delivery,
+    distanceMiles: distanceMiles(pickup, delivery),
+    approximate: Boolean(pickup && pickup.approximate) || Boolean(delivery && delivery.approximate),
+    outsideServiceArea: outside,
+  };
+}
+
+function formatRoute(route) {
+  if (route.distanceMiles == null) return 'Distance unknown';
+  const place = end => `${end.outward} ${end.placeName}`;
+  return `${route.approximate ? 'About ' : ''}${route.distanceMiles} miles (straight line) - ${place(route.pickup)} to ${place(route.delivery)}`;
+}
+
+module.exports = {
+  parsePostcode,
+  locate,
+  distanceMiles,
+  describeRoute,
+  formatRoute,
+};
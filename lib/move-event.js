@@ -0,0 +1,91 @@
+const { generateICS, zonedTimeToUtc } = require('./ics');
+const { resolvePianoType } = require('./pricing');
+const { toFormData, describeMove } = require('./quotes');
+const { tenantForQuote, storagePath: tenantPath } = require('./tenants');
+const { signedFileUrl } = require('./file-links');
+
+const DEFAULT_START_TIME = '09:00';
+
+function buildMoveEvents(quote, { sequence = 0, cancelled = false, stamp = new Date(), tenant = tenantForQuote(quote) } = {}) {
+  const { business, pricing } = tenant;
+  const piano = pricing.pianoTypes[resolvePianoType(quote.piano_type, pricing) || 'other'];
+  const start = zonedTimeToUtc(String(quote.move_date).slice(0, 10), quote.move_time || DEFAULT_START_TIME);
+  const end = new Date(start.getTime() + piano.hours * 60 * 60 * 1000);
+
+  const shared = {
+    uid: `${quote.job_ref}@${business.domain}`,
+    sequence,
+    stamp,
+    start,
+    end,
+    location: quote.pickup_postcode,
+    prodId: `-//${business.name}//${business.team}//EN`,
+    organizer: { name: business.name, email: business.email },
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+  };
+
+  return {
+    office: generateICS({
+      ...shared,
+      summary: `${cancelled ? 'CANCELLED: ' : ''}Piano Move - ${quote.customer_name} (${quote.job_ref})`,
+      description: describeMove(toFormData(quote)),
+    }),
+    customer: generateICS({
+      ...shared,
+      summary: `${cancelled ? 'CANCELLED: ' : ''}Piano Move - ${business.name}`,
+      description: `Your ${piano.label.toLowerCase()} move from ${quote.pickup_postcode} to ${quote.delivery_postcode}.\nOur crew will call you when they are on their way.\n\nQuestions? Call ${business.phones.office.display}.\nReference: ${quote.job_ref}`,
+    }),
+  };
+}
+
+async function issueMoveEvent(supabase, bucket, quote, { cancelled = false } = {}) {
+  const sequence = quote.calendar_sequence == null ? 0 : quote.calendar_sequence + 1;
+  const tenant = tenantForQuote(quote);
+  const events = buildMoveEvents(quote, { sequence, cancelled, tenant });
+  const storagePath = tenantPath(tenant, `calendar/${quote.job_ref}.ics`);
+
+  const { error: uploadError } = await supabase.storage
+    .from(bucket)
+    .upload(storagePath, events.office, {
+      contentType: 'text/calendar',
+      cacheControl: '60',
+      upsert: true
+    });
+
+  if (uploadError) {
+    console.error('Calendar upload error:', uploadError);
+    return { data: null, error: uploadError };
+  }
+
+  const { error: updateError } = await supabase
+    .from('quotes')
+    .update({ calendar_sequence: sequence, calendar_path: storagePath })
+    .eq('job_ref', quote.job_ref);
+
+  if (updateError) {
+    console.error('Calendar sequence update error:', updateError);
+    return { data: null, error: updateError };
+  }
+
+  return {
+    data: {
+      sequence,
+      path: storagePath,
+      url: await signedFileUrl(supabase, bucket, storagePath),
+      filename: eventFileName(quote.job_ref),
+      office: events.office,
+      customer: events.customer,
+    },
+    error: null,
+  };
+}
+
+function eventFileName(jobRef) {
+  return `Piano-Move-${jobRef}.ics`;
+}
+
+module.exports = {
+  buildMoveEvents,
+  eventFileName,
+  issueMoveEvent,
+};
@@ -0,0 +1,144 @@
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 60 * 60;
+const LEASE_SECONDS = 120;
+const INLINE_BUDGET_MS = 5000;
+
+async function createQuoteWithJobs(supabase, quote, jobs) {
+  const { data, error } = await supabase
+    .rpc('create_quote_with_jobs', { p_quote: quote, p_jobs: jobs });
+
+  return { data: data && data[0], error };
+}
+
+async function enqueueJob(supabase, quote, job) {
+  return supabase
+    .from('quote_jobs')
+    .upsert({
+      job_ref: quote.job_ref,
+      tenant_id: quote.tenant_id,
+      kind: job.kind,
+      payload: job.payload || {},
+      depends_on: job.depends_on || null,
+    }, { onConflict: 'job_ref,kind', ignoreDuplicates: true });
+}
+
+async function runJobs(supabase, handlers, { jobRef = null, batchSize = 10, maxRounds = 5, budgetMs = null, onFailed } = {}) {
+  const summary = { claimed: 0, done: 0, retrying: 0, failed: 0 };
+  const deadline = budgetMs == null ? Infinity : Date.now() + budgetMs;
+
+  for (let round = 0; round < maxRounds && Date.now() < deadline; round++) {
+    const { data: jobs, error } = await supabase.rpc('claim_quote_jobs', {
+      p_batch_size: batchSize,
+      p_lease_seconds: LEASE_SECONDS,
+      p_job_ref: jobRef,
+    });
+
+    if (error) {
+      console.error('Job claim error:', error);
+      break;
+    }
+    if (!jobs || jobs.length === 0) break;
+
+    summary.claimed += jobs.length;
+
+    for (const job of jobs) {
+      const outcome = await runJob(supabase, handlers, job);
+      summary[outcome]++;
+
+      if (outcome === 'failed' && onFailed) {
+        try {
+          await onFailed(job);
+        } catch (alertError) {
+          console.error('Job failure alert error:', alertError);
+        }
+      }
+    }
+  }
+
+  return summary;
+}
+
+async function runJob(supabase, handlers, job) {
+  const handler = handlers[job.kind];
+
+  try {
+    if (!handler) throw new Error(`No handler for job kind "${job.kind}"`);
+    const result = await handler(job);
+
+    await updateJob(supabase, job, {
+      status: 'done',
+      result: result || null,
+      last_error: null,
+      locked_until: null,
+      completed_at: new Date().toISOString(),
+    });
+    return 'done';
+  } catch (error) {
+    console.error(`Job ${job.kind} for ${job.job_ref} failed (attempt ${job.attempts}):`, error);
+    job.last_error = error.message;
+
+    if (job.attempts >= job.max_attempts) {
+      await updateJob(supabase, job, { status: 'failed', last_error: error.message, locked_until: null });
+      return 'failed';
+    }
+
+    const runAfter = new Date(Date.now() + retryDelaySeconds(job.attempts) * 1000).toISOString();
+    await updateJob(supabase, job, { status: 'pending', last_error: error.message, locked_until: null, run_after: runAfter });
+    return 'retrying';
+  }
+}
+
+async function updateJob(supabase, job, changes) {
+  const { error } = await supabase
+    .from('quote_jobs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', job.id);
+
+  if (error) {
+    console.error(`Job update error (${job.id}):`, error);
+  }
+}
+
+async function listJobs(supabase, { status = 'failed', jobRef, limit = 100 } = {}) {
+  let query = supabase
+    .from('quote_jobs')
+    .select('id, job_ref, tenant_id, kind, depends_on, status, attempts, max_attempts, run_after, last_error, created_at, updated_at, completed_at')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status !== 'all') query = query.eq('status', status);
+  if (jobRef) query = query.eq('job_ref', jobRef);
+  return query;
+}
+
+async function retryJob(supabase, id) {
+  return supabase
+    .from('quote_jobs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      run_after: new Date().toISOString(),
+      locked_until: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', id)
+    .eq('status', 'failed')
+    .select()
+    .maybeSingle();
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(BASE_DELAY_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_SECONDS);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  INLINE_BUDGET_MS,
+  createQuoteWithJobs,
+  enqueueJob,
+  runJobs,
+  listJobs,
+  retryJob,
+  retryDelaySeconds,
+};
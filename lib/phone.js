@@ -0,0 +1,133 @@
+const DEFAULT_COUNTRY_CODE = '44';
+
+const COUNTRY_CODES = [
+  '1', '7',
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98',
+  '211', '212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229',
+  '230', '231', '232', '233', '234', '235', '236', '237', '238', '239', '240', '241', '242', '243', '244',
+  '245', '246', '248', '249', '250', '251', '252', '253', '254', '255', '256', '257', '258', '260', '261',
+  '262', '263', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299',
+  '350', '351', '352', '353', '354', '355', '356', '357', '358', '359', '370', '371', '372', '373', '374',
+  '375', '376', '377', '378', '380', '381', '382', '383', '385', '386', '387', '389', '420', '421', '423',
+  '500', '501', '502', '503', '504', '505', '506', '507', '508', '509', '590', '591', '592', '593', '594',
+  '595', '596', '597', '598', '599', '670', '672', '673', '674', '675', '676', '677', '678', '679', '680',
+  '681', '682', '683', '685', '686', '687', '688', '689', '690', '691', '692', '850', '852', '853', '855',
+  '856', '880', '886', '960', '961', '962', '963', '964', '965', '966', '967', '968', '970', '971', '972',
+  '973', '974', '975', '976', '977', '992', '993', '994', '995', '996', '998',
+];
+
+const NUMBER_LENGTHS = {
+  '1': [10, 10],
+  '7': [10, 10],
+  '31': [9, 9],
+  '32': [8, 9],
+  '33': [9, 9],
+  '34': [9, 9],
+  '39': [6, 11],
+  '41': [9, 9],
+  '43': [4, 13],
+  '45': [8, 8],
+  '46': [7, 13],
+  '47': [8, 8],
+  '48': [9, 9],
+  '49': [6, 13],
+  '61': [9, 9],
+  '64': [8, 10],
+  '351': [9, 9],
+  '353': [7, 9],
+  '354': [7, 9],
+  '356': [8, 8],
+  '357': [8, 8],
+};
+
+const UK_PATTERNS = [
+  { type: 'mobile', pattern: /^7[1-57-9]\d{8}$/ },
+  { type: 'landline', pattern: /^(?:1\d{8,9}|2\d{9})$/ },
+  { type: 'non-geographic', pattern: /^(?:3[0347]\d{8}|5[56]\d{8}|70\d{8}|76\d{8}|8(?:4[2-5]|7[0-3])\d{7})$/ },
+  { type: 'freephone', pattern: /^80(?:0\d{6,7}|8\d{7})$/ },
+  { type: 'premium', pattern: /^9[018]\d{8}$/ },
+];
+
+function parsePhone(value, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  const text = String(value || '').trim();
+  if (!text || /[^\d\s+().\-/]/.test(text)) return null;
+
+  const compact = text.replace(/[^\d+]/g, '');
+  if (compact.lastIndexOf('+') > 0) return null;
+
+  let digits;
+  if (compact.startsWith('+')) digits = compact.slice(1);
+  else if (compact.startsWith('00')) digits = compact.slice(2);
+  else if (compact.startsWith('0')) digits = defaultCountryCode + compact.slice(1);
+  else if (compact.startsWith(defaultCountryCode) && parsePhone(`+${compact}`)) digits = compact;
+  else digits = defaultCountryCode + compact;
+
+  const countryCode = [3, 2, 1].map(length => digits.slice(0, length)).find(code => COUNTRY_CODES.includes(code));
+  if (!countryCode) return null;
+
+  let number = digits.slice(countryCode.length);
+  if (countryCode === '44' && number.startsWith('0')) number = number.slice(1);
+
+  if (countryCode === '44') {
+    const match = UK_PATTERNS.find(({ pattern }) => pattern.test(number));
+    return match ? { e164: `+44${number}`, countryCode, number, type: match.type } : null;
+  }
+
+  const [min, max] = NUMBER_LENGTHS[countryCode] || [4, 15 - countryCode.length];
+  if (number.length < min || number.length > max || number.startsWith('0') && countryCode !== '39') return null;
+  return { e164: `+${countryCode}${number}`, countryCode, number, type: 'international' };
+}
+
+function toE164(value, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  const phone = parsePhone(value, defaultCountryCode);
+  return phone ? phone.e164 : null;
+}
+
+function formatPhone(value) {
+  const phone = parsePhone(value);
+  if (!phone) return String(value || '');
+  if (phone.countryCode !== '44') return `+${phone.countryCode} ${groupDigits(phone.number)}`;
+
+  const national = `0${phone.number}`;
+  const [areaLength] = [
+    [3, /^02/],
+    [4, /^01\d1|^011/],
+    [5, /^01|^07/],
+    [4, /^0[3589]/],
+  ].find(([, pattern]) => pattern.test(national)) || [5];
+
+  const rest = national.slice(areaLength);
+  return areaLength === 3 || areaLength === 4 && rest.length === 7
+    ? `${national.slice(0, areaLength)} ${rest.slice(0, rest.length - 4)} ${rest.slice(-4)}`
+    : `${national.slice(0, areaLength)} ${rest}`;
+}
+
+function canReceiveSms(value) {
+  const phone = parsePhone(value);
+  if (!phone) return false;
+  return phone.countryCode === '44' ? phone.type === 'mobile' : true;
+}
+
+function whatsAppNumber(value) {
+  const e164 = toE164(value);
+  return e164 ? e164.slice(1) : null;
+}
+
+function groupDigits(number) {
+  const groups = [];
+  for (let i = 0; i < number.length; i += 3) groups.push(number.slice(i, i + 3));
+  if (groups.length > 1 && groups[groups.length - 1].length === 1) {
+    groups[groups.length - 2] += groups.pop();
+  }
+  return groups.join(' ');
+}
+
+module.exports = {
+  parsePhone,
+  toE164,
+  formatPhone,
+  canReceiveSms,
+  whatsAppNumber,
+};
@@ -0,0 +1,67 @@
+const {
+  generateEmailForYou,
+  generateEmailForCustomer,
+  generateCalendarLink,
+  generateWhatsAppLink,
+} = require('./emails');
+const { generateJobSheetPDF } = require('./job-sheet');
+const { toPlainText } = require('./html');
+const { describeRoute } = require('./location');
+const { estimateQuote } = require('./pricing');
+const { getTenant, defaultTenant } = require('./tenants');
+const { createJobSheetLink } = require('./file-links');
+
+const PREVIEW_LINK_SECRET = 'preview';
+
+function renderEmails(fixture) {
+  const { tenant, data, route, estimate } = prepare(fixture);
+  const { business } = tenant;
+
+  const office = generateEmailForYou({
+    data,
+    calLink: generateCalendarLink(data),
+    waLink: generateWhatsAppLink(data),
+    attachCount: fixture.photoCount || 0,
+    jobRef: fixture.jobRef,
+    pdfUrl: createJobSheetLink(fixture.jobRef, {
+      now: Date.parse(fixture.receivedAt),
+      secret: PREVIEW_LINK_SECRET,
+      appUrl: tenant.appUrl,
+    }).url,
+    estimate,
+    previousQuotes: fixture.previousQuotes || [],
+    route,
+    business,
+    receivedAt: fixture.receivedAt,
+  });
+  const customer = generateEmailForCustomer(data, `${business.website}/contact.vcf`, business);
+
+  return {
+    'office.html': office,
+    'office.txt': toPlainText(office),
+    'customer.html': customer,
+    'customer.txt': toPlainText(customer),
+  };
+}
+
+async function renderPreview(fixture) {
+  const { tenant, data, route, estimate } = prepare(fixture);
+  return {
+    ...renderEmails(fixture),
+    'job-sheet.pdf': await generateJobSheetPDF(data, fixture.jobRef, estimate, [], route, tenant.business),
+  };
+}
+
+function prepare(fixture) {
+  const tenant = fixture.tenant ? getTenant(fixture.tenant) : defaultTenant();
+  if (!tenant) throw new Error(`Unknown tenant ${fixture.tenant}`);
+
+  const { data } = fixture;
+  const route = describeRoute(data.pickup_postcode, data.delivery_postcode, tenant.serviceArea);
+  return { tenant, data, route, estimate: estimateQuote(data, tenant.pricing, route) };
+}
+
+module.exports = {
+  renderEmails,
+  renderPreview,
+};
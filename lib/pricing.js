@@ -0,0 +1,105 @@
+const defaultRates = require('../config/pricing');
+const { describeRoute } = require('./location');
+
+function estimateQuote(data, rates = defaultRates, route = describeRoute(data.pickup_postcode, data.delivery_postcode)) {
+  const pianoKey = resolvePianoType(data.pianotype, rates) || 'other';
+  const piano = rates.pianoTypes[pianoKey];
+  const breakdown = [];
+
+  breakdown.push({ label: piano.label, amount: piano.base });
+
+  for (const end of ['pickup', 'delivery']) {
+    const steps = parseSteps(data[`${end}_steps`]);
+    const chargeable = Math.max(0, steps - rates.freeSteps);
+    if (chargeable > 0) {
+      breakdown.push({
+        label: `${end === 'pickup' ? 'Pickup' : 'Delivery'} steps (${steps})`,
+        amount: chargeable * piano.perStep,
+      });
+    }
+  }
+
+  const band = distanceBand(route, rates);
+  if (band.amount > 0) {
+    breakdown.push({ label: band.label, amount: band.amount });
+  }
+
+  if (data.specialrequirements && data.specialrequirements.trim()) {
+    const text = data.specialrequirements;
+    breakdown.push({ label: rates.specialRequirements.label, amount: rates.specialRequirements.amount });
+    for (const rule of rates.specialRequirements.keywords) {
+      if (rule.terms.some(term => mentions(text, term))) {
+        breakdown.push({ label: rule.label, amount: rule.amount });
+      }
+    }
+  }
+
+  let subtotal = breakdown.reduce((sum, item) => sum + item.amount, 0);
+
+  if (isWeekend(data.move_date)) {
+    const surcharge = subtotal * rates.weekend.percent / 100;
+    breakdown.push({ label: `${rates.weekend.label} (+${rates.weekend.percent}%)`, amount: surcharge });
+    subtotal += surcharge;
+  }
+
+  const spread = rates.spread + (band.widen || 0) + (route.approximate ? rates.approximateDistance.widen : 0);
+
+  return {
+    currency: rates.currency,
+    low: roundTo(subtotal * (1 - spread), rates.roundTo),
+    high: roundTo(subtotal * (1 + spread), rates.roundTo),
+    pianoType: pianoKey,
+    distanceMiles: route.distanceMiles,
+    distanceBand: band.label,
+    breakdown: breakdown.map(item => ({ label: item.label, amount: roundTo(item.amount, 1) })),
+  };
+}
+
+function resolvePianoType(value, rates = defaultRates) {
+  const key = String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (rates.pianoTypes[key]) return key;
+  return rates.aliases[key] || null;
+}
+
+function parseSteps(value) {
+  const steps = parseInt(value, 10);
+  return Number.isFinite(steps) && steps > 0 ? steps : 0;
+}
+
+function distanceBand(route, rates) {
+  const miles = route.distanceMiles;
+  if (miles == null) return rates.unknownDistance;
+
+  const band = rates.distanceBands.find(candidate => candidate.upTo == null || miles <= candidate.upTo);
+  if (!band.perMile) return band;
+  return { ...band, amount: band.amount + Math.max(0, miles - band.perMileOver) * band.perMile };
+}
+
+function mentions(text, term) {
+  return new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text);
+}
+
+function isWeekend(date) {
+  if (!date) return false;
+  const day = new Date(`${String(date).slice(0, 10)}T12:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+function roundTo(amount, step) {
+  return Math.round(amount / step) * step;
+}
+
+function formatPrice(amount, currency = 'GBP') {
+  return new Intl.NumberFormat('en-GB', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
+
+function formatEstimate(estimate) {
+  return `${formatPrice(estimate.low, estimate.currency)} - ${formatPrice(estimate.high, estimate.currency)}`;
+}
+
+module.exports = {
+  estimateQuote,
+  resolvePianoType,
+  formatPrice,
+  formatEstimate,
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { serialiseQuote } = require('./quotes');
+const { signedFileUrl } = require('./file-links');
+const { LIMITS } = require('./abuse');
+
+const UNCONVERTED_STATUSES = ['new', 'called_back', 'quoted', 'lost'];
+const RETENTION_BATCH_SIZE = 100;
+const EXPORT_LINK_SECONDS = 7 * 24 * 60 * 60;
+const ERASED = '[erased]';
+
+async function findSubjectQuotes(supabase, { tenantId, email, phone }) {
+  const lookups = await Promise.all([
+    email ? supabase.from('quotes').select('*').eq('tenant_id', tenantId).ilike('customer_email', likeLiteral(email)) : { data: [] },
+    phone ? supabase.from('quotes').select('*').eq('tenant_id', tenantId).eq('customer_phone', phone) : { data: [] },
+  ]);
+
+  const failed = lookups.find(result => result.error);
+  if (failed) {
+    console.error('Subject quote lookup error:', failed.error);
+    return { data: null, error: { status: 500, message: 'Failed to look up quotes' } };
+  }
+
+  const byRef = new Map();
+  for (const { data: rows } of lookups) {
+    for (const row of rows || []) byRef.set(row.job_ref, row);
+  }
+
+  const quotes = [...byRef.values()].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  return { data: quotes, error: null };
+}
+
+async function exportSubjectData(supabase, { bucket, privateBucket }, subject, { requestedBy, now = new Date() }) {
+  const { data: quotes, error } = await findSubjectQuotes(supabase, subject);
+  if (error) return { data: null, error };
+
+  const jobRefs = quotes.map(quote => quote.job_ref);
+  const [history, events, assignments, jobs, abuse] = await Promise.all([
+    supabase.from('quote_status_history').select('*').in('job_ref', jobRefs).order('changed_at'),
+    supabase.from('email_events').select('*').in('job_ref', jobRefs).order('occurred_at'),
+    supabase.from('crew_assignments').select('*').in('job_ref', jobRefs),
+    supabase.from('quote_jobs').select('*').in('job_ref', jobRefs),
+    subject.email ? supabase.from('abuse_log').select('*').eq('email', subject.email).order('created_at') : { data: [] },
+  ]);
+
+  const failed = [history, events, assignments, jobs, abuse].find(result => result.error);
+  if (failed) {
+    console.error('Subject data lookup error:', failed.error);
+    return { data: null, error: { status: 500, message: 'Failed to load related records' } };
+  }
+
+  const bundle = {
+    subject: { email: subject.email || null, phone: subject.phone || null },
+    tenant: subject.tenantId,
+    generatedAt: now.toISOString(),
+    quotes: quotes.map(quote => ({
+      ...serialiseQuote(quote),
+      statusHistory: history.data
+        .filter(entry => entry.job_ref === quote.job_ref)
+        .map(entry => ({ from: entry.from_status, to: entry.to_status, changedBy: entry.changed_by, note: entry.note, changedAt: entry.changed_at })),
+      emailEvents: events.data
+        .filter(event => event.job_ref === quote.job_ref)
+        .map(event => ({ recipient: event.recipient, type: event.type, occurredAt: event.occurred_at })),
+      crewAssignment: assignments.data
+        .filter(assignment => assignment.job_ref === quote.job_ref)
+        .map(assignment => ({ moveDate: assignment.move_date, position: assignment.position }))[0] || null,
+    })),
+    files: await Promise.all(quotes.flatMap(quote => quoteObjects(quote, jobs.data).map(async object => ({
+      jobRef: quote.job_ref,
+      kind: object.kind,
+      path: object.path,
+      url: object.private
+        ? await signedFileUrl(supabase, privateBucket, object.path, { expiresIn: EXPORT_LINK_SECONDS })
+        : supabase.storage.from(bucket).getPublicUrl(object.path).data.publicUrl,
+    })))),
+    rejectedRequests: abuse.data.map(entry => ({ reason: entry.reason, ip: entry.ip, createdAt: entry.created_at })),
+  };
+
+  await recordAudit(supabase, {
+    tenant_id: subject.tenantId,
+    action: 'export',
+    subject_hash: subjectHash(subject),
+    job_refs: jobRefs,
+    requested_by: requestedBy,
+  });
+
+  return { data: bundle, error: null };
+}
+
+async function eraseSubject(supabase, buckets, subject, { mode = 'anonymise', requestedBy, reason, now = new Date() }) {
+  const { data: quotes, error } = await findSubjectQuotes(supabase, subject);
+  if (error) return { data: null, error };
+
+  const { data: removed, error: removeError } = await removeQuotes(supabase, buckets, quotes, { mode, now });
+  if (removeError) return { data: null, error: removeError };
+
+  if (subject.email) {
+    const { error: abuseError } = await supabase.from('abuse_log').delete().eq('email', subject.email);
+    if (abuseError) {
+      console.error('Abuse log erase error:', abuseError);
+      return { data: null, error: { status: 500, message: 'Failed to erase rejected requests' } };
+    }
+
+    const { error: limitError } = await supabase.from('rate_limits').delete().eq('key', `${LIMITS.email.prefix}:${subject.email}`);
+    if (limitError) {
+      console.error('Rate limit erase error:', limitError);
+      return { data: null, error: { status: 500, message: 'Failed to erase rate limit records' } };
+    }
+  }
+
+  await recordAudit(supabase, {
+    tenant_id: subject.tenantId,
+    action: 'erase',
+    mode,
+    subject_hash: subjectHash(subject),
+    job_refs: removed.jobRefs,
+    objects_removed: removed.objects,
+    requested_by: requestedBy,
+    reason: reason || null,
+  });
+
+  return { data: { mode, ...removed }, error: null };
+}
+
+async function purgeExpiredQuotes(supabase, buckets, tenant, { now = new Date(), batchSize = RETENTION_BATCH_SIZE } = {}) {
+  const days = tenant.retention && tenant.retention.unconvertedQuoteDays;
+  if (!days) return { data: { tenant: tenant.id, jobRefs: [], objects: 0 }, error: null };
+
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const { data: rows, error } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('tenant_id', tenant.id)
+    .in('status', UNCONVERTED_STATUSES)
+    .lt('created_at', cutoff)
+    .or(`status_updated_at.is.null,status_updated_at.lt.${cutoff}`)
+    .order('created_at')
+    .limit(batchSize);
+
+  if (error) {
+    console.error('Retention lookup error:', error);
+    return { data: null, error: { status: 500, message: 'Failed to load expired quotes' } };
+  }
+
+  if (rows.length === 0) return { data: { tenant: tenant.id, jobRefs: [], objects: 0 }, error: null };
+
+  const { data: removed, error: removeError } = await removeQuotes(supabase, buckets, rows, { mode: 'delete', now });
+  if (removeError) return { data: null, error: removeError };
+
+  await recordAudit(supabase, {
+    tenant_id: tenant.id,
+    action: 'retention',
+    mode: 'delete',
+    job_refs: removed.jobRefs,
+    objects_removed: removed.objects,
+    requested_by: 'retention-policy',
+    reason: `Unconverted for more than ${days} days`,
+  });
+
+  return { data: { tenant: tenant.id, ...removed }, error: null };
+}
+
+function likeLiteral(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function subjectHash({ tenantId, email, phone }) {
+  return crypto.createHash('sha256').update([tenantId, email || '', phone || ''].join('|')).digest('hex');
+}
+
+async function removeQuotes(supabase, { bucket, privateBucket }, quotes, { mode, now }) {
+  const jobRefs = quotes.map(quote => quote.job_ref);
+  if (jobRefs.length === 0) return { data: { jobRefs, objects: 0 }, error: null };
+
+  const { data: jobs, error: jobsError } = await supabase.from('quote_jobs').select('*').in('job_ref', jobRefs);
+  if (jobsError) {
+    console.error('Quote job lookup error:', jobsError);
+    return { data: null, error: { status: 500, message: 'Failed to load stored files' } };
+  }
+
+  const objects = quotes.flatMap(quote => quoteObjects(quote, jobs));
+  for (const [from, isPrivate] of [[privateBucket, true], [bucket, false]]) {
+    const paths = objects.filter(object => object.private === isPrivate).map(object => object.path);
+    if (paths.length === 0) continue;
+
+    const { error: storageError } = await supabase.storage.from(from).remove(paths);
+    if (storageError) {
+      console.error('Stored file removal error:', storageError);
+      return { data: null, error: { status: 500, message: 'Failed to remove stored files' } };
+    }
+  }
+
+  const steps = mode === 'delete'
+    ? [supabase.from('quotes').delete().in('job_ref', jobRefs)]
+    : [
+      ...quotes.map(quote => supabase.from('quotes').update(anonymisedQuote(quote, now)).eq('job_ref', quote.job_ref)),
+      supabase.from('quote_status_history').update({ note: null }).in('job_ref', jobRefs),
+      supabase.from('email_events').update({ payload: null }).in('job_ref', jobRefs),
+      supabase.from('quote_jobs').update({ payload: {}, result: null, last_error: null }).in('job_ref', jobRefs),
+    ];
+
+  for (const step of steps) {
+    const { error } = await step;
+    if (error) {
+      console.error('Quote erase error:', error);
+      return { data: null, error: { status: 500, message: 'Failed to erase quotes' } };
+    }
+  }
+
+  return { data: { jobRefs, objects: objects.length }, error: null };
+}
+
+function anonymisedQuote(quote, now) {
+  return {
+    customer_name: ERASED,
+    customer_email: ERASED,
+    customer_phone: ERASED,
+    pickup_postcode: quote.pickup_outward || ERASED,
+    delivery_postcode: quote.delivery_outward || ERASED,
+    special_requirements: null,
+    attachment_files: [],
+    attachments_count: 0,
+    pdf_url: null,
+    pdf_path: null,
+    calendar_url: null,
+    calendar_path: null,
+    idempotency_key: null,
+    erased_at: now.toISOString(),
+  };
+}
+
+function quoteObjects(quote, jobs) {
+  const objects = (quote.attachment_files || []).map(file => ({ kind: 'attachment', path: file.path, private: true }));
+
+  const sheet = jobs.find(job => job.job_ref === quote.job_ref && job.kind === 'job_sheet');
+  const pdfPath = quote.pdf_path || (sheet && sheet.payload && sheet.payload.pdfPath);
+  if (pdfPath) {
+    objects.push({ kind: 'job_sheet', path: pdfPath, private: true });
+  }
+  if (quote.calendar_path) {
+    objects.push({ kind: 'calendar', path: quote.calendar_path, private: true });
+  }
+
+  return objects;
+}
+
+async function recordAudit(supabase, entry) {
+  const { error } = await supabase.from('privacy_audit').insert({ ...entry, created_at: new Date().toISOString() });
+  if (error) {
+    console.error('Privacy audit insert error:', error);
+  }
+}
+
+module.exports = {
+  UNCONVERTED_STATUSES,
+  findSubjectQuotes,
+  exportSubjectData,
+  eraseSubject,
+  purgeExpiredQuotes,
+  subjectHash,
+};
@@ -0,0 +1,230 @@
+const { estimateQuote } = require('./pricing');
+const { describeRoute } = require('./location');
+const { quoteSchemaFor, validate } = require('./validation');
+const { processAttachments, planAttachments } = require('./attachments');
+const { allocateJobRef } = require('./job-ref');
+const { INLINE_BUDGET_MS, createQuoteWithJobs, runJobs } = require('./outbox');
+const { vcfPath, buildQuoteJobs, createQuoteJobHandlers, alertJobFailed } = require('./quote-jobs');
+const { findReplay, findPreviousQuotes, readIdempotencyKey } = require('./duplicates');
+const { applyCors } = require('./cors');
+const { resolveTenant, tenantOrigins, tenantForQuote, storagePath } = require('./tenants');
+const { createMemoryStore, createSupabaseStore, createRateLimiter } = require('./rate-limit');
+const { PRIVATE_BUCKET, createJobSheetLink } = require('./file-links');
+const {
+  LIMITS,
+  getClientIp,
+  checkHoneypot,
+  checkFormTiming,
+  verifyChallenge,
+  logRejection,
+} = require('./abuse');
+
+function createQuoteHandler({
+  supabase,
+  resend,
+  bucket = 'piano-quotes',
+  privateBucket = PRIVATE_BUCKET,
+  sms,
+  rateLimitStore = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : createSupabaseStore(supabase),
+}) {
+  const jobHandlers = createQuoteJobHandlers({ supabase, resend, bucket, privateBucket, sms });
+  const limitByIp = createRateLimiter(rateLimitStore, LIMITS.ip);
+  const limitByEmail = createRateLimiter(rateLimitStore, LIMITS.email);
+  const publicUrl = path => supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+
+  return async function handleQuote(req, res) {
+    const { tenant, reason: tenantError } = resolveTenant(req);
+    const originAllowed = applyCors(req, res, {
+      methods: 'POST, OPTIONS',
+      headers: 'Content-Type, Idempotency-Key, X-Api-Key',
+      origins: tenant ? tenantOrigins(tenant) : []
+    });
+
+    if (!tenant || !originAllowed) {
+      await logRejection(supabase, req, tenantError || 'origin_not_allowed');
+      return res.status(403).json({ error: tenantError === 'api_key_not_recognised' ? 'API key not recognised' : 'Origin not allowed' });
+    }
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const ip = getClientIp(req);
+      const ipLimit = await limitByIp(ip);
+
+      if (!ipLimit.allowed) {
+        await logRejection(supabase, req, 'rate_limited_ip');
+        res.setHeader('Retry-After', String(ipLimit.retryAfter));
+        return res.status(429).json({ error: 'Too many requests, please try again later' });
+      }
+
+      const spamCheck = [checkHoneypot(req.body), checkFormTiming(req.body)].find(check => !check.ok);
+
+      if (spamCheck) {
+        await logRejection(supabase, req, spamCheck.reason);
+        return res.status(400).json({ error: 'Submission rejected, please try again' });
+      }
+
+      const challenge = await verifyChallenge(req.body && req.body.challenge_token, ip);
+
+      if (!challenge.ok) {
+        await logRejection(supabase, req, challenge.reason);
+        return res.status(403).json({ error: 'Please complete the verification check' });
+      }
+
+      const { value: data, errors } = validate(quoteSchemaFor(tenant.pricing), req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid quote request',
+          fields: errors
+        });
+      }
+
+      const idempotencyKey = readIdempotencyKey(req);
+      const replay = await findReplay(supabase, data, idempotencyKey, { tenantId: tenant.id });
+
+      if (replay) {
+        console.log(`Replaying quote ${replay.row.job_ref} (${replay.reason})`);
+        return res.status(200).json(replayResponse(replay.row, publicUrl));
+      }
+
+      const emailLimit = await limitByEmail(data.email);
+
+      if (!emailLimit.allowed) {
+        await logRejection(supabase, req, 'rate_limited_email', { email: data.email });
+        res.setHeader('Retry-After', String(emailLimit.retryAfter));
+        return res.status(429).json({ error: 'Too many quote requests for this email address, please call us instead' });
+      }
+
+      const { accepted: customerAttachments, rejected: rejectedAttachments } = processAttachments(data.attachments);
+
+      if (rejectedAttachments.length > 0) {
+        console.warn('Attachments rejected:', rejectedAttachments);
+      }
+
+      const route = describeRoute(data.pickup_postcode, data.delivery_postcode, tenant.serviceArea);
+      const estimate = estimateQuote(data, tenant.pricing, route);
+      const jobRef = await allocateJobRef(supabase);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const pdfPath = storagePath(tenant, `job-sheets/${jobRef}-${timestamp}.pdf`);
+      const attachments = planAttachments(jobRef, customerAttachments, { prefix: tenant.storagePrefix });
+      const previousQuotes = await findPreviousQuotes(supabase, data, { tenantId: tenant.id });
+
+      const { data: quote, error: insertError } = await createQuoteWithJobs(supabase, {
+        job_ref: jobRef,
+        tenant_id: tenant.id,
+        customer_name: data.fullname,
+        customer_email: data.email,
+        customer_phone: data.phone,
+        piano_type: data.pianotype,
+        pickup_postcode: data.pickup_postcode,
+        pickup_steps: data.pickup_steps,
+        delivery_postcode: data.delivery_postcode,
+        delivery_steps: data.delivery_steps,
+        special_requirements: data.specialrequirements,
+        move_date: data.move_date || null,
+        attachments_count: attachments.length,
+        attachment_files: [],
+        estimate_low: estimate.low,
+        estimate_high: estimate.high,
+        estimate_breakdown: estimate.breakdown,
+        pickup_outward: route.pickup && route.pickup.outward,
+        pickup_area: route.pickup && route.pickup.placeName,
+        delivery_outward: route.delivery && route.delivery.outward,
+        delivery_area: route.delivery && route.delivery.placeName,
+        distance_miles: route.distanceMiles,
+        outside_service_area: route.outsideServiceArea,
+        idempotency_key: idempotencyKey,
+        created_at: new Date().toISOString()
+      }, buildQuoteJobs({ pdfPath, previousQuotes, attachments }));
+
+      if (insertError && insertError.code === '23505' && idempotencyKey) {
+        const original = await findReplay(supabase, data, idempotencyKey, { tenantId: tenant.id });
+        if (original) {
+          console.log(`Replaying quote ${original.row.job_ref} after concurrent submission`);
+          return res.status(200).json(replayResponse(original.row, publicUrl));
+        }
+      }
+
+      if (insertError) {
+        console.error('Quote insert error:', insertError);
+        throw new Error('Failed to save quote');
+      }
+
+      console.log(`Quote ${jobRef} saved for ${data.fullname} (${tenant.id})`);
+
+      // Vercel may freeze the function once the response is sent, so jobs run first within a budget.
+      // Whatever is left is picked up by the /api/jobs/run cron, which is what guarantees delivery.
+      try {
+        const summary = await runJobs(supabase, jobHandlers, {
+          jobRef,
+          budgetMs: INLINE_BUDGET_MS,
+          onFailed: job => alertJobFailed(resend, job)
+        });
+        console.log(`Jobs for ${jobRef}:`, summary);
+      } catch (jobError) {
+        console.error('Job run error:', jobError);
+      }
+
+      return res.status(200).json({ 
+        success: true, 
+        message: 'Quote received',
+        jobRef: quote.job_ref,
+        pdfUrl: jobSheetLinkUrl(quote.job_ref, tenant),
+        vcfUrl: publicUrl(vcfPath(tenant)),
+        estimate: {
+          low: estimate.low,
+          high: estimate.high,
+          currency: estimate.currency
+        },
+        attachments: attachments.length + 1,
+        rejectedAttachments: rejectedAttachments
+      });
+
+    } catch (error) {
+      console.error('API error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+function replayResponse(row, publicUrl) {
+  const tenant = tenantForQuote(row);
+
+  return {
+    success: true,
+    message: 'Quote already received',
+    replayed: true,
+    emailId: row.email_id,
+    customerEmailId: row.customer_email_id,
+    pdfUrl: jobSheetLinkUrl(row.job_ref, tenant),
+    vcfUrl: publicUrl(vcfPath(tenant)),
+    jobRef: row.job_ref,
+    estimate: {
+      low: row.estimate_low,
+      high: row.estimate_high,
+      currency: tenant.pricing.currency
+    },
+    attachments: (row.attachments_count || 0) + 1,
+    rejectedAttachments: []
+  };
+}
+
+function jobSheetLinkUrl(jobRef, tenant) {
+  try {
+    return createJobSheetLink(jobRef, { appUrl: tenant.appUrl }).url;
+  } catch (error) {
+    console.error('Job sheet link error:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  createQuoteHandler,
+};
@@ -0,0 +1,406 @@
+const {
+  generateEmailForYou,
+  generateEmailForCustomer,
+  generateCalendarLink,
+  generateWhatsAppLink,
+  generateJobFailedEmail,
+  generateBounceAlertEmail,
+  generateBookingEmailForYou,
+  generateStatusEmailForCustomer,
+} = require('./emails');
+const { generateJobSheetPDF } = require('./job-sheet');
+const { toPlainText } = require('./html');
+const { describeRoute } = require('./location');
+const { toFormData } = require('./quotes');
+const { generateVCard, vcardFileName } = require('./vcard');
+const { tenantForQuote, storagePath } = require('./tenants');
+const { PRIVATE_BUCKET, createJobSheetLink } = require('./file-links');
+const { createSmsProvider, generateCustomerSms, generateOnCallSms, isOptedOut } = require('./sms');
+const { toE164, canReceiveSms } = require('./phone');
+const { storeAttachments } = require('./attachments');
+const { buildMoveEvents, issueMoveEvent, eventFileName } = require('./move-event');
+const { bookingUrlForQuote } = require('./booking-link');
+
+function buildQuoteJobs({ pdfPath, previousQuotes = [], attachments = [] }) {
+  return [
+    ...(attachments.length > 0 ? [{ kind: 'attachments', payload: { files: attachments } }] : []),
+    { kind: 'job_sheet', depends_on: attachments.length > 0 ? 'attachments' : null, payload: { pdfPath } },
+    { kind: 'contact_card' },
+    { kind: 'office_email', depends_on: 'job_sheet', payload: { pdfPath, previousQuotes } },
+    { kind: 'customer_email', depends_on: 'contact_card' },
+    { kind: 'customer_sms' },
+    { kind: 'on_call_sms' },
+  ];
+}
+
+function buildBookingJobs() {
+  return [
+    { kind: 'move_event' },
+    { kind: 'booking_office_email', depends_on: 'move_event' },
+    { kind: 'booking_customer_email', depends_on: 'move_event' },
+  ];
+}
+
+function buildStatusJobs({ from, to, changedBy, notifyCustomer = false, message = null }) {
+  const cancelled = from === 'booked' && to === 'lost';
+  const calendar = to === 'booked' || cancelled;
+  const action = cancelled ? 'Cancelled' : from === 'booked' ? 'Rescheduled' : 'Booked';
+
+  return [
+    ...(calendar ? [
+      { kind: 'move_event', payload: { cancelled } },
+      { kind: 'status_office_email', depends_on: 'move_event', payload: { action, changedBy, cancelled } },
+    ] : []),
+    ...(notifyCustomer ? [
+      { kind: 'status_customer_email', depends_on: calendar ? 'move_event' : null, payload: { status: to, message, calendar, cancelled } },
+    ] : []),
+  ];
+}
+
+function createQuoteJobHandlers({ supabase, resend, bucket, privateBucket = PRIVATE_BUCKET, sms = createSmsProvider() }) {
+  const loadQuote = async jobRef => {
+    const { data: quote, error } = await supabase
+      .from('quotes')
+      .select('*')
+      .eq('job_ref', jobRef)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to load quote: ${error.message}`);
+    if (!quote) throw new Error('Quote not found');
+    return quote;
+  };
+
+  const download = async storagePath => {
+    const { data, error } = await supabase.storage.from(privateBucket).download(storagePath);
+    if (error) throw new Error(`Failed to download ${storagePath}: ${error.message}`);
+    return Buffer.from(await data.arrayBuffer());
+  };
+
+  const loadPhotos = async quote => Promise.all((quote.attachment_files || []).map(async file => ({
+    filename: file.filename,
+    contentType: file.contentType,
+    size: file.size,
+    content: await download(file.path),
+  })));
+
+  const publicUrl = storagePath => supabase.storage.from(bucket).getPublicUrl(storagePath).data.publicUrl;
+
+  const updateQuote = async (jobRef, changes) => {
+    const { error } = await supabase.from('quotes').update(changes).eq('job_ref', jobRef);
+    if (error) throw new Error(`Failed to update quote: ${error.message}`);
+  };
+
+  return {
+    async attachments(job) {
+      const { data: files, error } = await storeAttachments(supabase, privateBucket, job.payload.files || []);
+      if (error) throw new Error(`Failed to store attachments: ${error.message}`);
+
+      await updateQuote(job.job_ref, { attachment_files: files });
+
+      const { error: payloadError } = await supabase.from('quote_jobs').update({ payload: { files } }).eq('id', job.id);
+      if (payloadError) {
+        console.error('Attachment payload clear error:', payloadError);
+      }
+      return { files: files.length };
+    },
+
+    async job_sheet(job) {
+      const quote = await loadQuote(job.job_ref);
+      const tenant = tenantForQuote(quote);
+      const data = toFormData(quote);
+      const photos = await loadPhotos(quote);
+      const route = describeRoute(data.pickup_postcode, data.delivery_postcode, tenant.serviceArea);
+      const pdfBuffer = await generateJobSheetPDF(data, quote.job_ref, estimateFromRow(quote), photos, route, tenant.business);
+
+      const { error } = await supabase.storage
+        .from(privateBucket)
+        .upload(job.payload.pdfPath, pdfBuffer, {
+          contentType: 'application/pdf',
+          cacheControl: '3600',
+          upsert: true
+        });
+
+      if (error) throw new Error(`Failed to upload PDF to storage: ${error.message}`);
+
+      await updateQuote(quote.job_ref, { pdf_path: job.payload.pdfPath });
+      return { pdfPath: job.payload.pdfPath };
+    },
+
+    async contact_card(job) {
+      const tenant = tenantForQuote(await loadQuote(job.job_ref));
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(vcfPath(tenant), generateVCard(tenant.business), {
+          contentType: 'text/vcard',
+          cacheControl: '3600',
+          upsert: true
+        });
+
+      if (error) throw new Error(`Failed to upload VCF: ${error.message}`);
+      return { vcfUrl: publicUrl(vcfPath(tenant)) };
+    },
+
+    async office_email(job) {
+      const quote = await loadQuote(job.job_ref);
+      if (quote.email_id) return { emailId: quote.email_id, skipped: true };
+
+      const tenant = tenantForQuote(quote);
+      const { business, serviceArea } = tenant;
+      const data = toFormData(quote);
+      const photos = await loadPhotos(quote);
+      const pdfBuffer = await download(job.payload.pdfPath);
+      const route = describeRoute(data.pickup_postcode, data.delivery_postcode, serviceArea);
+      const slug = data.fullname.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+      const threadId = `<quote-${slug}@${business.domain}>`;
+      const body = generateEmailForYou({
+        data,
+        calLink: generateCalendarLink(data),
+        waLink: generateWhatsAppLink(data),
+        attachCount: photos.length,
+        jobRef: quote.job_ref,
+        pdfUrl: createJobSheetLink(quote.job_ref, { appUrl: tenant.appUrl }).url,
+        estimate: estimateFromRow(quote),
+        previousQuotes: job.payload.previousQuotes || [],
+        route,
+        business,
+        receivedAt: quote.created_at,
+      });
+
+      const { data: emailData, error } = await resend.emails.send({
+        from: business.senders.office,
+        to: business.recipients.office.to,
+        cc: business.recipients.office.cc,
+        replyTo: data.email,
+        subject: `Piano Quote - ${data.fullname}${photos.length > 0 ? ' (' + photos.length + ' photos)' : ''} + PDF`,
+        html: body,
+        text: toPlainText(body),
+        attachments: [
+          ...photos.map(file => ({ filename: file.filename, content: file.content })),
+          { filename: `Job-Sheet-${quote.job_ref}.pdf`, content: pdfBuffer },
+        ],
+        headers: {
+          'References': threadId,
+          'In-Reply-To': threadId,
+          'X-Entity-Ref-ID': 'customer-' + slug,
+        },
+      });
+
+      if (error) throw new Error(`Resend error (business email): ${error.message}`);
+
+      await updateQuote(quote.job_ref, { email_id: emailData.id });
+      return { emailId: emailData.id };
+    },
+
+    async customer_email(job) {
+      const quote = await loadQuote(job.job_ref);
+      if (quote.customer_email_id) return { emailId: quote.customer_email_id, skipped: true };
+
+      const tenant = tenantForQuote(quote);
+      const body = generateEmailForCustomer(toFormData(quote), publicUrl(vcfPath(tenant)), tenant.business);
+      const { data: emailData, error } = await resend.emails.send({
+        from: tenant.business.senders.customer,
+        to: [quote.customer_email],
+        subject: 'Thank you for your piano moving quote request',
+        html: body,
+        text: toPlainText(body),
+      });
+
+      if (error) throw new Error(`Resend error (customer email): ${error.message}`);
+
+      await updateQuote(quote.job_ref, { customer_email_id: emailData.id });
+      return { emailId: emailData.id };
+    },
+
+    async customer_sms(job) {
+      const quote = await loadQuote(job.job_ref);
+      if (quote.customer_sms_id) return { smsId: quote.customer_sms_id, skipped: true };
+      if (!sms) return { skipped: true, reason: 'SMS is not configured' };
+
+      const to = toE164(quote.customer_phone);
+      if (!canReceiveSms(to)) return { skipped: true, reason: 'Not a mobile number' };
+      if (await isOptedOut(supabase, to)) return { skipped: true, reason: 'Opted out of SMS' };
+
+      const { data: smsData, error } = await sms.send({ to, body: generateCustomerSms(quote, tenantForQuote(quote).business) });
+      if (error) throw new Error(`SMS error (customer): ${error.message}`);
+
+      await updateQuote(quote.job_ref, { customer_sms_id: smsData.id });
+      return { smsId: smsData.id };
+    },
+
+    async on_call_sms(job) {
+      const quote = await loadQuote(job.job_ref);
+      if (quote.on_call_sms_id) return { smsId: quote.on_call_sms_id, skipped: true };
+      if (!sms) return { skipped: true, reason: 'SMS is not configured' };
+
+      const { business, serviceArea } = tenantForQuote(quote);
+      const route = describeRoute(quote.pickup_postcode, quote.delivery_postcode, serviceArea);
+      const { data: smsData, error } = await sms.send({
+        to: business.phones.mobile.e164,
+        body: generateOnCallSms(quote, estimateFromRow(quote), route),
+      });
+      if (error) throw new Error(`SMS error (on-call): ${error.message}`);
+
+      await updateQuote(quote.job_ref, { on_call_sms_id: smsData.id });
+      return { smsId: smsData.id };
+    },
+
+    async move_event(job) {
+      const quote = await loadQuote(job.job_ref);
+      const { data: event, error } = await issueMoveEvent(supabase, privateBucket, quote, { cancelled: Boolean(job.payload.cancelled) });
+
+      if (error) throw new Error(`Calendar update failed: ${error.message}`);
+      return { sequence: event.sequence, path: event.path };
+    },
+
+    async booking_office_email(job) {
+      const quote = await loadQuote(job.job_ref);
+      const { business, pricing } = tenantForQuote(quote);
+      const events = buildMoveEvents(quote, { sequence: quote.calendar_sequence || 0 });
+      const body = generateBookingEmailForYou(quote, generateCalendarLink(toFormData(quote), quote.move_date), { currency: pricing.currency }, business);
+
+      const { data: emailData, error } = await resend.emails.send({
+        from: business.senders.office,
+        to: business.recipients.office.to,
+        cc: business.recipients.office.cc,
+        replyTo: quote.customer_email,
+        subject: `Booked - ${quote.customer_name} (${quote.job_ref})`,
+        html: body,
+        text: toPlainText(body),
+        attachments: [{ filename: eventFileName(quote.job_ref), content: events.office }],
+      });
+
+      if (error) throw new Error(`Resend error (booking email): ${error.message}`);
+      return { emailId: emailData.id };
+    },
+
+    async booking_customer_email(job) {
+      const quote = await loadQuote(job.job_ref);
+      const { business, pricing } = tenantForQuote(quote);
+      const events = buildMoveEvents(quote, { sequence: quote.calendar_sequence || 0 });
+      const email = generateStatusEmailForCustomer(quote, 'booked', {
+        price: quote.quoted_price,
+        currency: pricing.currency,
+        moveDate: quote.move_date,
+      }, business);
+
+      const { data: emailData, error } = await resend.emails.send({
+        from: business.senders.customer,
+        to: [quote.customer_email],
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments: [{ filename: eventFileName(quote.job_ref), content: events.customer }],
+      });
+
+      if (error) throw new Error(`Resend error (booking confirmation): ${error.message}`);
+      return { emailId: emailData.id };
+    },
+
+    async status_office_email(job) {
+      const quote = await loadQuote(job.job_ref);
+      const { business, pricing } = tenantForQuote(quote);
+      const { action, changedBy, cancelled } = job.payload;
+      const events = buildMoveEvents(quote, { sequence: quote.calendar_sequence || 0, cancelled });
+      const body = generateBookingEmailForYou(quote, generateCalendarLink(toFormData(quote), quote.move_date), {
+        heading: `Move ${action} - ${quote.job_ref}`,
+        intro: `Updated by ${changedBy}. The attached calendar file updates the existing entry.`,
+        currency: pricing.currency,
+      }, business);
+
+      const { data: emailData, error } = await resend.emails.send({
+        from: business.senders.office,
+        to: business.recipients.office.to,
+        cc: business.recipients.office.cc,
+        subject: `${action} - ${quote.customer_name} (${quote.job_ref})`,
+        html: body,
+        text: toPlainText(body),
+        attachments: [{ filename: eventFileName(quote.job_ref), content: events.office }],
+      });
+
+      if (error) throw new Error(`Resend error (calendar email): ${error.message}`);
+      return { emailId: emailData.id };
+    },
+
+    async status_customer_email(job) {
+      const quote = await loadQuote(job.job_ref);
+      const { business, pricing } = tenantForQuote(quote);
+      const { status, message, calendar, cancelled } = job.payload;
+      const email = generateStatusEmailForCustomer(quote, status, {
+        price: quote.quoted_price,
+        currency: pricing.currency,
+        moveDate: status === 'quoted' ? null : quote.move_date,
+        bookingUrl: bookingUrlForQuote(quote),
+        message,
+      }, business);
+      const events = calendar ? buildMoveEvents(quote, { sequence: quote.calendar_sequence || 0, cancelled }) : null;
+
+      const { data: emailData, error } = await resend.emails.send({
+        from: business.senders.customer,
+        to: [quote.customer_email],
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments: events ? [{ filename: eventFileName(quote.job_ref), content: events.customer }] : undefined,
+      });
+
+      if (error) throw new Error(`Resend error (status email): ${error.message}`);
+      return { emailId: emailData.id };
+    },
+
+    async bounce_alert(job) {
+      const quote = await loadQuote(job.job_ref);
+      const { business } = tenantForQuote(quote);
+      const body = generateBounceAlertEmail(quote, job.payload.reason, business);
+
+      const { data: emailData, error } = await resend.emails.send({
+        from: business.senders.office,
+        to: business.recipients.alerts.to,
+        cc: business.recipients.alerts.cc,
+        subject: `Customer email bounced - please call ${quote.customer_name} (${quote.job_ref})`,
+        html: body,
+        text: toPlainText(body),
+      });
+
+      if (error) throw new Error(`Resend error (bounce alert): ${error.message}`);
+      return { emailId: emailData.id };
+    },
+  };
+}
+
+async function alertJobFailed(resend, job) {
+  const { business, appUrl } = tenantForQuote(job);
+  const body = generateJobFailedEmail(job, business, appUrl);
+  const { error } = await resend.emails.send({
+    from: business.senders.office,
+    to: business.recipients.alerts.to,
+    cc: business.recipients.alerts.cc,
+    subject: `Action needed - ${job.kind.replace(/_/g, ' ')} failed for ${job.job_ref}`,
+    html: body,
+    text: toPlainText(body),
+  });
+
+  if (error) throw new Error(error.message);
+}
+
+function vcfPath(tenant) {
+  return storagePath(tenant, `vcf/${vcardFileName(tenant.business)}`);
+}
+
+function estimateFromRow(quote) {
+  return {
+    currency: tenantForQuote(quote).pricing.currency,
+    low: Number(quote.estimate_low),
+    high: Number(quote.estimate_high),
+    breakdown: quote.estimate_breakdown || [],
+  };
+}
+
+module.exports = {
+  vcfPath,
+  estimateFromRow,
+  buildQuoteJobs,
+  buildBookingJobs,
+  buildStatusJobs,
+  createQuoteJobHandlers,
+  alertJobFailed,
+};
@@ -0,0 +1,113 @@
+const { isAuthorised } = require('./auth');
+const { normaliseJobRef } = require('./job-ref');
+const { transitionQuote, getStatusHistory } = require('./quote-status');
+const { statusChangeSchema, validate } = require('./validation');
+const { INLINE_BUDGET_MS, runJobs } = require('./outbox');
+const { bookingUrlForQuote } = require('./booking-link');
+const { PRIVATE_BUCKET, signedFileUrl } = require('./file-links');
+const { buildStatusJobs, createQuoteJobHandlers, alertJobFailed } = require('./quote-jobs');
+
+function createQuoteStatusHandler({ supabase, resend, bucket = 'piano-quotes', privateBucket = PRIVATE_BUCKET }) {
+  const jobHandlers = createQuoteJobHandlers({ supabase, resend, bucket, privateBucket });
+
+  return async function handleQuoteStatus(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!isAuthorised(req)) {
+      return res.status(401).json({ error: 'Unauthorised' });
+    }
+
+    try {
+      if (req.method === 'GET') {
+        const jobRef = normaliseJobRef(req.query.jobRef);
+        if (!jobRef) {
+          return res.status(400).json({ error: 'Invalid job reference' });
+        }
+
+        const { data: history, error } = await getStatusHistory(supabase, jobRef);
+        if (error) {
+          console.error('Status history error:', error);
+          throw new Error('Failed to load status history');
+        }
+
+        return res.status(200).json({ jobRef, history });
+      }
+
+      const { value: change, errors } = validate(statusChangeSchema, req.body);
+      const jobRef = normaliseJobRef(change.jobRef);
+      if (change.jobRef && !jobRef) {
+        errors.push({ field: 'jobRef', message: 'Invalid job reference' });
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid status change',
+          fields: errors
+        });
+      }
+
+      const { data: result, error: transitionError } = await transitionQuote(supabase, jobRef, change.status, {
+        ...change,
+        jobs: from => buildStatusJobs({ from, to: change.status, ...change })
+      });
+      if (transitionError) {
+        return res.status(transitionError.status).json({
+          error: transitionError.message,
+          allowed: transitionError.allowed
+        });
+      }
+
+      console.log(`Quote ${jobRef} moved from ${result.from} to ${result.to} by ${change.changedBy}`);
+
+      await runJobs(supabase, jobHandlers, {
+        jobRef,
+        budgetMs: INLINE_BUDGET_MS,
+        onFailed: job => alertJobFailed(resend, job)
+      });
+
+      return res.status(200).json({
+        success: true,
+        jobRef,
+        previousStatus: result.from,
+        status: result.to,
+        changedAt: result.changedAt,
+        bookingUrl: bookingUrlForQuote(result.quote),
+        calendarUrl: await calendarUrl(supabase, privateBucket, jobRef)
+      });
+
+    } catch (error) {
+      console.error('API error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+async function calendarUrl(supabase, bucket, jobRef) {
+  const { data: job, error } = await supabase
+    .from('quote_jobs')
+    .select('status, result')
+    .eq('job_ref', jobRef)
+    .eq('kind', 'move_event')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Calendar job lookup error:', error);
+    return null;
+  }
+  if (!job || job.status !== 'done' || !job.result) return null;
+  return signedFileUrl(supabase, bucket, job.result.path);
+}
+
+module.exports = {
+  createQuoteStatusHandler,
+};
@@ -0,0 +1,97 @@
+const STATUSES = ['new', 'called_back', 'quoted', 'booked', 'completed', 'lost'];
+
+const TRANSITIONS = {
+  new: ['called_back', 'quoted', 'lost'],
+  called_back: ['quoted', 'lost'],
+  quoted: ['quoted', 'booked', 'lost'],
+  booked: ['booked', 'completed', 'lost'],
+  completed: [],
+  lost: ['called_back', 'quoted'],
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+async function transitionQuote(supabase, jobRef, to, { changedBy, note, price, moveDate, moveTime, offeredDates, jobs = [] } = {}) {
+  if (!STATUSES.includes(to)) {
+    return { data: null, error: { status: 400, message: `Unknown status "${to}"` } };
+  }
+
+  const { data: quote, error: loadError } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('job_ref', jobRef)
+    .maybeSingle();
+
+  if (loadError) {
+    console.error('Quote lookup error:', loadError);
+    return { data: null, error: { status: 500, message: 'Failed to load quote' } };
+  }
+  if (!quote) {
+    return { data: null, error: { status: 404, message: 'Quote not found' } };
+  }
+
+  const from = quote.status || 'new';
+  if (!canTransition(from, to)) {
+    return {
+      data: null,
+      error: { status: 409, message: `Cannot move a quote from "${from}" to "${to}"`, allowed: TRANSITIONS[from] },
+    };
+  }
+
+  if (to === 'quoted' && price == null && quote.quoted_price == null) {
+    return { data: null, error: { status: 400, message: 'A price is needed to mark a quote as quoted' } };
+  }
+  if (to === 'booked' && !moveDate && !quote.move_date) {
+    return { data: null, error: { status: 400, message: 'A move date is needed to mark a quote as booked' } };
+  }
+
+  const changedAt = new Date().toISOString();
+  const changes = { status: to, status_updated_at: changedAt };
+  if (price != null) changes.quoted_price = price;
+  if (moveDate) changes.move_date = moveDate;
+  if (moveTime) changes.move_time = moveTime;
+  if (offeredDates) changes.offered_dates = offeredDates;
+
+  const { data: rows, error: updateError } = await supabase.rpc('transition_quote', {
+    p_job_ref: jobRef,
+    p_from: from,
+    p_changes: changes,
+    p_history: {
+      to_status: to,
+      changed_by: changedBy,
+      note: note || null,
+      changed_at: changedAt,
+    },
+    p_jobs: typeof jobs === 'function' ? jobs(from) : jobs,
+  });
+
+  if (updateError) {
+    console.error('Quote status update error:', updateError);
+    return { data: null, error: { status: 500, message: 'Failed to update quote status' } };
+  }
+
+  const updated = rows && rows[0];
+  if (!updated) {
+    return { data: null, error: { status: 409, message: 'Quote was changed by someone else, please reload' } };
+  }
+
+  return { data: { quote: updated, from, to, changedAt }, error: null };
+}
+
+async function getStatusHistory(supabase, jobRef) {
+  return supabase
+    .from('quote_status_history')
+    .select('from_status, to_status, changed_by, note, changed_at')
+    .eq('job_ref', jobRef)
+    .order('changed_at', { ascending: true });
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  canTransition,
+  transitionQuote,
+  getStatusHistory,
+};
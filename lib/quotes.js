@@ -0,0 +1,66 @@
+const { createJobSheetLink } = require('./file-links');
+const { formatPhone } = require('./phone');
+const { tenantForQuote } = require('./tenants');
+
+function serialiseQuote(row) {
+  return {
+    jobRef: row.job_ref,
+    tenant: row.tenant_id,
+    status: row.status,
+    createdAt: row.created_at,
+    customer: {
+      name: row.customer_name,
+      email: row.customer_email,
+      phone: row.customer_phone,
+    },
+    pianoType: row.piano_type,
+    pickup: {
+      address: row.pickup_postcode,
+      steps: row.pickup_steps,
+    },
+    delivery: {
+      address: row.delivery_postcode,
+      steps: row.delivery_steps,
+    },
+    specialRequirements: row.special_requirements,
+    moveDate: row.move_date,
+    offeredDates: row.offered_dates || [],
+    quotedPrice: row.quoted_price,
+    estimate: {
+      low: row.estimate_low,
+      high: row.estimate_high,
+      breakdown: row.estimate_breakdown,
+    },
+    attachments: row.attachment_files || [],
+    pdfUrl: row.pdf_path ? createJobSheetLink(row.job_ref, { appUrl: tenantForQuote(row).appUrl }).url : null,
+    emailStatus: {
+      office: row.email_status || null,
+      customer: row.customer_email_status || null,
+    },
+  };
+}
+
+function toFormData(row) {
+  return {
+    fullname: row.customer_name,
+    email: row.customer_email,
+    phone: row.customer_phone,
+    pianotype: row.piano_type,
+    pickup_postcode: row.pickup_postcode,
+    pickup_steps: row.pickup_steps,
+    delivery_postcode: row.delivery_postcode,
+    delivery_steps: row.delivery_steps,
+    specialrequirements: row.special_requirements,
+    move_date: row.move_date,
+  };
+}
+
+function describeMove(data) {
+  return `Customer: ${data.fullname}\nPhone: ${formatPhone(data.phone)}\nEmail: ${data.email}\nPiano: ${data.pianotype || 'Not specified'}\nPickup: ${data.pickup_postcode} (${data.pickup_steps} steps)\nDelivery: ${data.delivery_postcode} (${data.delivery_steps} steps)\n\nSpecial: ${data.specialrequirements || 'None'}`;
+}
+
+module.exports = {
+  serialiseQuote,
+  toFormData,
+  describeMove,
+};
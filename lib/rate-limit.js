@@ -0,0 +1,54 @@
+function createMemoryStore() {
+  const buckets = new Map();
+
+  return {
+    async increment(key, windowSeconds, now = Date.now()) {
+      const existing = buckets.get(key);
+      if (!existing || existing.resetAt <= now) {
+        const bucket = { count: 1, resetAt: now + windowSeconds * 1000 };
+        buckets.set(key, bucket);
+        return { ...bucket };
+      }
+      existing.count += 1;
+      return { ...existing };
+    },
+  };
+}
+
+function createSupabaseStore(supabase) {
+  return {
+    async increment(key, windowSeconds) {
+      const { data, error } = await supabase.rpc('increment_rate_limit', {
+        p_key: key,
+        p_window_seconds: windowSeconds,
+      });
+      if (error) throw error;
+      const row = Array.isArray(data) ? data[0] : data;
+      return { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+    },
+  };
+}
+
+function createRateLimiter(store, { limit, windowSeconds, prefix }) {
+  return async function check(id, now = Date.now()) {
+    if (!id) return { allowed: true };
+
+    try {
+      const { count, resetAt } = await store.increment(`${prefix}:${id}`, windowSeconds, now);
+      return {
+        allowed: count <= limit,
+        remaining: Math.max(0, limit - count),
+        retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+      };
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+      return { allowed: true };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createSupabaseStore,
+  createRateLimiter,
+};
@@ -0,0 +1,161 @@
+const { generateReminderEmailForCustomer, generateDigestEmail } = require('./emails');
+const { bookingUrlForQuote } = require('./booking-link');
+const { toPlainText } = require('./html');
+
+const FOLLOW_UP_STATUSES = ['new', 'called_back', 'quoted'];
+const FOLLOW_UP_WINDOW_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function sendScheduledEmails(supabase, resend, tenant, { now = new Date() } = {}) {
+  const today = londonDate(now);
+  const summary = { tenant: tenant.id, followUps: 0, moveReminders: 0, digest: 0, failed: 0 };
+  const { business } = tenant;
+
+  const { data: due, error } = await findDueEmails(supabase, tenant, { now, today });
+  if (error) return { data: null, error };
+
+  for (const quote of due.followUps) {
+    count(summary, 'followUps', await sendOnce(supabase, {
+      key: `follow_up:${quote.job_ref}`,
+      tenant_id: tenant.id,
+      kind: 'follow_up',
+      job_ref: quote.job_ref,
+    }, () => sendCustomerEmail(resend, quote, 'follow_up', { bookingUrl: bookingUrlForQuote(quote, tenant), currency: tenant.pricing.currency }, business)));
+  }
+
+  for (const quote of due.moveReminders) {
+    count(summary, 'moveReminders', await sendOnce(supabase, {
+      key: `move_reminder:${quote.job_ref}:${String(quote.move_date).slice(0, 10)}`,
+      tenant_id: tenant.id,
+      kind: 'move_reminder',
+      job_ref: quote.job_ref,
+    }, () => sendCustomerEmail(resend, quote, 'move_reminder', { currency: tenant.pricing.currency }, business)));
+  }
+
+  if (due.uncontacted.length > 0) {
+    const body = generateDigestEmail(due.uncontacted, today, business);
+    const outcome = await sendOnce(supabase, {
+      key: `digest:${tenant.id}:${today}`,
+      tenant_id: tenant.id,
+      kind: 'digest',
+      job_ref: null,
+    }, () => resend.emails.send({
+      from: business.senders.office,
+      to: business.recipients.office.to,
+      cc: business.recipients.office.cc,
+      subject: `Quotes waiting for a call - ${due.uncontacted.length} (${today})`,
+      html: body,
+      text: toPlainText(body),
+    }));
+    if (outcome.emailId) summary.digest = due.uncontacted.length;
+    if (outcome.error) summary.failed++;
+  }
+
+  return { data: summary, error: null };
+}
+
+async function findDueEmails(supabase, tenant, { now, today }) {
+  const settings = tenant.reminders || {};
+  const followUpCutoff = settings.followUpDays && new Date(now.getTime() - settings.followUpDays * DAY_MS).toISOString();
+  const lookups = await Promise.all([
+    followUpCutoff ? supabase
+      .from('quotes')
+      .select('*')
+      .eq('tenant_id', tenant.id)
+      .in('status', FOLLOW_UP_STATUSES)
+      .is('erased_at', null)
+      .lt('created_at', followUpCutoff)
+      .gte('created_at', new Date(Date.parse(followUpCutoff) - FOLLOW_UP_WINDOW_DAYS * DAY_MS).toISOString())
+      .or(`status_updated_at.is.null,status_updated_at.lt.${followUpCutoff}`)
+      .order('created_at') : { data: [] },
+    settings.moveReminders ? supabase
+      .from('quotes')
+      .select('*')
+      .eq('tenant_id', tenant.id)
+      .eq('status', 'booked')
+      .eq('move_date', addDays(today, 1))
+      .is('erased_at', null)
+      .order('created_at') : { data: [] },
+    settings.officeDigest ? supabase
+      .from('quotes')
+      .select('*')
+      .eq('tenant_id', tenant.id)
+      .eq('status', 'new')
+      .is('erased_at', null)
+      .order('created_at') : { data: [] },
+  ]);
+
+  const failed = lookups.find(result => result.error);
+  if (failed) {
+    console.error('Scheduled email lookup error:', failed.error);
+    return { data: null, error: { status: 500, message: 'Failed to load quotes for scheduled emails' } };
+  }
+
+  const [followUps, moveReminders, uncontacted] = lookups.map(result => result.data);
+  const reachable = quote => quote.customer_email_status !== 'bounced' && quote.customer_email_status !== 'complained';
+  return {
+    data: {
+      followUps: followUps.filter(reachable),
+      moveReminders: moveReminders.filter(reachable),
+      uncontacted,
+    },
+    error: null,
+  };
+}
+
+async function sendCustomerEmail(resend, quote, kind, details, business) {
+  const email = generateReminderEmailForCustomer(quote, kind, details, business);
+  return resend.emails.send({
+    from: business.senders.customer,
+    to: [quote.customer_email],
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+  });
+}
+
+async function sendOnce(supabase, entry, send) {
+  const { error: claimError } = await supabase.from('scheduled_emails').insert(entry);
+  if (claimError) {
+    if (claimError.code === '23505') return { skipped: true };
+    console.error('Scheduled email record error:', claimError);
+    return { error: claimError };
+  }
+
+  const { data, error } = await send();
+  if (error) {
+    console.error(`Resend error (${entry.key}):`, error);
+    const { error: releaseError } = await supabase.from('scheduled_emails').delete().eq('key', entry.key);
+    if (releaseError) {
+      console.error('Scheduled email release error:', releaseError);
+    }
+    return { error };
+  }
+
+  const { error: updateError } = await supabase
+    .from('scheduled_emails')
+    .update({ email_id: data.id, sent_at: new Date().toISOString() })
+    .eq('key', entry.key);
+  if (updateError) {
+    console.error('Scheduled email update error:', updateError);
+  }
+  return { emailId: data.id };
+}
+
+function count(summary, counter, outcome) {
+  if (outcome.emailId) summary[counter]++;
+  if (outcome.error) summary.failed++;
+}
+
+function londonDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'Europe/London' });
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T12:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  FOLLOW_UP_STATUSES,
+  sendScheduledEmails,
+};
@@ -0,0 +1,70 @@
+const { verifyWebhook, readRawBody, recordEmailEvent } = require('./resend-webhook');
+const { INLINE_BUDGET_MS, enqueueJob, runJobs } = require('./outbox');
+const { PRIVATE_BUCKET } = require('./file-links');
+const { createQuoteJobHandlers, alertJobFailed } = require('./quote-jobs');
+
+function createResendWebhookHandler({ supabase, resend, bucket = 'piano-quotes', privateBucket = PRIVATE_BUCKET }) {
+  const jobHandlers = createQuoteJobHandlers({ supabase, resend, bucket, privateBucket });
+
+  return async function handleResendWebhook(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const rawBody = await readRawBody(req);
+      const verified = verifyWebhook(rawBody, req.headers);
+
+      if (!verified.valid) {
+        console.warn('Resend webhook rejected:', verified.reason);
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      const event = JSON.parse(rawBody);
+      const { data: result, error } = await recordEmailEvent(supabase, event, { svixId: verified.id });
+
+      if (error && error.status === 400) {
+        return res.status(200).json({ received: true, ignored: true });
+      }
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (!result.quote) {
+        console.log(`Email event ${event.type} for unknown email ${event.data.email_id}`);
+        return res.status(200).json({ received: true });
+      }
+
+      const jobRef = result.quote.job_ref;
+      console.log(`Email event ${event.type} for ${jobRef} (${result.recipient})`);
+
+      if (result.recipient === 'customer' && result.state === 'bounced') {
+        const { error: enqueueError } = await enqueueJob(supabase, result.quote, {
+          kind: 'bounce_alert',
+          payload: { reason: event.data.bounce && event.data.bounce.message }
+        });
+
+        if (enqueueError) {
+          console.error('Bounce alert enqueue error:', enqueueError);
+          throw new Error('Failed to queue bounce alert');
+        }
+
+        await runJobs(supabase, jobHandlers, {
+          jobRef,
+          budgetMs: INLINE_BUDGET_MS,
+          onFailed: job => alertJobFailed(resend, job)
+        });
+      }
+
+      return res.status(200).json({ received: true, jobRef, state: result.state });
+
+    } catch (error) {
+      console.error('API error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  createResendWebhookHandler,
+};
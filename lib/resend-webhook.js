@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+const TOLERANCE_SECONDS = 5 * 60;
+const EMAIL_ID_PATTERN = /^[\w-]{1,100}$/;
+
+const DELIVERY_STATES = {
+  'email.sent': { state: 'sent', rank: 1 },
+  'email.delivery_delayed': { state: 'delayed', rank: 2 },
+  'email.delivered': { state: 'delivered', rank: 3 },
+  'email.opened': { state: 'opened', rank: 4 },
+  'email.clicked': { state: 'clicked', rank: 5 },
+  'email.bounced': { state: 'bounced', rank: 6 },
+  'email.complained': { state: 'complained', rank: 7 },
+};
+
+function verifyWebhook(rawBody, headers, { secret = process.env.RESEND_WEBHOOK_SECRET, now = Date.now() } = {}) {
+  if (!secret) return { valid: false, reason: 'Webhook secret is not configured' };
+
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+  if (!id || !timestamp || !signatures) return { valid: false, reason: 'Missing signature headers' };
+
+  if (Math.abs(now / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'Timestamp outside tolerance' };
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64')
+  );
+
+  const matched = String(signatures).split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    const given = Buffer.from(signature || '');
+    return version === 'v1' && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+
+  return matched ? { valid: true, id } : { valid: false, reason: 'Invalid signature' };
+}
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+async function recordEmailEvent(supabase, event, { svixId } = {}) {
+  const emailId = event.data && event.data.email_id;
+  const delivery = DELIVERY_STATES[event.type];
+  if (!delivery || !emailId || !EMAIL_ID_PATTERN.test(emailId)) {
+    return { data: null, error: { status: 400, message: 'Unsupported event' } };
+  }
+
+  const { data: quote, error: lookupError } = await supabase
+    .from('quotes')
+    .select('*')
+    .or(`email_id.eq.${emailId},customer_email_id.eq.${emailId}`)
+    .maybeSingle();
+
+  if (lookupError) {
+    console.error('Email event quote lookup error:', lookupError);
+    return { data: null, error: { status: 500, message: 'Failed to load quote' } };
+  }
+
+  const recipient = quote ? (quote.customer_email_id === emailId ? 'customer' : 'office') : null;
+  const occurredAt = event.created_at || new Date().toISOString();
+
+  const { error: insertError } = await supabase.from('email_events').insert({
+    svix_id: svixId || null,
+    email_id: emailId,
+    job_ref: quote ? quote.job_ref : null,
+    recipient,
+    type: event.type,
+    payload: event.data,
+    occurred_at: occurredAt,
+  });
+
+  const duplicate = Boolean(insertError && insertError.code === '23505');
+  if (insertError && !duplicate) {
+    console.error('Email event insert error:', insertError);
+    return { data: null, error: { status: 500, message: 'Failed to store email event' } };
+  }
+
+  if (!quote) {
+    return { data: { quote: null, recipient: null, state: delivery.state, updated: false, duplicate }, error: null };
+  }
+
+  const column = recipient === 'customer' ? 'customer_email_status' : 'email_status';
+  const current = Object.values(DELIVERY_STATES).find(candidate => candidate.state === quote[column]);
+  const updated = !current || delivery.rank >= current.rank;
+
+  if (updated) {
+    const { error: updateError } = await supabase
+      .from('quotes')
+      .update({ [column]: delivery.state, [`${column}_at`]: occurredAt })
+      .eq('job_ref', quote.job_ref);
+
+    if (updateError) {
+      console.error('Email status update error:', updateError);
+      return { data: null, error: { status: 500, message: 'Failed to update email status' } };
+    }
+  }
+
+  return { data: { quote, recipient, state: delivery.state, updated, duplicate }, error: null };
+}
+
+module.exports = {
+  DELIVERY_STATES,
+  verifyWebhook,
+  readRawBody,
+  recordEmailEvent,
+};
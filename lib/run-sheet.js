@@ -0,0 +1,151 @@
+const PDFDocument = require('pdfkit');
+const { drawJobSheet, drawContinuationHeader, drawFooters } = require('./job-sheet');
+const { pianoNeeds } = require('./crews');
+const { describeRoute } = require('./location');
+const { formatPhone } = require('./phone');
+const { toFormData } = require('./quotes');
+const { estimateFromRow } = require('./quote-jobs');
+const { tenantForQuote } = require('./tenants');
+const defaultBusiness = require('../config/business');
+
+const COLUMNS = [
+  { label: '#', width: 18 },
+  { label: 'TIME', width: 36 },
+  { label: 'REF / CUSTOMER', width: 120 },
+  { label: 'PIANO', width: 80 },
+  { label: 'PICKUP', width: 135 },
+  { label: 'DELIVERY', width: 135 },
+];
+
+async function generateRunSheetPDF({ date, crew, vehicle, quotes }, business = defaultBusiness) {
+  return new Promise((resolve, reject) => {
+    const title = `Run Sheet ${date} - ${crew.name}`;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 25,
+      bufferPages: true,
+      info: {
+        Title: title,
+        Author: business.name,
+        Subject: `${quotes.length} piano move${quotes.length === 1 ? '' : 's'}`,
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const moveDate = new Date(`${date}T12:00:00Z`);
+    const contentBottom = doc.page.height - 75;
+
+    doc.rect(25, 25, doc.page.width - 50, 60)
+       .lineWidth(2)
+       .stroke(business.brand.primary);
+
+    doc.fontSize(25).fillColor('#000000').font('Helvetica-Bold')
+       .text('RUN SHEET', 35, 35);
+
+    doc.fontSize(10).fillColor('#666666').font('Helvetica')
+       .text(business.name, 35, 65);
+
+    doc.fontSize(11).fillColor('#000000').font('Helvetica-Bold')
+       .text(moveDate.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }),
+             doc.page.width - 230, 35, { width: 200, align: 'right' });
+
+    doc.fontSize(9).fillColor('#666666').font('Helvetica')
+       .text(`${quotes.length} job${quotes.length === 1 ? '' : 's'} • about ${totalHours(quotes)} hours on site`,
+             doc.page.width - 230, 55, { width: 200, align: 'right' });
+
+    let yPos = 100;
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+       .text('Crew:', 35, yPos);
+    doc.fontSize(10).font('Helvetica').fillColor('#000000')
+       .text(`${crew.name} (${crew.size} people)${crew.members && crew.members.length ? ' - ' + crew.members.join(', ') : ''}`, 85, yPos, { width: doc.page.width - 120 });
+    yPos += 14;
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+       .text('Vehicle:', 35, yPos);
+    doc.fontSize(10).font('Helvetica').fillColor('#000000')
+       .text(vehicle ? `${vehicle.name}${vehicle.registration ? ' (' + vehicle.registration + ')' : ''}` : 'Not assigned', 85, yPos);
+    yPos += 20;
+
+    const drawHeadings = () => {
+      let x = 35;
+      doc.fontSize(8).fillColor('#999999').font('Helvetica-Bold');
+      for (const column of COLUMNS) {
+        doc.text(column.label, x, yPos, { width: column.width - 6 });
+        x += column.width;
+      }
+      yPos += 12;
+      doc.moveTo(35, yPos).lineTo(doc.page.width - 35, yPos).lineWidth(0.5).stroke('#cccccc');
+      yPos += 6;
+    };
+
+    drawHeadings();
+
+    quotes.forEach((quote, index) => {
+      const needs = pianoNeeds(quote.piano_type, tenantForQuote(quote).pricing);
+      const cells = [
+        String(index + 1),
+        quote.move_time ? String(quote.move_time).slice(0, 5) : '-',
+        `${quote.job_ref}\n${quote.customer_name}\n${formatPhone(quote.customer_phone)}`,
+        `${quote.piano_type || 'Not specified'}\n${needs.crew} people`,
+        `${quote.pickup_postcode}\n${quote.pickup_steps} steps`,
+        `${quote.delivery_postcode}\n${quote.delivery_steps} steps`,
+      ];
+
+      doc.fontSize(9).font('Helvetica');
+      const special = quote.special_requirements ? `Special: ${quote.special_requirements.replace(/\s+/g, ' ')}` : null;
+      const specialOptions = { width: doc.page.width - 70 - COLUMNS[0].width - COLUMNS[1].width };
+      const cellsHeight = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: COLUMNS[i].width - 6 })));
+      const rowHeight = cellsHeight + (special ? doc.heightOfString(special, specialOptions) + 4 : 0);
+
+      if (yPos + rowHeight > contentBottom) {
+        doc.addPage();
+        yPos = drawContinuationHeader(doc, crew.name, 'RUN SHEET (CONTINUED)');
+        drawHeadings();
+      }
+
+      let x = 35;
+      cells.forEach((cell, i) => {
+        doc.fontSize(i === 0 ? 12 : 9).fillColor('#000000').font(i < 2 ? 'Helvetica-Bold' : 'Helvetica')
+           .text(cell, x, yPos, { width: COLUMNS[i].width - 6 });
+        x += COLUMNS[i].width;
+      });
+
+      if (special) {
+        doc.fontSize(9).fillColor(business.brand.warning).font('Helvetica-Bold')
+           .text(special, 35 + COLUMNS[0].width + COLUMNS[1].width, yPos + cellsHeight + 4, specialOptions);
+      }
+
+      yPos += rowHeight + 6;
+      doc.moveTo(35, yPos).lineTo(doc.page.width - 35, yPos).lineWidth(0.5).stroke('#cccccc');
+      yPos += 6;
+    });
+
+    quotes.forEach((quote, index) => {
+      const tenant = tenantForQuote(quote);
+      const data = toFormData(quote);
+      doc.addPage();
+      drawJobSheet(doc, data, quote.job_ref, estimateFromRow(quote), {
+        route: describeRoute(data.pickup_postcode, data.delivery_postcode, tenant.serviceArea),
+        business,
+        date: moveDate,
+        title: `JOB ${index + 1} OF ${quotes.length}`,
+      });
+    });
+
+    drawFooters(doc, business);
+    doc.end();
+  });
+}
+
+function totalHours(quotes) {
+  return quotes.reduce((sum, quote) => sum + pianoNeeds(quote.piano_type, tenantForQuote(quote).pricing).hours, 0);
+}
+
+module.exports = {
+  generateRunSheetPDF,
+};
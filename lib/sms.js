@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { formatEstimate } = require('./pricing');
+const { toE164 } = require('./phone');
+
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+const OPT_OUT_HINT = 'Reply STOP to opt out';
+
+const SMS_PROVIDERS = {
+  twilio: () => createTwilioProvider({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM,
+  }),
+  memory: () => createMemoryProvider(),
+};
+
+function createSmsProvider(name = process.env.SMS_PROVIDER) {
+  if (!name) return null;
+
+  const factory = SMS_PROVIDERS[name];
+  if (!factory) {
+    console.error(`Unknown SMS provider "${name}"`);
+    return null;
+  }
+  return factory();
+}
+
+function createTwilioProvider({ accountSid, authToken, from }) {
+  return {
+    name: 'twilio',
+
+    async send({ to, body }) {
+      if (!accountSid || !authToken || !from) {
+        return { data: null, error: { message: 'TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM must be configured' } };
+      }
+
+      try {
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+          method: 'POST',
+          headers: { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}` },
+          body: new URLSearchParams({ To: to, From: from, Body: body }),
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          return { data: null, error: { message: result.message || `Twilio responded with ${response.status}`, code: result.code } };
+        }
+        return { data: { id: result.sid }, error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    },
+  };
+}
+
+function createMemoryProvider() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+
+    async send({ to, body }) {
+      const id = `sms-${sent.length + 1}`;
+      sent.push({ id, to, body });
+      console.log(`SMS to ${to}: ${body}`);
+      return { data: { id }, error: null };
+    },
+  };
+}
+
+function generateCustomerSms(quote, business) {
+  const firstName = String(quote.customer_name || '').trim().split(/\s+/)[0];
+  return `${business.name}: Thanks ${firstName}, we have your piano moving quote request, ref ${quote.job_ref}. We'll call you shortly. Questions? Call ${business.phones.office.display}. ${OPT_OUT_HINT}`;
+}
+
+function generateOnCallSms(quote, estimate, route = null) {
+  const from = (route && route.pickup && route.pickup.outward) || quote.pickup_outward || quote.pickup_postcode;
+  const to = (route && route.delivery && route.delivery.outward) || quote.delivery_outward || quote.delivery_postcode;
+  const details = [
+    `${quote.piano_type || 'Piano'} ${from} to ${to}`,
+    route && route.distanceMiles != null ? `${route.distanceMiles} mi` : null,
+    formatEstimate(estimate),
+    quote.move_date ? `move ${String(quote.move_date).slice(0, 10)}` : null,
+    route && route.outsideServiceArea ? 'OUTSIDE AREA' : null,
+  ].filter(Boolean);
+
+  return `New quote ${quote.job_ref}: ${quote.customer_name} ${toE164(quote.customer_phone) || quote.customer_phone}. ${details.join(', ')}`;
+}
+
+async function isOptedOut(supabase, phone) {
+  const { data, error } = await supabase
+    .from('sms_opt_outs')
+    .select('phone')
+    .eq('phone', phone)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to check SMS opt-outs: ${error.message}`);
+  return Boolean(data);
+}
+
+async function handleInboundSms(supabase, { from, body }) {
+  const phone = toE164(from);
+  const keyword = String(body || '').trim().split(/\s+/)[0].toUpperCase();
+  if (!phone) return { data: { action: 'ignored' }, error: null };
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    const { error } = await supabase
+      .from('sms_opt_outs')
+      .upsert({ phone, keyword, opted_out_at: new Date().toISOString() }, { onConflict: 'phone' });
+    if (error) {
+      console.error('SMS opt-out error:', error);
+      return { data: null, error: { status: 500, message: 'Failed to record opt-out' } };
+    }
+    return { data: { action: 'opted_out', phone }, error: null };
+  }
+
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    const { error } = await supabase.from('sms_opt_outs').delete().eq('phone', phone);
+    if (error) {
+      console.error('SMS opt-in error:', error);
+      return { data: null, error: { status: 500, message: 'Failed to record opt-in' } };
+    }
+    return { data: { action: 'opted_in', phone }, error: null };
+  }
+
+  return { data: { action: 'ignored' }, error: null };
+}
+
+function verifyTwilioSignature(url, params, signature, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  if (!authToken || !signature) return false;
+
+  const payload = Object.keys(params || {}).sort().reduce((text, key) => text + key + params[key], url);
+  const expected = Buffer.from(crypto.createHmac('sha1', authToken).update(payload).digest('base64'));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  createSmsProvider,
+  createTwilioProvider,
+  createMemoryProvider,
+  generateCustomerSms,
+  generateOnCallSms,
+  isOptedOut,
+  handleInboundSms,
+  verifyTwilioSignature,
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const defaultTenants = require('../config/tenants');
+const { allowedOrigins } = require('./cors');
+
+function listTenants(tenants = defaultTenants) {
+  return Object.entries(tenants).map(([id, tenant]) => ({ id, ...tenant }));
+}
+
+function getTenant(id, tenants = defaultTenants) {
+  return listTenants(tenants).find(tenant => tenant.id === id) || null;
+}
+
+function defaultTenant(tenants = defaultTenants) {
+  return listTenants(tenants).find(tenant => tenant.default) || listTenants(tenants)[0];
+}
+
+function tenantForQuote(row, tenants = defaultTenants) {
+  return (row && getTenant(row.tenant_id, tenants)) || defaultTenant(tenants);
+}
+
+function tenantOrigins(tenant) {
+  return tenant.origins || (tenant.default ? allowedOrigins() : []);
+}
+
+function resolveTenant(req, tenants = defaultTenants) {
+  const headers = req.headers || {};
+  const apiKey = headers['x-api-key'];
+
+  if (apiKey) {
+    const tenant = listTenants(tenants).find(candidate => keyMatches(apiKey, process.env[candidate.apiKeyEnv]));
+    return tenant ? { tenant, via: 'api_key' } : { tenant: null, reason: 'api_key_not_recognised' };
+  }
+
+  if (!headers.origin) {
+    return { tenant: defaultTenant(tenants), via: 'default' };
+  }
+
+  const tenant = listTenants(tenants).find(candidate => tenantOrigins(candidate).includes(headers.origin));
+  return tenant ? { tenant, via: 'origin' } : { tenant: null, reason: 'origin_not_allowed' };
+}
+
+function storagePath(tenant, path) {
+  return `${tenant.storagePrefix || ''}${path}`;
+}
+
+function keyMatches(given, expected) {
+  if (!expected) return false;
+  const a = crypto.createHash('sha256').update(String(given).trim()).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  listTenants,
+  getTenant,
+  defaultTenant,
+  tenantForQuote,
+  tenantOrigins,
+  resolveTenant,
+  storagePath,
+};
@@ -0,0 +1,231 @@
+const { resolvePianoType } = require('./pricing');
+const { normaliseJobRef } = require('./job-ref');
+const { STATUSES } = require('./quote-status');
+const { parsePhone, toE164 } = require('./phone');
+const pricing = require('../config/pricing');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UK_POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const quoteSchema = quoteSchemaFor(pricing);
+
+const bookingSchema = {
+  ref: { type: 'string', required: true, max: 20 },
+  exp: { type: 'string', required: true, max: 20 },
+  sig: { type: 'string', required: true, max: 100 },
+  moveDate: { type: 'string', required: true, check: checkDate },
+};
+
+const runSheetSchema = {
+  date: { type: 'string', required: true, check: checkDate },
+  crewId: { type: 'integer', required: true, min: 1, max: Number.MAX_SAFE_INTEGER },
+  vehicleId: { type: 'integer', min: 1, max: Number.MAX_SAFE_INTEGER },
+  jobRefs: { type: 'array', required: true, max: 20, items: checkJobRef },
+  assignedBy: { type: 'string', required: true, min: 2, max: 100 },
+  tenant: { type: 'string', max: 50 },
+};
+
+const exportSchema = {
+  from: { type: 'string', check: checkDate },
+  to: { type: 'string', check: checkDate },
+  dateField: { type: 'string', default: 'created_at', check: value => ['created_at', 'move_date'].includes(value) ? null : 'Must be created_at or move_date' },
+  status: { type: 'string', max: 100, check: checkStatuses },
+  pianoType: { type: 'string', max: 50, normalise: normalisePianoType, check: checkPianoType },
+  area: { type: 'string', max: 4, normalise: value => value.toUpperCase(), check: checkPostcodeArea },
+  format: { type: 'string', default: 'csv', check: value => ['csv', 'ndjson'].includes(value) ? null : 'Must be csv or ndjson' },
+  tenant: { type: 'string', max: 50 },
+};
+
+const subjectSchema = {
+  email: { type: 'string', max: 254, normalise: v => v.toLowerCase(), check: checkEmail },
+  phone: { type: 'string', max: 30, normalise: normalisePhone, check: checkPhone },
+  requestedBy: { type: 'string', required: true, min: 2, max: 100 },
+  tenant: { type: 'string', max: 50 },
+};
+
+const erasureSchema = {
+  ...subjectSchema,
+  mode: { type: 'string', default: 'anonymise', check: value => ['anonymise', 'delete'].includes(value) ? null : 'Must be anonymise or delete' },
+  reason: { type: 'string', max: 500 },
+};
+
+const statusChangeSchema = {
+  jobRef: { type: 'string', required: true, max: 20 },
+  status: { type: 'string', required: true, max: 20 },
+  changedBy: { type: 'string', required: true, min: 2, max: 100 },
+  note: { type: 'string', max: 1000 },
+  price: { type: 'number', min: 0, max: 100000 },
+  moveDate: { type: 'string', check: checkDate },
+  moveTime: { type: 'string', check: checkTime },
+  offeredDates: { type: 'array', max: 10, items: checkDate },
+  notifyCustomer: { type: 'boolean', default: false },
+  message: { type: 'string', max: 1000 },
+};
+
+function quoteSchemaFor(rates) {
+  return {
+    fullname: { type: 'string', required: true, min: 2, max: 100 },
+    email: { type: 'string', required: true, max: 254, normalise: v => v.toLowerCase(), check: checkEmail },
+    phone: { type: 'string', required: true, max: 30, normalise: normalisePhone, check: checkPhone },
+    pianotype: { type: 'string', max: 50, normalise: value => normalisePianoType(value, rates), check: value => checkPianoType(value, rates) },
+    pickup_postcode: { type: 'string', required: true, min: 5, max: 200, normalise: normaliseAddress, check: checkPostcode },
+    pickup_steps: { type: 'integer', min: 0, max: 300, default: 0 },
+    delivery_postcode: { type: 'string', required: true, min: 5, max: 200, normalise: normaliseAddress, check: checkPostcode },
+    delivery_steps: { type: 'integer', min: 0, max: 300, default: 0 },
+    specialrequirements: { type: 'string', max: 2000 },
+    move_date: { type: 'string', check: checkDate },
+    attachments: { type: 'array', max: 10, default: [], items: checkAttachment },
+  };
+}
+
+function validate(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = validateField(rule, source[field]);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+function validateField(rule, raw) {
+  let value = typeof raw === 'string' ? raw.trim() : raw;
+
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) return { error: 'This field is required' };
+    return { value: rule.default };
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return { error: 'Must be text' };
+    if (rule.min && value.length < rule.min) return { error: `Must be at least ${rule.min} characters` };
+    if (rule.max && value.length > rule.max) return { error: `Must be at most ${rule.max} characters` };
+  }
+
+  if (rule.type === 'integer') {
+    const number = toNumber(value);
+    if (!Number.isInteger(number)) return { error: 'Must be a whole number' };
+    if (number < rule.min || number > rule.max) return { error: `Must be between ${rule.min} and ${rule.max}` };
+    value = number;
+  }
+
+  if (rule.type === 'number') {
+    const number = toNumber(value);
+    if (!Number.isFinite(number)) return { error: 'Must be a number' };
+    if (number < rule.min || number > rule.max) return { error: `Must be between ${rule.min} and ${rule.max}` };
+    value = number;
+  }
+
+  if (rule.type === 'boolean') {
+    if (typeof value !== 'boolean') return { error: 'Must be true or false' };
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) return { error: 'Must be a list' };
+    if (rule.max && value.length > rule.max) return { error: `No more than ${rule.max} items allowed` };
+    for (let i = 0; i < value.length; i++) {
+      const error = rule.items(value[i]);
+      if (error) return { error: `Item ${i + 1}: ${error}` };
+    }
+  }
+
+  if (rule.normalise) value = rule.normalise(value);
+  if (rule.check) {
+    const error = rule.check(value);
+    if (error) return { error };
+  }
+
+  return { value };
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value)) return Number(value);
+  return NaN;
+}
+
+function checkEmail(value) {
+  return EMAIL_PATTERN.test(value) ? null : 'Enter a valid email address';
+}
+
+function normalisePhone(value) {
+  return toE164(value) || value;
+}
+
+function checkPhone(value) {
+  return parsePhone(value) ? null : 'Enter a valid phone number, including the country code if it is outside the UK';
+}
+
+function normalisePianoType(value, rates = pricing) {
+  const key = resolvePianoType(value, rates);
+  return key ? rates.pianoTypes[key].label : value;
+}
+
+function checkPianoType(value, rates = pricing) {
+  if (resolvePianoType(value, rates)) return null;
+  const labels = Object.values(rates.pianoTypes).map(type => type.label);
+  return `Must be one of: ${labels.join(', ')}`;
+}
+
+function normaliseAddress(value) {
+  return value
+    .replace(/\s+/g, ' ')
+    .replace(UK_POSTCODE_PATTERN, (match, outward, inward) => `${outward.toUpperCase()} ${inward.toUpperCase()}`);
+}
+
+function checkPostcode(value) {
+  return UK_POSTCODE_PATTERN.test(value) ? null : 'Include a valid UK postcode';
+}
+
+function checkDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'Use the format YYYY-MM-DD';
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? null : 'Enter a valid date';
+}
+
+function checkTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? null : 'Use the format HH:MM';
+}
+
+function checkStatuses(value) {
+  const unknown = value.split(',').map(status => status.trim()).filter(status => !STATUSES.includes(status));
+  return unknown.length === 0 ? null : `Must be one or more of: ${STATUSES.join(', ')}`;
+}
+
+function checkPostcodeArea(value) {
+  return /^[A-Z]{1,2}(\d[A-Z\d]?)?$/.test(value) ? null : 'Use a postcode area like N or a district like N13';
+}
+
+function checkJobRef(value) {
+  return normaliseJobRef(value) ? null : 'Must be a job reference';
+}
+
+function checkAttachment(file) {
+  if (!file || typeof file !== 'object') return 'Must be a file';
+  if (typeof file.filename !== 'string' || !file.filename.trim()) return 'Missing filename';
+  if (file.filename.length > 255) return 'Filename is too long';
+  if (typeof file.content !== 'string' || !file.content) return 'Missing file content';
+  if (!BASE64_PATTERN.test(file.content.replace(/\s/g, ''))) return 'File content must be base64 encoded';
+  return null;
+}
+
+module.exports = {
+  quoteSchema,
+  quoteSchemaFor,
+  statusChangeSchema,
+  runSheetSchema,
+  exportSchema,
+  subjectSchema,
+  erasureSchema,
+  bookingSchema,
+  validate,
+};
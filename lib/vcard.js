@@ -0,0 +1,41 @@
+const business = require('../config/business');
+
+const PHONE_TYPES = {
+  office: 'WORK,VOICE',
+  mobile: 'CELL',
+  freephone: 'WORK,VOICE',
+};
+
+function generateVCard(profile = business) {
+  const { address } = profile;
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeValue(profile.name)}`,
+    `ORG:${escapeValue(profile.name)}`,
+    ...Object.entries(profile.phones).map(([kind, phone]) => `TEL;TYPE=${PHONE_TYPES[kind] || 'VOICE'}:${phone.e164}`),
+    `EMAIL:${profile.email}`,
+    `ADR;TYPE=WORK:;;${[address.street, address.city, '', address.postcode, address.country].map(escapeValue).join(';')}`,
+    `URL:${profile.website}`,
+    'END:VCARD',
+  ];
+
+  return Buffer.from(lines.join('\r\n') + '\r\n', 'utf-8');
+}
+
+function vcardFileName(profile = business) {
+  return `${profile.name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '')}.vcf`;
+}
+
+function escapeValue(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+module.exports = {
+  generateVCard,
+  vcardFileName,
+};
@@ -0,0 +1,8 @@
+const fs = require('fs');
+const path = require('path');
+const { generateVCard } = require('../lib/vcard');
+
+const target = path.join(__dirname, '..', 'public', 'contact.vcf');
+
+fs.writeFileSync(target, generateVCard());
+console.log(`Wrote ${path.relative(process.cwd(), target)}`);
@@ -0,0 +1,74 @@
+const { createClient } = require('@supabase/supabase-js');
+const { listTenants, storagePath } = require('../lib/tenants');
+
+const PUBLIC_BUCKET = 'piano-quotes';
+const PRIVATE_BUCKET = 'piano-quote-files';
+const PAGE_SIZE = 200;
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  let moved = 0;
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data: quotes, error } = await supabase
+      .from('quotes')
+      .select('job_ref, pdf_path, calendar_path, attachment_files')
+      .order('job_ref')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to load quotes: ${error.message}`);
+
+    for (const quote of quotes) {
+      const paths = [quote.pdf_path, quote.calendar_path, ...(quote.attachment_files || []).map(file => file.path)].filter(Boolean);
+      for (const path of paths) {
+        if (await moveFile(path)) moved++;
+      }
+    }
+
+    if (quotes.length < PAGE_SIZE) break;
+  }
+
+  for (const tenant of listTenants()) {
+    for (const path of await listFiles(storagePath(tenant, 'run-sheets'))) {
+      if (await moveFile(path)) moved++;
+    }
+  }
+
+  console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved} files to ${PRIVATE_BUCKET}`);
+}
+
+async function moveFile(path) {
+  const { data: file, error: downloadError } = await supabase.storage.from(PUBLIC_BUCKET).download(path);
+  if (downloadError) return false;
+
+  console.log(`${dryRun ? 'Would move' : 'Moving'} ${path}`);
+  if (dryRun) return true;
+
+  const { error: uploadError } = await supabase.storage
+    .from(PRIVATE_BUCKET)
+    .upload(path, Buffer.from(await file.arrayBuffer()), { contentType: file.type, upsert: true });
+  if (uploadError) throw new Error(`Failed to copy ${path}: ${uploadError.message}`);
+
+  const { error: removeError } = await supabase.storage.from(PUBLIC_BUCKET).remove([path]);
+  if (removeError) throw new Error(`Failed to remove public copy of ${path}: ${removeError.message}`);
+  return true;
+}
+
+async function listFiles(folder) {
+  const { data: entries, error } = await supabase.storage.from(PUBLIC_BUCKET).list(folder, { limit: 1000 });
+  if (error) throw new Error(`Failed to list ${folder}: ${error.message}`);
+
+  const files = [];
+  for (const entry of entries) {
+    const path = `${folder}/${entry.name}`;
+    files.push(...(entry.id ? [path] : await listFiles(path)));
+  }
+  return files;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
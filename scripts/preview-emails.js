@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const { renderPreview } = require('../lib/preview');
+
+const source = path.resolve(process.argv[2] || path.join(__dirname, '..', 'test', 'fixtures', 'quotes.json'));
+const target = path.resolve(process.argv[3] || path.join(__dirname, '..', 'preview'));
+
+async function main() {
+  const fixtures = JSON.parse(fs.readFileSync(source, 'utf-8'));
+  fs.mkdirSync(target, { recursive: true });
+
+  for (const fixture of fixtures) {
+    const files = await renderPreview(fixture);
+    for (const [name, content] of Object.entries(files)) {
+      const file = path.join(target, `${fixture.name}.${name}`);
+      fs.writeFileSync(file, content);
+      console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,7 @@
+alter table quotes
+  add column if not exists estimate_low numeric(10, 2),
+  add column if not exists estimate_high numeric(10, 2),
+  add column if not exists estimate_breakdown jsonb;
+
+alter table quotes
+  add column if not exists move_date date;
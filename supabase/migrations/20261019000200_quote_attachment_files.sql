@@ -0,0 +1,2 @@
+alter table quotes
+  add column if not exists attachment_files jsonb not null default '[]'::jsonb;
@@ -0,0 +1,37 @@
+alter table quotes
+  add column if not exists status text not null default 'new';
+
+create table if not exists job_ref_renames (
+  old_job_ref text not null,
+  new_job_ref text primary key,
+  renamed_at timestamptz not null default now()
+);
+
+do $$
+declare
+  duplicate record;
+  candidate text;
+begin
+  for duplicate in
+    select ctid, job_ref
+    from (
+      select ctid, job_ref, row_number() over (partition by job_ref order by created_at, ctid) as position
+      from quotes
+    ) ranked
+    where position > 1
+  loop
+    loop
+      candidate := 'PMT-' || lpad(floor(random() * 1000000)::int::text, 6, '0');
+      exit when not exists (select 1 from quotes where job_ref = candidate);
+    end loop;
+
+    update quotes set job_ref = candidate where ctid = duplicate.ctid;
+    insert into job_ref_renames (old_job_ref, new_job_ref) values (duplicate.job_ref, candidate);
+    raise notice 'Renamed duplicate job reference % to %', duplicate.job_ref, candidate;
+  end loop;
+
+  if not exists (select 1 from pg_constraint where conname = 'quotes_job_ref_key') then
+    alter table quotes
+      add constraint quotes_job_ref_key unique (job_ref);
+  end if;
+end $$;
@@ -0,0 +1,23 @@
+alter table quotes
+  add column if not exists status_updated_at timestamptz,
+  add column if not exists quoted_price numeric(10, 2);
+
+alter table quotes
+  drop constraint if exists quotes_status_check;
+
+alter table quotes
+  add constraint quotes_status_check
+  check (status in ('new', 'called_back', 'quoted', 'booked', 'completed', 'lost'));
+
+create table if not exists quote_status_history (
+  id bigint generated always as identity primary key,
+  job_ref text not null references quotes (job_ref) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  changed_by text not null,
+  note text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists quote_status_history_job_ref_idx
+  on quote_status_history (job_ref, changed_at);
@@ -0,0 +1,2 @@
+alter table quotes
+  add column if not exists offered_dates date[] not null default '{}';
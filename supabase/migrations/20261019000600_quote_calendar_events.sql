@@ -0,0 +1,4 @@
+alter table quotes
+  add column if not exists move_time time,
+  add column if not exists calendar_sequence integer,
+  add column if not exists calendar_url text;
@@ -0,0 +1,11 @@
+alter table quotes
+  add column if not exists idempotency_key text,
+  add column if not exists email_id text,
+  add column if not exists customer_email_id text;
+
+create unique index if not exists quotes_idempotency_key_key
+  on quotes (idempotency_key)
+  where idempotency_key is not null;
+
+create index if not exists quotes_customer_email_idx on quotes (customer_email, created_at desc);
+create index if not exists quotes_customer_phone_idx on quotes (customer_phone, created_at desc);
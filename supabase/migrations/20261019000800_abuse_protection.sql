@@ -0,0 +1,29 @@
+create table if not exists rate_limits (
+  key text primary key,
+  count integer not null,
+  reset_at timestamptz not null
+);
+
+create or replace function increment_rate_limit(p_key text, p_window_seconds integer)
+returns table (count integer, reset_at timestamptz)
+language sql
+as $$
+  insert into rate_limits as r (key, count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update
+    set count = case when r.reset_at <= now() then 1 else r.count + 1 end,
+        reset_at = case when r.reset_at <= now() then now() + make_interval(secs => p_window_seconds) else r.reset_at end
+  returning r.count, r.reset_at;
+$$;
+
+create table if not exists abuse_log (
+  id bigint generated always as identity primary key,
+  reason text not null,
+  ip text,
+  origin text,
+  user_agent text,
+  email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists abuse_log_created_at_idx on abuse_log (created_at desc);
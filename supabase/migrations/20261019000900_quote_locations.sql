@@ -0,0 +1,7 @@
+alter table quotes
+  add column if not exists pickup_outward text,
+  add column if not exists pickup_area text,
+  add column if not exists delivery_outward text,
+  add column if not exists delivery_area text,
+  add column if not exists distance_miles numeric(6, 1),
+  add column if not exists outside_service_area boolean not null default false;
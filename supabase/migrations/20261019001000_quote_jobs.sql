@@ -0,0 +1,74 @@
+alter table quotes
+  alter column pdf_url drop not null;
+
+create table if not exists quote_jobs (
+  id bigint generated always as identity primary key,
+  job_ref text not null references quotes (job_ref) on delete cascade,
+  kind text not null,
+  payload jsonb not null default '{}'::jsonb,
+  depends_on text,
+  status text not null default 'pending'
+    check (status in ('pending', 'running', 'done', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 6,
+  run_after timestamptz not null default now(),
+  locked_until timestamptz,
+  last_error text,
+  result jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz,
+  unique (job_ref, kind)
+);
+
+create index if not exists quote_jobs_due_idx on quote_jobs (status, run_after);
+
+create or replace function create_quote_with_jobs(p_quote jsonb, p_jobs jsonb)
+returns setof quotes
+language plpgsql
+as $$
+declare
+  columns text;
+begin
+  select string_agg(quote_ident(key), ', ') into columns
+  from jsonb_object_keys(p_quote) as key;
+
+  return query execute format(
+    'insert into quotes (%s) select %s from jsonb_populate_record(null::quotes, $1) returning *',
+    columns, columns
+  ) using p_quote;
+
+  insert into quote_jobs (job_ref, kind, payload, depends_on, max_attempts)
+  select p_quote->>'job_ref',
+         job->>'kind',
+         coalesce(job->'payload', '{}'::jsonb),
+         job->>'depends_on',
+         coalesce((job->>'max_attempts')::integer, 6)
+  from jsonb_array_elements(p_jobs) as job;
+end;
+$$;
+
+create or replace function claim_quote_jobs(p_batch_size integer, p_lease_seconds integer, p_job_ref text default null)
+returns setof quote_jobs
+language sql
+as $$
+  update quote_jobs
+    set status = 'running',
+        attempts = attempts + 1,
+        locked_until = now() + make_interval(secs => p_lease_seconds),
+        updated_at = now()
+  where id in (
+    select j.id from quote_jobs j
+    where ((j.status = 'pending' and j.run_after <= now())
+        or (j.status = 'running' and j.locked_until < now()))
+      and (p_job_ref is null or j.job_ref = p_job_ref)
+      and (j.depends_on is null or exists (
+        select 1 from quote_jobs d
+        where d.job_ref = j.job_ref and d.kind = j.depends_on and d.status = 'done'
+      ))
+    order by j.id
+    limit p_batch_size
+    for update skip locked
+  )
+  returning *;
+$$;
@@ -0,0 +1,22 @@
+alter table quotes
+  add column if not exists email_status text,
+  add column if not exists email_status_at timestamptz,
+  add column if not exists customer_email_status text,
+  add column if not exists customer_email_status_at timestamptz;
+
+create index if not exists quotes_email_id_idx on quotes (email_id);
+create index if not exists quotes_customer_email_id_idx on quotes (customer_email_id);
+
+create table if not exists email_events (
+  id bigint generated always as identity primary key,
+  svix_id text unique,
+  email_id text not null,
+  job_ref text references quotes (job_ref) on delete cascade,
+  recipient text check (recipient in ('office', 'customer')),
+  type text not null,
+  payload jsonb,
+  occurred_at timestamptz not null,
+  received_at timestamptz not null default now()
+);
+
+create index if not exists email_events_job_ref_idx on email_events (job_ref, occurred_at);
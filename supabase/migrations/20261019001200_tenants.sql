@@ -0,0 +1,43 @@
+alter table quotes
+  add column if not exists tenant_id text not null default 'north-london';
+
+drop index if exists quotes_idempotency_key_key;
+drop index if exists quotes_customer_email_idx;
+drop index if exists quotes_customer_phone_idx;
+
+create unique index if not exists quotes_tenant_idempotency_key_key
+  on quotes (tenant_id, idempotency_key)
+  where idempotency_key is not null;
+
+create index if not exists quotes_tenant_created_at_idx on quotes (tenant_id, created_at desc);
+create index if not exists quotes_tenant_customer_email_idx on quotes (tenant_id, customer_email, created_at desc);
+create index if not exists quotes_tenant_customer_phone_idx on quotes (tenant_id, customer_phone, created_at desc);
+
+alter table quote_jobs
+  add column if not exists tenant_id text not null default 'north-london';
+
+create or replace function create_quote_with_jobs(p_quote jsonb, p_jobs jsonb)
+returns setof quotes
+language plpgsql
+as $$
+declare
+  columns text;
+begin
+  select string_agg(quote_ident(key), ', ') into columns
+  from jsonb_object_keys(p_quote) as key;
+
+  return query execute format(
+    'insert into quotes (%s) select %s from jsonb_populate_record(null::quotes, $1) returning *',
+    columns, columns
+  ) using p_quote;
+
+  insert into quote_jobs (job_ref, tenant_id, kind, payload, depends_on, max_attempts)
+  select p_quote->>'job_ref',
+         coalesce(p_quote->>'tenant_id', 'north-london'),
+         job->>'kind',
+         coalesce(job->'payload', '{}'::jsonb),
+         job->>'depends_on',
+         coalesce((job->>'max_attempts')::integer, 6)
+  from jsonb_array_elements(p_jobs) as job;
+end;
+$$;
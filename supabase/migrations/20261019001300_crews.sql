@@ -0,0 +1,39 @@
+create table if not exists vehicles (
+  id bigint generated always as identity primary key,
+  tenant_id text not null default 'north-london',
+  name text not null,
+  registration text,
+  seats integer not null default 3 check (seats > 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists crews (
+  id bigint generated always as identity primary key,
+  tenant_id text not null default 'north-london',
+  name text not null,
+  size integer not null check (size > 0),
+  members text[] not null default '{}',
+  vehicle_id bigint references vehicles (id) on delete set null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists crew_assignments (
+  id bigint generated always as identity primary key,
+  tenant_id text not null default 'north-london',
+  job_ref text not null unique references quotes (job_ref) on delete cascade,
+  move_date date not null,
+  crew_id bigint not null references crews (id) on delete cascade,
+  vehicle_id bigint references vehicles (id) on delete set null,
+  position integer not null check (position > 0),
+  assigned_by text not null,
+  assigned_at timestamptz not null default now()
+);
+
+create index if not exists crew_assignments_day_idx
+  on crew_assignments (tenant_id, move_date, crew_id, position);
+
+create index if not exists quotes_tenant_move_date_idx
+  on quotes (tenant_id, move_date)
+  where status = 'booked';
@@ -0,0 +1,21 @@
+alter table quotes
+  add column if not exists erased_at timestamptz;
+
+create table if not exists privacy_audit (
+  id bigint generated always as identity primary key,
+  tenant_id text not null default 'north-london',
+  action text not null check (action in ('export', 'erase', 'retention')),
+  mode text check (mode in ('anonymise', 'delete')),
+  subject_hash text,
+  job_refs text[] not null default '{}',
+  objects_removed integer not null default 0,
+  requested_by text not null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists privacy_audit_subject_idx on privacy_audit (subject_hash, created_at desc);
+
+create index if not exists quotes_tenant_retention_idx
+  on quotes (tenant_id, created_at)
+  where status in ('new', 'called_back', 'quoted', 'lost');
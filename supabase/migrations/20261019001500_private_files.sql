@@ -0,0 +1,23 @@
+insert into storage.buckets (id, name, public)
+values ('piano-quote-files', 'piano-quote-files', false)
+on conflict (id) do update set public = false;
+
+alter table quotes
+  add column if not exists pdf_path text;
+
+update quotes q
+  set pdf_path = j.payload->>'pdfPath'
+  from quote_jobs j
+  where j.job_ref = q.job_ref
+    and j.kind = 'job_sheet'
+    and j.status = 'done'
+    and q.pdf_path is null;
+
+update quotes
+  set pdf_path = regexp_replace(pdf_url, '^.*/storage/v1/object/public/piano-quotes/', '')
+  where pdf_path is null
+    and pdf_url like '%/storage/v1/object/public/piano-quotes/%';
+
+update quotes
+  set pdf_url = null
+  where pdf_url is not null;
@@ -0,0 +1,9 @@
+alter table quotes
+  add column if not exists customer_sms_id text,
+  add column if not exists on_call_sms_id text;
+
+create table if not exists sms_opt_outs (
+  phone text primary key,
+  keyword text,
+  opted_out_at timestamptz not null default now()
+);
@@ -0,0 +1,11 @@
+update quotes q
+  set customer_phone = n.e164
+  from (
+    select job_ref,
+           regexp_replace(regexp_replace(customer_phone, '[^0-9+]', '', 'g'), '^(\+|00)?440?|^0', '+44') as e164
+    from quotes
+    where customer_phone ~ '^[0-9 +().\-/]+$'
+  ) n
+  where q.job_ref = n.job_ref
+    and q.customer_phone is distinct from n.e164
+    and (n.e164 ~ '^\+44[1-9][0-9]{8,9}$' or (n.e164 ~ '^\+[1-9][0-9]{6,14}$' and n.e164 !~ '^\+44'));
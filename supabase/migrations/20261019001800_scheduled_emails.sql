@@ -0,0 +1,15 @@
+create table if not exists scheduled_emails (
+  key text primary key,
+  tenant_id text not null,
+  kind text not null,
+  job_ref text references quotes (job_ref) on delete cascade,
+  email_id text,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists scheduled_emails_job_ref_idx
+  on scheduled_emails (job_ref);
+
+create index if not exists quotes_tenant_status_created_idx
+  on quotes (tenant_id, status, created_at);
@@ -0,0 +1,24 @@
+create or replace function assign_crew(p_crew_id bigint, p_move_date date, p_assignments jsonb)
+returns setof crew_assignments
+language plpgsql
+as $$
+begin
+  delete from crew_assignments
+  where crew_id = p_crew_id
+    and move_date = p_move_date;
+
+  return query
+  insert into crew_assignments (tenant_id, job_ref, move_date, crew_id, vehicle_id, position, assigned_by, assigned_at)
+  select a.tenant_id, a.job_ref, a.move_date, a.crew_id, a.vehicle_id, a.position, a.assigned_by, a.assigned_at
+  from jsonb_populate_recordset(null::crew_assignments, p_assignments) as a
+  on conflict (job_ref) do update
+    set tenant_id = excluded.tenant_id,
+        move_date = excluded.move_date,
+        crew_id = excluded.crew_id,
+        vehicle_id = excluded.vehicle_id,
+        position = excluded.position,
+        assigned_by = excluded.assigned_by,
+        assigned_at = excluded.assigned_at
+  returning *;
+end;
+$$;
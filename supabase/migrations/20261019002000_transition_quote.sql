@@ -0,0 +1,33 @@
+create or replace function transition_quote(p_job_ref text, p_from text, p_changes jsonb, p_history jsonb)
+returns setof quotes
+language plpgsql
+as $$
+declare
+  assignments text;
+  updated quotes;
+begin
+  select string_agg(format('%1$I = r.%1$I', key), ', ') into assignments
+  from jsonb_object_keys(p_changes) as key;
+
+  execute format(
+    'update quotes q set %s from jsonb_populate_record(null::quotes, $1) r where q.job_ref = $2 and q.status = $3 returning q.*',
+    assignments
+  ) into updated using p_changes, p_job_ref, p_from;
+
+  if updated.job_ref is null then
+    return;
+  end if;
+
+  insert into quote_status_history (job_ref, from_status, to_status, changed_by, note, changed_at)
+  values (
+    p_job_ref,
+    p_from,
+    p_history->>'to_status',
+    p_history->>'changed_by',
+    p_history->>'note',
+    (p_history->>'changed_at')::timestamptz
+  );
+
+  return next updated;
+end;
+$$;
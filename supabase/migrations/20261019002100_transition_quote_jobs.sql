@@ -0,0 +1,56 @@
+drop function if exists transition_quote(text, text, jsonb, jsonb);
+
+create or replace function transition_quote(p_job_ref text, p_from text, p_changes jsonb, p_history jsonb, p_jobs jsonb default '[]'::jsonb)
+returns setof quotes
+language plpgsql
+as $$
+declare
+  assignments text;
+  updated quotes;
+begin
+  select string_agg(format('%1$I = r.%1$I', key), ', ') into assignments
+  from jsonb_object_keys(p_changes) as key;
+
+  execute format(
+    'update quotes q set %s from jsonb_populate_record(null::quotes, $1) r where q.job_ref = $2 and q.status = $3 returning q.*',
+    assignments
+  ) into updated using p_changes, p_job_ref, p_from;
+
+  if updated.job_ref is null then
+    return;
+  end if;
+
+  insert into quote_status_history (job_ref, from_status, to_status, changed_by, note, changed_at)
+  values (
+    p_job_ref,
+    p_from,
+    p_history->>'to_status',
+    p_history->>'changed_by',
+    p_history->>'note',
+    (p_history->>'changed_at')::timestamptz
+  );
+
+  insert into quote_jobs (job_ref, tenant_id, kind, payload, depends_on, max_attempts)
+  select p_job_ref,
+         updated.tenant_id,
+         job->>'kind',
+         coalesce(job->'payload', '{}'::jsonb),
+         job->>'depends_on',
+         coalesce((job->>'max_attempts')::integer, 6)
+  from jsonb_array_elements(p_jobs) as job
+  on conflict (job_ref, kind) do update
+    set payload = excluded.payload,
+        depends_on = excluded.depends_on,
+        max_attempts = excluded.max_attempts,
+        status = 'pending',
+        attempts = 0,
+        run_after = now(),
+        locked_until = null,
+        last_error = null,
+        result = null,
+        completed_at = null,
+        updated_at = now();
+
+  return next updated;
+end;
+$$;
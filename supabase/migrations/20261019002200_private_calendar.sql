@@ -0,0 +1,11 @@
+alter table quotes
+  add column if not exists calendar_path text;
+
+update quotes
+  set calendar_path = regexp_replace(calendar_url, '^.*/storage/v1/object/public/piano-quotes/', '')
+  where calendar_url is not null
+    and calendar_path is null;
+
+update quotes
+  set calendar_url = null
+  where calendar_url is not null;
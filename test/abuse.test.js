@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createRateLimiter } = require('../lib/rate-limit');
+const { checkHoneypot, checkFormTiming, verifyChallenge, getClientIp } = require('../lib/abuse');
+const { applyCors } = require('../lib/cors');
+const { muteConsole } = require('./support/helpers');
+
+muteConsole();
+
+function fakeRes() {
+  const headers = {};
+  return { headers, setHeader: (name, value) => { headers[name] = value; } };
+}
+
+test('rate limiter allows up to the limit per window', async () => {
+  const limit = createRateLimiter(createMemoryStore(), { limit: 2, windowSeconds: 60, prefix: 'test' });
+  const now = Date.UTC(2026, 9, 19);
+
+  assert.strictEqual((await limit('1.2.3.4', now)).allowed, true);
+  assert.strictEqual((await limit('1.2.3.4', now)).allowed, true);
+  const blocked = await limit('1.2.3.4', now + 10000);
+  assert.strictEqual(blocked.allowed, false);
+  assert.strictEqual(blocked.retryAfter, 50);
+  assert.strictEqual((await limit('5.6.7.8', now)).allowed, true);
+  assert.strictEqual((await limit('1.2.3.4', now + 61000)).allowed, true);
+});
+
+test('rate limiter fails open when the store is unavailable', async () => {
+  const store = { increment: async () => { throw new Error('down'); } };
+  const limit = createRateLimiter(store, { limit: 1, windowSeconds: 60, prefix: 'test' });
+  assert.strictEqual((await limit('1.2.3.4')).allowed, true);
+});
+
+test('honeypot and form timing checks', () => {
+  const now = Date.now();
+  assert.deepStrictEqual(checkHoneypot({ website: 'http://spam' }), { ok: false, reason: 'honeypot' });
+  assert.deepStrictEqual(checkHoneypot({ website: '' }), { ok: true });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: now - 1000 }, now), { ok: false, reason: 'too_fast' });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: now - 60000 }, now), { ok: true });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: now - 2 * 86400000 }, now), { ok: false, reason: 'stale_form' });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: String(now - 60000) }, now), { ok: true });
+  assert.deepStrictEqual(checkFormTiming({}, now), { ok: false, reason: 'timing_missing' });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: 'soon' }, now), { ok: false, reason: 'timing_missing' });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: '' }, now), { ok: false, reason: 'timing_missing' });
+  assert.deepStrictEqual(checkFormTiming({ form_started_at: true }, now), { ok: false, reason: 'timing_missing' });
+});
+
+test('challenge check uses the configured provider hook', async () => {
+  const provider = { verify: async token => ({ ok: token === 'good', reason: 'challenge_failed' }) };
+  assert.strictEqual((await verifyChallenge('good', null, provider)).ok, true);
+  assert.strictEqual((await verifyChallenge('bad', null, provider)).ok, false);
+  assert.strictEqual((await verifyChallenge(undefined, null, '')).ok, true);
+  assert.deepStrictEqual(await verifyChallenge(undefined, null, 'turnstile'), { ok: false, reason: 'challenge_missing' });
+});
+
+test('challenge check fails closed once a captcha is configured', async t => {
+  assert.deepStrictEqual(await verifyChallenge('token', null, 'recaptcha'), { ok: false, reason: 'challenge_unavailable' });
+
+  t.mock.method(global, 'fetch', async () => { throw new Error('network down'); });
+  assert.deepStrictEqual(await verifyChallenge('token', '203.0.113.9', 'turnstile'), { ok: false, reason: 'challenge_unavailable' });
+});
+
+test('CORS only echoes allow-listed origins', () => {
+  const options = { methods: 'POST, OPTIONS', headers: 'Content-Type' };
+
+  let res = fakeRes();
+  assert.strictEqual(applyCors({ headers: { origin: 'https://www.pianomoveteam.co.uk' } }, res, options), true);
+  assert.strictEqual(res.headers['Access-Control-Allow-Origin'], 'https://www.pianomoveteam.co.uk');
+
+  res = fakeRes();
+  assert.strictEqual(applyCors({ headers: { origin: 'https://evil.example' } }, res, options), false);
+  assert.strictEqual(res.headers['Access-Control-Allow-Origin'], undefined);
+
+  res = fakeRes();
+  assert.strictEqual(applyCors({ headers: {} }, res, options), true);
+});
+
+test('client IP comes from the proxy, not from addresses the client sent', () => {
+  assert.strictEqual(getClientIp({ headers: { 'x-real-ip': '198.51.100.4', 'x-forwarded-for': '203.0.113.9, 198.51.100.4' } }), '198.51.100.4');
+  assert.strictEqual(getClientIp({ headers: { 'x-forwarded-for': '203.0.113.9, 198.51.100.4' } }), '198.51.100.4');
+  assert.strictEqual(getClientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), '127.0.0.1');
+});
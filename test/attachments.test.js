@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { processAttachments, sniffType, sanitiseFilename } = require('../lib/attachments');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+const HEIC = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic'), Buffer.alloc(8)]);
+const PDF = Buffer.from('%PDF-1.7\n');
+const EXE = Buffer.from('MZ\x90\x00');
+
+const file = (filename, buf) => ({ filename, content: buf.toString('base64') });
+
+test('sniffs file signatures rather than trusting the filename', () => {
+  assert.strictEqual(sniffType(JPEG).type, 'image/jpeg');
+  assert.strictEqual(sniffType(PNG).type, 'image/png');
+  assert.strictEqual(sniffType(HEIC).type, 'image/heic');
+  assert.strictEqual(sniffType(PDF).type, 'application/pdf');
+  assert.strictEqual(sniffType(EXE), null);
+});
+
+test('accepts images and PDFs and rejects other content with a reason', () => {
+  const { accepted, rejected } = processAttachments([
+    file('stairs.jpg', JPEG),
+    file('invoice.pdf', PDF),
+    file('photo.jpg', EXE),
+    file('empty.png', Buffer.alloc(0)),
+  ]);
+  assert.deepStrictEqual(accepted.map(f => [f.filename, f.contentType]), [
+    ['stairs.jpg', 'image/jpeg'],
+    ['invoice.pdf', 'application/pdf'],
+  ]);
+  assert.deepStrictEqual(rejected.map(f => f.filename), ['photo.jpg', 'empty.png']);
+  assert.match(rejected[0].reason, /Only photos/);
+});
+
+test('enforces per-file, total and count limits', () => {
+  const limits = { maxFiles: 3, maxFileBytes: 12, maxTotalBytes: 20 };
+  const tiny = JPEG.subarray(0, 3);
+  const { accepted, rejected } = processAttachments([
+    file('a.jpg', Buffer.concat([JPEG, Buffer.alloc(10)])),
+    file('b.png', PNG),
+    file('c.jpg', Buffer.concat([JPEG, Buffer.alloc(4)])),
+    file('d.jpg', JPEG),
+    file('e.jpg', tiny),
+    file('f.jpg', tiny),
+  ], limits);
+  assert.deepStrictEqual(accepted.map(f => f.filename), ['b.png', 'd.jpg', 'e.jpg']);
+  assert.deepStrictEqual(rejected.map(f => f.filename), ['a.jpg', 'c.jpg', 'f.jpg']);
+  assert.match(rejected[0].reason, /File is larger than/);
+  assert.match(rejected[1].reason, /total limit/);
+  assert.strictEqual(rejected[2].reason, 'Only 3 files can be attached');
+});
+
+test('cleans filenames and matches the extension to the sniffed type', () => {
+  assert.strictEqual(sanitiseFilename('../../etc/passwd', 'jpg'), 'passwd.jpg');
+  assert.strictEqual(sanitiseFilename('C:\\Users\\me\\My Piano (1).PNG', 'png'), 'My-Piano-1.png');
+  assert.strictEqual(sanitiseFilename('<script>.heic', 'heic'), 'script.heic');
+  assert.strictEqual(sanitiseFilename('...', 'pdf'), 'photo.pdf');
+
+  const { accepted } = processAttachments([file('IMG.jpg', JPEG), file('img.jpeg', JPEG)]);
+  assert.deepStrictEqual(accepted.map(f => f.filename), ['IMG.jpg', 'img-2.jpg']);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBookingLink, verifyBookingLink } = require('../lib/booking-link');
+
+const secret = 'test-secret';
+const now = Date.UTC(2026, 9, 19);
+
+function paramsOf(url) {
+  return Object.fromEntries(new URL(url).searchParams);
+}
+
+test('signed links verify until they expire', () => {
+  const link = createBookingLink('PMT-ABCD-EFGH', { ttlDays: 7, now, secret });
+  const params = paramsOf(link.url);
+
+  assert.strictEqual(params.ref, 'PMT-ABCD-EFGH');
+  assert.strictEqual(link.expiresAt, '2026-10-26T00:00:00.000Z');
+  assert.deepStrictEqual(verifyBookingLink(params, { now, secret }), {
+    valid: true,
+    jobRef: 'PMT-ABCD-EFGH',
+    expiresAt: link.expiresAt,
+  });
+
+  const expired = verifyBookingLink(params, { now: now + 8 * 24 * 60 * 60 * 1000, secret });
+  assert.strictEqual(expired.valid, false);
+  assert.match(expired.reason, /expired/);
+});
+
+test('rejects tampered or unsigned links', () => {
+  const params = paramsOf(createBookingLink('PMT-ABCD-EFGH', { now, secret }).url);
+
+  assert.strictEqual(verifyBookingLink({ ...params, ref: 'PMT-ZZZZ-ZZZZ' }, { now, secret }).valid, false);
+  assert.strictEqual(verifyBookingLink({ ...params, exp: String(Number(params.exp) + 1) }, { now, secret }).valid, false);
+  assert.strictEqual(verifyBookingLink({ ...params, sig: 'x' }, { now, secret }).valid, false);
+  assert.strictEqual(verifyBookingLink(params, { now, secret: 'other' }).valid, false);
+  assert.strictEqual(verifyBookingLink({}, { now, secret }).valid, false);
+});
+
+test('refuses to create links without a secret', () => {
+  assert.throws(() => createBookingLink('PMT-ABCD-EFGH', { secret: '' }), /BOOKING_LINK_SECRET/);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBookingHandler } = require('../lib/booking-handler');
+const { createBookingLink } = require('../lib/booking-link');
+const { createFakeSupabase, createFakeResend, createRequest, createResponse } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+process.env.BOOKING_LINK_SECRET = 'test-booking-secret';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const soon = new Date(Date.now() + 14 * DAY_MS).toISOString().slice(0, 10);
+const later = new Date(Date.now() + 21 * DAY_MS).toISOString().slice(0, 10);
+
+function bookingApi(overrides = {}) {
+  const supabase = createFakeSupabase({
+    tables: {
+      quotes: [quoteRow('PMT-AAAA-AAAA', { status: 'quoted', quoted_price: 350, offered_dates: [later, soon], ...overrides })],
+    },
+  });
+  const resend = createFakeResend();
+  const handler = createBookingHandler({ supabase, resend });
+
+  const send = async request => {
+    const res = createResponse();
+    await handler(createRequest(request), res);
+    return res;
+  };
+
+  return { supabase, resend, send };
+}
+
+function linkParams(jobRef = 'PMT-AAAA-AAAA') {
+  return Object.fromEntries(new URL(createBookingLink(jobRef).url).searchParams);
+}
+
+test('refuses links that were not signed by us', async () => {
+  const { send } = bookingApi();
+
+  const res = await send({ method: 'GET', query: { ...linkParams(), sig: 'forged' } });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.deepStrictEqual(res.body, { error: 'Invalid link' });
+});
+
+test('shows the price and the offered dates', async () => {
+  const { send } = bookingApi();
+
+  const res = await send({ method: 'GET', query: linkParams() });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.firstName, 'Ann');
+  assert.strictEqual(res.body.price, 350);
+  assert.deepStrictEqual(res.body.offeredDates, [soon, later]);
+});
+
+test('books an offered date and sends the confirmations through the outbox', async () => {
+  const { supabase, resend, send } = bookingApi();
+
+  const res = await send({ body: { ...linkParams(), moveDate: soon } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body, { success: true, jobRef: 'PMT-AAAA-AAAA', status: 'booked', moveDate: soon });
+  assert.strictEqual(supabase.table('quotes')[0].calendar_sequence, 0);
+  assert.strictEqual(supabase.table('quotes')[0].calendar_path, 'calendar/PMT-AAAA-AAAA.ics');
+  assert.ok(supabase.buckets['piano-quote-files'].has('calendar/PMT-AAAA-AAAA.ics'));
+  assert.strictEqual(supabase.buckets['piano-quotes'], undefined);
+  assert.deepStrictEqual(supabase.table('quote_status_history').map(entry => [entry.from_status, entry.to_status, entry.changed_by]), [
+    ['quoted', 'booked', 'customer (online booking)'],
+  ]);
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status]), [
+    ['move_event', 'done'],
+    ['booking_office_email', 'done'],
+    ['booking_customer_email', 'done'],
+  ]);
+
+  const [office, customer] = resend.sent;
+  assert.strictEqual(office.subject, 'Booked - Ann Example (PMT-AAAA-AAAA)');
+  assert.deepStrictEqual(customer.to, ['ann@example.com']);
+  for (const email of [office, customer]) {
+    assert.strictEqual(email.attachments[0].filename, 'Piano-Move-PMT-AAAA-AAAA.ics');
+    assert.ok(email.attachments[0].content.includes('SEQUENCE:0'));
+  }
+});
+
+test('keeps the booking and retries the confirmation when the email fails', async () => {
+  const { supabase, resend, send } = bookingApi();
+  resend.fail();
+
+  const res = await send({ body: { ...linkParams(), moveDate: soon } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(supabase.table('quotes')[0].status, 'booked');
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status, job.attempts]), [
+    ['move_event', 'done', 1],
+    ['booking_office_email', 'pending', 1],
+    ['booking_customer_email', 'pending', 1],
+  ]);
+});
+
+test('retries the calendar update when the upload fails', async () => {
+  const { supabase, resend, send } = bookingApi();
+  supabase.fail('storage.upload');
+
+  const res = await send({ body: { ...linkParams(), moveDate: soon } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(supabase.table('quotes')[0].calendar_sequence, undefined);
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status, job.attempts]), [
+    ['move_event', 'pending', 1],
+    ['booking_office_email', 'pending', 0],
+    ['booking_customer_email', 'pending', 0],
+  ]);
+  assert.match(supabase.table('quote_jobs')[0].last_error, /^Calendar update failed/);
+  assert.deepStrictEqual(resend.sent, []);
+});
+
+test('refuses dates that were not offered and quotes already booked', async () => {
+  const wrongDate = await bookingApi().send({ body: { ...linkParams(), moveDate: '2026-01-05' } });
+  assert.strictEqual(wrongDate.statusCode, 400);
+  assert.deepStrictEqual(wrongDate.body.fields, [{ field: 'moveDate', message: 'Please choose one of the offered dates' }]);
+
+  const { supabase, resend, send } = bookingApi({ status: 'booked', move_date: soon });
+  const booked = await send({ body: { ...linkParams(), moveDate: later } });
+  assert.strictEqual(booked.statusCode, 409);
+  assert.deepStrictEqual(booked.body, { error: 'This move is already booked' });
+  assert.strictEqual(supabase.table('quotes')[0].move_date, soon);
+  assert.deepStrictEqual(supabase.table('quote_jobs'), []);
+  assert.deepStrictEqual(resend.sent, []);
+});
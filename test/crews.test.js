@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pianoNeeds, checkCapacity, loadPlanningDay, assignCrew } = require('../lib/crews');
+const { generateRunSheetPDF } = require('../lib/run-sheet');
+const { createFakeSupabase } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+const booking = { status: 'booked', move_date: '2026-11-02', move_time: '09:00:00' };
+
+function planningDay() {
+  return createFakeSupabase({
+    tables: {
+      vehicles: [
+        { id: 1, tenant_id: 'north-london', name: 'Big Van', registration: 'AB12 CDE', seats: 4, active: true },
+        { id: 2, tenant_id: 'north-london', name: 'Small Van', registration: 'XY34 ZZZ', seats: 2, active: true },
+      ],
+      crews: [
+        { id: 1, tenant_id: 'north-london', name: 'Crew A', size: 3, members: ['Dan', 'Eve', 'Sam'], vehicle_id: 1, active: true },
+        { id: 2, tenant_id: 'north-london', name: 'Crew B', size: 2, members: [], vehicle_id: 2, active: true },
+      ],
+      quotes: [
+        quoteRow('PMT-AAAA-AAAA', booking),
+        quoteRow('PMT-BBBB-BBBB', { ...booking, piano_type: 'Grand Piano', move_time: '13:30:00', special_requirements: 'Spiral staircase at pickup' }),
+        quoteRow('PMT-CCCC-CCCC', { ...booking, move_date: '2026-11-03' }),
+        quoteRow('PMT-DDDD-DDDD', { ...booking, status: 'quoted' }),
+      ],
+    },
+  });
+}
+
+test('grand pianos need a bigger crew', () => {
+  assert.deepStrictEqual(pianoNeeds('Upright Piano'), { crew: 2, hours: 2 });
+  assert.deepStrictEqual(pianoNeeds('Grand Piano'), { crew: 3, hours: 3 });
+  assert.deepStrictEqual(pianoNeeds('Concert Grand Piano'), { crew: 4, hours: 4 });
+  assert.deepStrictEqual(pianoNeeds(null), { crew: 2, hours: 2.5 });
+});
+
+test('reports crews too small for a piano and vans without enough seats', () => {
+  const crew = { name: 'Crew B', size: 2 };
+  const problems = checkCapacity(crew, { name: 'Car', seats: 1 }, [quoteRow('PMT-1', booking), quoteRow('PMT-2', { ...booking, piano_type: 'Grand Piano' })]);
+
+  assert.deepStrictEqual(problems, [
+    'Car seats 1 but Crew B has 2 people',
+    'PMT-2 (Grand Piano) needs 3 people but Crew B has 2',
+  ]);
+});
+
+test('assigns booked jobs in order and moves them between crews', async () => {
+  const supabase = planningDay();
+  const plan = { tenantId: 'north-london', date: '2026-11-02', crewId: 2, jobRefs: ['PMT-AAAA-AAAA'], assignedBy: 'Office' };
+  await assignCrew(supabase, plan);
+
+  const { data, error } = await assignCrew(supabase, {
+    ...plan,
+    crewId: 1,
+    jobRefs: ['PMT-BBBB-BBBB', 'PMT-AAAA-AAAA'],
+  });
+
+  assert.strictEqual(error, null);
+  assert.strictEqual(data.crew.name, 'Crew A');
+  assert.strictEqual(data.vehicle.name, 'Big Van');
+  assert.deepStrictEqual(data.quotes.map(quote => quote.job_ref), ['PMT-BBBB-BBBB', 'PMT-AAAA-AAAA']);
+  assert.deepStrictEqual(
+    supabase.table('crew_assignments').map(row => [row.job_ref, row.crew_id, row.vehicle_id, row.position]),
+    [['PMT-AAAA-AAAA', 1, 1, 2], ['PMT-BBBB-BBBB', 1, 1, 1]]
+  );
+
+  const { data: day } = await loadPlanningDay(supabase, 'north-london', '2026-11-02');
+  assert.deepStrictEqual(day.jobs.map(job => [job.jobRef, job.moveTime, job.crewId, job.position, job.needs.crew]), [
+    ['PMT-AAAA-AAAA', '09:00', 1, 2, 2],
+    ['PMT-BBBB-BBBB', '13:30', 1, 1, 3],
+  ]);
+});
+
+test('refuses jobs that are not booked for the day or too big for the crew', async () => {
+  const supabase = planningDay();
+  const plan = { tenantId: 'north-london', date: '2026-11-02', crewId: 2, assignedBy: 'Office' };
+
+  const wrongDay = await assignCrew(supabase, { ...plan, jobRefs: ['PMT-CCCC-CCCC', 'PMT-DDDD-DDDD'] });
+  assert.deepStrictEqual(wrongDay.error, { status: 409, message: 'Not booked for 2026-11-02: PMT-CCCC-CCCC, PMT-DDDD-DDDD' });
+
+  const tooBig = await assignCrew(supabase, { ...plan, jobRefs: ['PMT-BBBB-BBBB'] });
+  assert.strictEqual(tooBig.error.status, 409);
+  assert.deepStrictEqual(tooBig.error.problems, ['PMT-BBBB-BBBB (Grand Piano) needs 3 people but Crew B has 2']);
+
+  const missing = await assignCrew(supabase, { ...plan, crewId: 9, jobRefs: ['PMT-AAAA-AAAA'] });
+  assert.deepStrictEqual(missing.error, { status: 404, message: 'Crew not found' });
+  assert.deepStrictEqual(supabase.table('crew_assignments'), []);
+});
+
+test('keeps the existing assignments when reassigning fails', async () => {
+  const supabase = planningDay();
+  const plan = { tenantId: 'north-london', date: '2026-11-02', crewId: 1, assignedBy: 'Office' };
+  await assignCrew(supabase, { ...plan, jobRefs: ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB'] });
+
+  supabase.fail('rpc.assign_crew');
+  const { error } = await assignCrew(supabase, { ...plan, jobRefs: ['PMT-BBBB-BBBB'] });
+  assert.deepStrictEqual(error, { status: 500, message: 'Failed to update crew assignments' });
+  assert.deepStrictEqual(supabase.table('crew_assignments').map(row => [row.job_ref, row.position]), [['PMT-AAAA-AAAA', 1], ['PMT-BBBB-BBBB', 2]]);
+
+  supabase.recover('rpc.assign_crew');
+  await assignCrew(supabase, { ...plan, jobRefs: ['PMT-BBBB-BBBB'] });
+  assert.deepStrictEqual(supabase.table('crew_assignments').map(row => [row.job_ref, row.position]), [['PMT-BBBB-BBBB', 1]]);
+});
+
+test('run sheet has a summary page and a job sheet per job', async () => {
+  const supabase = planningDay();
+  const { data } = await assignCrew(supabase, {
+    tenantId: 'north-london',
+    date: '2026-11-02',
+    crewId: 1,
+    jobRefs: ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB'],
+    assignedBy: 'Office',
+  });
+
+  const pdf = await generateRunSheetPDF({ date: '2026-11-02', ...data });
+  const text = pdf.toString('latin1');
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.strictEqual((text.match(/\/Type \/Page\b/g) || []).length, 3);
+  assert.ok(text.includes('Run Sheet 2026-11-02 - Crew A'));
+});
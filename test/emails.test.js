@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  generateEmailForYou,
+  generateEmailForCustomer,
+  generateCalendarLink,
+  generateWhatsAppLink,
+} = require('../lib/emails');
+const { estimateQuote } = require('../lib/pricing');
+
+const hostile = {
+  fullname: '<script>alert(1)</script>"><img src=x onerror=alert(2)>',
+  email: 'evil"onclick="alert(3)@example.com',
+  phone: '07711872434',
+  pianotype: '<b>Upright</b>',
+  pickup_postcode: '<a href="javascript:alert(4)">N13 6HS</a>',
+  pickup_steps: 2,
+  delivery_postcode: '"><iframe src=//evil.example>EN2 7AB',
+  delivery_steps: 0,
+  specialrequirements: '<style>body{display:none}</style><a href="https://phish.example">Click</a>',
+};
+
+function assertInert(out) {
+  assert.ok(!/<script/i.test(out), 'contains <script');
+  assert.ok(!/<img src=x/i.test(out), 'contains injected <img');
+  assert.ok(!/<iframe/i.test(out), 'contains <iframe');
+  assert.ok(!/<style>body/i.test(out), 'contains injected <style');
+  assert.ok(!/href="javascript:/i.test(out), 'contains javascript: link');
+  assert.ok(!/href="https:\/\/phish/i.test(out), 'contains injected link');
+  assert.ok(!/<[^>]*\son\w+=/i.test(out), 'contains event handler attribute');
+}
+
+test('office email renders hostile input inert', () => {
+  const calLink = generateCalendarLink(hostile);
+  const waLink = generateWhatsAppLink(hostile);
+  const out = generateEmailForYou({ data: hostile, calLink, waLink, attachCount: 1, jobRef: 'PMT-1', pdfUrl: 'javascript:alert(5)', estimate: estimateQuote(hostile) });
+  assertInert(out);
+  assert.ok(out.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(out.includes('href="#"'), 'unsafe job sheet URL replaced');
+});
+
+test('customer email renders hostile input inert', () => {
+  const out = generateEmailForCustomer(hostile, 'javascript:alert(6)');
+  assertInert(out);
+  assert.ok(out.includes('Hi &lt;script&gt;'));
+});
+
+test('calendar link keeps hostile input inside its own parameters', () => {
+  const url = new URL(generateCalendarLink({ ...hostile, fullname: 'Ann&add=evil@example.com' }));
+  assert.strictEqual(url.hostname, 'calendar.google.com');
+  assert.strictEqual(url.searchParams.get('add'), null);
+  assert.strictEqual(url.searchParams.get('text'), 'Piano Move - Ann&add=evil@example.com');
+});
+
+test('WhatsApp link keeps hostile input inside the message text', () => {
+  const url = new URL(generateWhatsAppLink({ ...hostile, phone: '07711/../evil', fullname: 'Ann&phone=1' }));
+  assert.strictEqual(url.hostname, 'wa.me');
+  assert.match(url.pathname, /^\/\d+$/);
+  assert.strictEqual(url.searchParams.get('phone'), null);
+  assert.ok(url.searchParams.get('text').startsWith('Hi Ann&phone=1,'));
+});
+
+test('office email lists a returning customer\'s earlier quotes', () => {
+  const data = { ...hostile, fullname: 'Ann', specialrequirements: '' };
+  const previous = [
+    { job_ref: 'PMT-AAAA-BBBB', created_at: '2026-03-02T10:00:00Z', status: 'lost', pickup_postcode: 'N13 6HS', delivery_postcode: '<i>EN2 7AB</i>' },
+  ];
+  const out = generateEmailForYou({ data, calLink: 'https://c', waLink: 'https://w', jobRef: 'PMT-1', pdfUrl: 'https://p', estimate: estimateQuote(data), previousQuotes: previous });
+  assert.ok(out.includes('Returning Customer - 1 Earlier Quote'));
+  assert.ok(out.includes('PMT-AAAA-BBBB'));
+  assert.ok(out.includes('&lt;i&gt;EN2 7AB&lt;/i&gt;'));
+
+  const fresh = generateEmailForYou({ data, calLink: 'https://c', waLink: 'https://w', jobRef: 'PMT-1', pdfUrl: 'https://p', estimate: estimateQuote(data) });
+  assert.ok(!fresh.includes('Returning Customer'));
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportRow, toCsvLine, exportPages, streamExport } = require('../lib/export');
+const { createFakeSupabase, createResponse } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+process.env.FILE_LINK_SECRET = 'test-file-link-secret';
+
+const rows = [
+  quoteRow('PMT-AAAA-AAAA'),
+  quoteRow('PMT-BBBB-BBBB', { created_at: '2026-10-05T09:00:00.000Z', status: 'booked', quoted_price: '195.00', move_date: '2026-11-02', pdf_path: 'job-sheets/b.pdf' }),
+  quoteRow('PMT-CCCC-CCCC', { created_at: '2026-10-07T09:00:00.000Z', piano_type: 'Grand Piano', pickup_outward: 'NW3', delivery_outward: 'SE1' }),
+  quoteRow('PMT-DDDD-DDDD', { created_at: '2026-10-09T09:00:00.000Z', status: 'lost', pickup_outward: 'W1A', delivery_outward: 'N1' }),
+  quoteRow('PMT-EEEE-EEEE', { tenant_id: 'elsewhere' }),
+];
+
+async function collect(filters, options) {
+  const refs = [];
+  for await (const page of exportPages(createFakeSupabase({ tables: { quotes: rows } }), { tenantId: 'north-london', ...filters }, options)) {
+    refs.push(page.map(row => row.job_ref));
+  }
+  return refs;
+}
+
+test('exports estimates, final price and PDF link as plain values', () => {
+  const row = exportRow(rows[1]);
+  assert.strictEqual(row.status, 'booked');
+  assert.strictEqual(row.currency, 'GBP');
+  assert.strictEqual(row.estimate_low, 170);
+  assert.strictEqual(row.estimate_high, 205);
+  assert.strictEqual(row.final_price, 195);
+  assert.strictEqual(row.distance_miles, 2.9);
+  assert.strictEqual(row.outside_service_area, false);
+  assert.match(row.pdf_url, /^https:\/\/www\.pianomoveteam\.co\.uk\/api\/job-sheet\/PMT-BBBB-BBBB\?exp=\d+&sig=/);
+  assert.strictEqual(exportRow(rows[0]).final_price, null);
+});
+
+test('quotes CSV cells and defuses spreadsheet formulas', () => {
+  assert.strictEqual(toCsvLine(['a', 'b,c', 'say "hi"', 'two\nlines', null, 5, false]), 'a,"b,c","say ""hi""","two\nlines",,5,false\r\n');
+  assert.strictEqual(toCsvLine(['=HYPERLINK("x")', '-5', -5]), '"\'=HYPERLINK(""x"")",\'-5,-5\r\n');
+});
+
+test('pages through matching quotes for one tenant in date order', async () => {
+  assert.deepStrictEqual(await collect({}, { pageSize: 2 }), [
+    ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB'],
+    ['PMT-CCCC-CCCC', 'PMT-DDDD-DDDD'],
+  ]);
+});
+
+test('filters by date range, status, piano type and postcode area', async () => {
+  assert.deepStrictEqual(await collect({ from: '2026-10-05', to: '2026-10-07' }), [['PMT-BBBB-BBBB', 'PMT-CCCC-CCCC']]);
+  assert.deepStrictEqual(await collect({ statuses: ['booked', 'lost'] }), [['PMT-BBBB-BBBB', 'PMT-DDDD-DDDD']]);
+  assert.deepStrictEqual(await collect({ pianoType: 'Grand Piano' }), [['PMT-CCCC-CCCC']]);
+  assert.deepStrictEqual(await collect({ area: 'N' }), [['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB', 'PMT-DDDD-DDDD']]);
+  assert.deepStrictEqual(await collect({ area: 'nw3' }), [['PMT-CCCC-CCCC']]);
+  assert.deepStrictEqual(await collect({ dateField: 'move_date', from: '2026-11-01' }), [['PMT-BBBB-BBBB']]);
+});
+
+test('streams CSV with a header row and NDJSON one quote per line', async () => {
+  const supabase = createFakeSupabase({ tables: { quotes: rows } });
+
+  const csv = createResponse();
+  const count = await streamExport(csv, supabase, { tenantId: 'north-london', statuses: ['booked'] }, { filename: 'quotes-test' });
+  const lines = csv.chunks.join('').split('\r\n');
+  assert.strictEqual(count, 1);
+  assert.strictEqual(csv.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.strictEqual(csv.headers['content-disposition'], 'attachment; filename="quotes-test.csv"');
+  assert.ok(lines[0].startsWith('job_ref,tenant,created_at,status,'));
+  assert.ok(lines[1].startsWith('PMT-BBBB-BBBB,north-london,2026-10-05T09:00:00.000Z,booked,'));
+  assert.strictEqual(lines[2], '');
+  assert.ok(csv.ended);
+
+  const ndjson = createResponse();
+  await streamExport(ndjson, supabase, { tenantId: 'north-london' }, { format: 'ndjson' });
+  const records = ndjson.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(ndjson.headers['content-type'], 'application/x-ndjson; charset=utf-8');
+  assert.deepStrictEqual(records.map(record => record.job_ref), ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB', 'PMT-CCCC-CCCC', 'PMT-DDDD-DDDD']);
+});
+
+test('fails before writing anything when the first page cannot be loaded', async () => {
+  const supabase = createFakeSupabase({ tables: { quotes: rows } });
+  supabase.fail('quotes.select', { message: 'timeout' });
+
+  const res = createResponse();
+  await assert.rejects(streamExport(res, supabase, { tenantId: 'north-london' }), /Failed to load quotes/);
+  assert.strictEqual(res.headersSent, false);
+});
+
+test('aborts the download instead of ending it when a later page fails', async () => {
+  const supabase = createFakeSupabase({ tables: { quotes: rows } });
+  const res = createResponse();
+  const write = res.write;
+  res.write = chunk => {
+    supabase.fail('quotes.select', { message: 'timeout' });
+    return write(chunk);
+  };
+
+  await assert.rejects(streamExport(res, supabase, { tenantId: 'north-london' }, { pageSize: 2 }), /Failed to load quotes/);
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.destroyed.message, /Failed to load quotes/);
+  assert.strictEqual(res.ended, false);
+});
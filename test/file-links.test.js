@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobSheetLink, verifyJobSheetLink, jobSheetUrl } = require('../lib/file-links');
+const { createFakeSupabase } = require('./support/fakes');
+
+const secret = 'test-secret';
+const now = Date.UTC(2026, 9, 19);
+
+function paramsOf(url) {
+  return Object.fromEntries(new URL(url).searchParams);
+}
+
+test('job sheet links point at the redirect route and verify until they expire', () => {
+  const link = createJobSheetLink('PMT-ABCD-EFGH', { now, secret });
+  const params = { jobRef: 'PMT-ABCD-EFGH', ...paramsOf(link.url) };
+
+  assert.ok(link.url.startsWith('https://www.pianomoveteam.co.uk/api/job-sheet/PMT-ABCD-EFGH?exp='));
+  assert.strictEqual(link.expiresAt, '2026-11-18T00:00:00.000Z');
+  assert.deepStrictEqual(verifyJobSheetLink(params, { now, secret }), { valid: true, jobRef: 'PMT-ABCD-EFGH' });
+
+  assert.strictEqual(verifyJobSheetLink({ ...params, jobRef: 'PMT-ZZZZ-ZZZZ' }, { now, secret }).valid, false);
+  assert.strictEqual(verifyJobSheetLink(params, { now, secret: 'other' }).valid, false);
+  assert.match(verifyJobSheetLink(params, { now: now + 31 * 24 * 60 * 60 * 1000, secret }).reason, /expired/);
+  assert.throws(() => createJobSheetLink('PMT-ABCD-EFGH', { secret: '' }), /FILE_LINK_SECRET/);
+});
+
+test('issues a short-lived signed URL for the stored job sheet', async () => {
+  const supabase = createFakeSupabase({
+    tables: {
+      quotes: [
+        { job_ref: 'PMT-ABCD-EFGH', pdf_path: 'job-sheets/PMT-ABCD-EFGH-1.pdf' },
+        { job_ref: 'PMT-JKLM-NPQR', pdf_path: null },
+      ],
+    },
+  });
+  await supabase.storage.from('piano-quote-files').upload('job-sheets/PMT-ABCD-EFGH-1.pdf', Buffer.from('%PDF-'));
+
+  assert.deepStrictEqual(await jobSheetUrl(supabase, 'piano-quote-files', 'PMT-ABCD-EFGH'), {
+    data: 'https://storage.test/signed/piano-quote-files/job-sheets/PMT-ABCD-EFGH-1.pdf?token=signed-300',
+    error: null,
+  });
+  assert.match((await jobSheetUrl(supabase, 'piano-quote-files', 'PMT-JKLM-NPQR')).error.message, /not ready/);
+  assert.strictEqual((await jobSheetUrl(supabase, 'piano-quote-files', 'PMT-XXXX-XXXX')).error.status, 404);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { html, raw, escapeHtml, safeUrl, toPlainText } = require('../lib/html');
+
+test('escapes interpolated text', () => {
+  const out = html`<p>${'<script>alert("x")</script>'}</p>`.toString();
+  assert.strictEqual(out, '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+});
+
+test('escapes quotes so attributes cannot be broken out of', () => {
+  const out = html`<td title="${'" onmouseover="alert(1)'}">x</td>`.toString();
+  assert.ok(!out.includes('" onmouseover'));
+  assert.ok(out.includes('&quot; onmouseover=&quot;alert(1)'));
+});
+
+test('validates URLs in href and src attributes', () => {
+  assert.strictEqual(html`<a href="${'javascript:alert(1)'}">x</a>`.toString(), '<a href="#">x</a>');
+  assert.strictEqual(html`<img src="${'data:text/html,<b>'}">`.toString(), '<img src="#">');
+  assert.strictEqual(
+    html`<a href="${'https://example.com/?a=1&b="2"'}">x</a>`.toString(),
+    '<a href="https://example.com/?a=1&amp;b=%222%22">x</a>'
+  );
+});
+
+test('nests templates and arrays without double escaping', () => {
+  const rows = ['<a>', '<b>'].map(item => html`<li>${item}</li>`);
+  const out = html`<ul>${rows}${false}${null}</ul>`.toString();
+  assert.strictEqual(out, '<ul><li>&lt;a&gt;</li><li>&lt;b&gt;</li></ul>');
+});
+
+test('raw marks trusted markup', () => {
+  assert.strictEqual(html`<p>${raw('<br/>')}</p>`.toString(), '<p><br/></p>');
+});
+
+test('escapeHtml and safeUrl helpers', () => {
+  assert.strictEqual(escapeHtml(`&<>"'\``), '&amp;&lt;&gt;&quot;&#39;&#96;');
+  assert.strictEqual(safeUrl('tel:+447711872434'), 'tel:+447711872434');
+  assert.strictEqual(safeUrl('not a url'), '#');
+  assert.strictEqual(safeUrl(' JaVaScRiPt:alert(1)'), '#');
+});
+
+test('converts markup to plain text with links and label rows', () => {
+  const markup = html`<html><head><style>p { color: red }</style></head><body>
+    <h1>Quote &amp; Booking</h1>
+    <table><tr><td style="color:#666">Name</td><td><strong>${'Ann <Example>'}</strong></td></tr></table>
+    <p>Line one<br/>Line two</p>
+    <a href="${'https://example.com/a?b=1&c=2'}">Open</a>
+    <a href="tel:+442034419463">Call Us</a>
+    <a href="mailto:ann@example.com">ann@example.com</a>
+    <a href="https://example.com">example.com</a>
+  </body></html>`;
+
+  assert.strictEqual(toPlainText(markup), [
+    'Quote & Booking',
+    '',
+    'Name: Ann <Example>',
+    '',
+    'Line one',
+    'Line two',
+    '',
+    'Open (https://example.com/a?b=1&c=2)',
+    'Call Us (+442034419463)',
+    'ann@example.com',
+    'https://example.com',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateICS, zonedTimeToUtc } = require('../lib/ics');
+const { buildMoveEvents } = require('../lib/move-event');
+
+const quote = {
+  job_ref: 'PMT-ABCD-EFGH',
+  customer_name: 'Ann Example',
+  customer_email: 'ann@example.com',
+  customer_phone: '07711872434',
+  piano_type: 'Baby Grand Piano',
+  pickup_postcode: '1 High Road, London N13 6HS',
+  pickup_steps: 4,
+  delivery_postcode: '2 Low Road, Enfield EN2 7AB',
+  delivery_steps: 0,
+  special_requirements: 'Tight turn; narrow door, mind the cat',
+  move_date: '2026-07-01',
+};
+
+function unfold(ics) {
+  return ics.toString('utf-8').replace(/\r\n /g, '');
+}
+
+test('converts London wall time to UTC across daylight saving', () => {
+  assert.strictEqual(zonedTimeToUtc('2026-07-01', '09:00').toISOString(), '2026-07-01T08:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-12-01', '09:00').toISOString(), '2026-12-01T09:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc('2026-10-25', '09:00').toISOString(), '2026-10-25T09:00:00.000Z');
+});
+
+test('escapes text and folds long lines at 75 octets', () => {
+  const ics = generateICS({
+    uid: 'x@example.com',
+    start: new Date('2026-07-01T08:00:00Z'),
+    end: new Date('2026-07-01T10:00:00Z'),
+    stamp: new Date('2026-06-01T00:00:00Z'),
+    summary: 'Move; with, commas',
+    description: 'Line one\nLine two £ '.repeat(10),
+  });
+  const text = ics.toString('utf-8');
+
+  for (const line of text.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+  }
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(unfold(ics).includes('SUMMARY:Move\\; with\\, commas'));
+  assert.ok(unfold(ics).includes('DESCRIPTION:Line one\\nLine two £ Line one'));
+  assert.ok(text.includes('DTSTART:20260701T080000Z'));
+});
+
+test('builds office and customer events tied to the job reference', () => {
+  const { office, customer } = buildMoveEvents(quote, { sequence: 2 });
+  const officeText = unfold(office);
+
+  assert.ok(officeText.includes('UID:PMT-ABCD-EFGH@pianomoveteam.co.uk'));
+  assert.ok(officeText.includes('SEQUENCE:2'));
+  assert.ok(officeText.includes('DTSTART:20260701T080000Z'));
+  assert.ok(officeText.includes('DTEND:20260701T110000Z'));
+  assert.ok(officeText.includes('LOCATION:1 High Road\\, London N13 6HS'));
+  assert.ok(officeText.includes('Special: Tight turn\\; narrow door\\, mind the cat'));
+  assert.ok(officeText.includes('METHOD:PUBLISH'));
+  assert.ok(!unfold(customer).includes('07711872434'));
+});
+
+test('cancellations reuse the UID with METHOD:CANCEL', () => {
+  const text = unfold(buildMoveEvents({ ...quote, move_time: '13:30' }, { sequence: 3, cancelled: true }).customer);
+  assert.ok(text.includes('METHOD:CANCEL'));
+  assert.ok(text.includes('STATUS:CANCELLED'));
+  assert.ok(text.includes('SEQUENCE:3'));
+  assert.ok(text.includes('UID:PMT-ABCD-EFGH@pianomoveteam.co.uk'));
+  assert.ok(text.includes('DTSTART:20260701T123000Z'));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateJobRef, normaliseJobRef } = require('../lib/job-ref');
+
+test('generates readable references with a check character', () => {
+  const refs = new Set();
+  for (let i = 0; i < 1000; i++) {
+    const ref = generateJobRef();
+    assert.match(ref, /^PMT-[A-HJKMNP-TV-Z2-9]{4}-[A-HJKMNP-TV-Z2-9]{4}$/);
+    assert.strictEqual(normaliseJobRef(ref), ref);
+    refs.add(ref);
+  }
+  assert.strictEqual(refs.size, 1000);
+});
+
+test('normalises typed references and rejects typos', () => {
+  const ref = generateJobRef();
+  assert.strictEqual(normaliseJobRef(ref.toLowerCase().replace(/-/g, ' ')), ref);
+
+  const chars = ref.replace(/-/g, '').split('');
+  const swapped = [...chars];
+  [swapped[4], swapped[5]] = [swapped[5], swapped[4]];
+  if (swapped[4] !== swapped[5] && [swapped[4], swapped[5]].sort().join('') !== '9A') {
+    assert.strictEqual(normaliseJobRef(swapped.join('')), null);
+  }
+
+  const changed = [...chars];
+  changed[6] = changed[6] === 'A' ? 'B' : 'A';
+  assert.strictEqual(normaliseJobRef(changed.join('')), null);
+
+  assert.strictEqual(normaliseJobRef('PMT-123456'), 'PMT-123456');
+  assert.strictEqual(normaliseJobRef('XYZ-ABCD-EFGH'), null);
+  assert.strictEqual(normaliseJobRef(undefined), null);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { generateJobSheetPDF } = require('../lib/job-sheet');
+const { estimateQuote } = require('../lib/pricing');
+
+const data = {
+  fullname: 'Ann Example',
+  email: 'ann@example.com',
+  phone: '07711872434',
+  pianotype: 'Upright Piano',
+  pickup_postcode: '1 High Road, London N13 6HS',
+  pickup_steps: 4,
+  delivery_postcode: '2 Low Road, Enfield EN2 7AB',
+  delivery_steps: 0,
+};
+
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+function png(width, height) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), body])));
+    return Buffer.concat([length, Buffer.from(type), body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function crc32(buf) {
+  let crc = -1;
+  for (const byte of buf) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+test('renders a single page job sheet without photos', async () => {
+  const pdf = await generateJobSheetPDF(data, 'PMT-1', estimateQuote(data));
+  assert.strictEqual(pdf.toString('latin1', 0, 5), '%PDF-');
+  assert.strictEqual(pageCount(pdf), 1);
+});
+
+test('flows long special requirements onto extra pages', async () => {
+  const long = { ...data, specialrequirements: 'Narrow hallway with a tight turn. '.repeat(400) };
+  const pdf = await generateJobSheetPDF(long, 'PMT-1', estimateQuote(long));
+  assert.ok(pageCount(pdf) >= 3, `expected at least 3 pages, got ${pageCount(pdf)}`);
+});
+
+test('adds photo pages six images at a time and skips PDFs', async () => {
+  const photo = { contentType: 'image/png', content: png(4, 3) };
+  const photos = [
+    ...Array.from({ length: 7 }, (_, i) => ({ ...photo, filename: `photo-${i + 1}.png` })),
+    { filename: 'stairs.heic', contentType: 'image/heic', content: Buffer.from('not decodable') },
+    { filename: 'survey.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.7') },
+  ];
+  const pdf = await generateJobSheetPDF(data, 'PMT-1', estimateQuote(data), photos);
+  assert.strictEqual(pageCount(pdf), 3);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePostcode, locate, describeRoute, formatRoute } = require('../lib/location');
+const { estimateQuote } = require('../lib/pricing');
+
+test('parses postcodes out of free text', () => {
+  assert.deepStrictEqual(parsePostcode('12 High St, London ec1a1bb'), {
+    postcode: 'EC1A 1BB',
+    outward: 'EC1A',
+    inward: '1BB',
+    area: 'EC',
+    district: 'EC1',
+  });
+  assert.strictEqual(parsePostcode('Flat 3, Palmers Green'), null);
+});
+
+test('falls back to the postcode area when the district is not bundled', () => {
+  const place = locate('M1 1AE');
+  assert.strictEqual(place.approximate, true);
+  assert.strictEqual(place.areaName, 'Manchester');
+
+  assert.strictEqual(locate('N13 6HS').approximate, false);
+});
+
+test('describes routes inside and outside the service area', () => {
+  const local = describeRoute('N13 6HS', 'SW1A 1AA');
+  assert.ok(local.distanceMiles > 5 && local.distanceMiles < 15);
+  assert.strictEqual(local.outsideServiceArea, false);
+  assert.match(formatRoute(local), /^\d+\.\d miles \(straight line\) - N13 .* to SW1A /);
+
+  const far = describeRoute('N13 6HS', 'M1 1AE');
+  assert.strictEqual(far.outsideServiceArea, true);
+  assert.match(formatRoute(far), /^About /);
+});
+
+test('prices unknown postcodes with the unknown distance charge', () => {
+  const route = describeRoute('nowhere', 'N13 6HS');
+  assert.strictEqual(route.distanceMiles, null);
+  assert.strictEqual(route.outsideServiceArea, true);
+  assert.strictEqual(formatRoute(route), 'Distance unknown');
+
+  const estimate = estimateQuote({ pianotype: 'Upright', pickup_steps: 0, delivery_steps: 0 }, undefined, route);
+  assert.strictEqual(estimate.distanceBand, 'Distance unknown');
+});
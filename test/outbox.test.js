@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runJobs, retryDelaySeconds } = require('../lib/outbox');
+const { buildQuoteJobs } = require('../lib/quote-jobs');
+const { createFakeSupabase } = require('./support/fakes');
+
+function queue(kinds) {
+  const jobs = buildQuoteJobs({ pdfPath: 'job-sheets/test.pdf' })
+    .filter(job => kinds.includes(job.kind))
+    .map(job => ({ ...job, job_ref: 'PMT-ABCD-EFGH', max_attempts: 3 }));
+  return createFakeSupabase({ tables: { quote_jobs: jobs } });
+}
+
+test('runs dependent jobs after the job they wait for', async () => {
+  const supabase = queue(['job_sheet', 'office_email']);
+  const order = [];
+  const handlers = {
+    job_sheet: async () => { order.push('job_sheet'); return { pdfUrl: 'https://example.com/a.pdf' }; },
+    office_email: async () => { order.push('office_email'); },
+  };
+
+  const summary = await runJobs(supabase, handlers);
+  assert.deepStrictEqual(order, ['job_sheet', 'office_email']);
+  assert.deepStrictEqual(summary, { claimed: 2, done: 2, retrying: 0, failed: 0 });
+  assert.deepStrictEqual(supabase.table('quote_jobs')[0].result, { pdfUrl: 'https://example.com/a.pdf' });
+});
+
+test('retries with backoff and fails loudly after the last attempt', async () => {
+  const supabase = queue(['contact_card']);
+  const failed = [];
+  const handlers = { contact_card: async () => { throw new Error('Storage is down'); } };
+
+  const first = await runJobs(supabase, handlers, { onFailed: job => failed.push(job) });
+  assert.deepStrictEqual(first, { claimed: 1, done: 0, retrying: 1, failed: 0 });
+  assert.strictEqual(supabase.table('quote_jobs')[0].status, 'pending');
+  assert.strictEqual(supabase.table('quote_jobs')[0].last_error, 'Storage is down');
+  assert.ok(Date.parse(supabase.table('quote_jobs')[0].run_after) > Date.now());
+
+  for (let i = 0; i < 2; i++) {
+    supabase.table('quote_jobs')[0].run_after = new Date(0).toISOString();
+    await runJobs(supabase, handlers, { onFailed: job => failed.push(job) });
+  }
+
+  assert.strictEqual(supabase.table('quote_jobs')[0].status, 'failed');
+  assert.strictEqual(supabase.table('quote_jobs')[0].attempts, 3);
+  assert.strictEqual(failed.length, 1);
+  assert.strictEqual(failed[0].last_error, 'Storage is down');
+});
+
+test('leaves jobs for the cron once the time budget is spent', async () => {
+  const supabase = queue(['job_sheet', 'office_email']);
+  const handlers = {
+    job_sheet: async () => { await new Promise(resolve => setTimeout(resolve, 20)); },
+    office_email: async () => {},
+  };
+
+  const summary = await runJobs(supabase, handlers, { budgetMs: 10 });
+  assert.deepStrictEqual(summary, { claimed: 1, done: 1, retrying: 0, failed: 0 });
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status]), [['job_sheet', 'done'], ['office_email', 'pending']]);
+});
+
+test('backs off exponentially up to an hour', () => {
+  assert.strictEqual(retryDelaySeconds(1), 30);
+  assert.strictEqual(retryDelaySeconds(2), 60);
+  assert.strictEqual(retryDelaySeconds(4), 240);
+  assert.strictEqual(retryDelaySeconds(20), 3600);
+});
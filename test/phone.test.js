@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePhone, toE164, formatPhone, canReceiveSms, whatsAppNumber } = require('../lib/phone');
+
+test('normalises UK and international numbers to E.164', () => {
+  assert.strictEqual(toE164('07700 900123'), '+447700900123');
+  assert.strictEqual(toE164('+44 (0)7700 900-123'), '+447700900123');
+  assert.strictEqual(toE164('0044 20 3441 9463'), '+442034419463');
+  assert.strictEqual(toE164('7700900123'), '+447700900123');
+  assert.strictEqual(toE164('447700900123'), '+447700900123');
+  assert.strictEqual(toE164('+1 415 555 2671'), '+14155552671');
+  assert.strictEqual(toE164('0033 6 12 34 56 78'), '+33612345678');
+  assert.strictEqual(toE164('+353 87 123 4567'), '+353871234567');
+});
+
+test('rejects numbers that cannot exist', () => {
+  for (const value of ['12', '07700 90012', '077009001234', '04000 000000', '06000 000000', '+999 1234567', '+33 6 12 34', '020 7946 0000 ext 2', '+44 7700 +900123', '']) {
+    assert.strictEqual(parsePhone(value), null, value);
+  }
+});
+
+test('classifies UK numbers', () => {
+  assert.strictEqual(parsePhone('07700 900123').type, 'mobile');
+  assert.strictEqual(parsePhone('0113 496 0000').type, 'landline');
+  assert.strictEqual(parsePhone('0300 123 4567').type, 'non-geographic');
+  assert.strictEqual(parsePhone('0800 084 2902').type, 'freephone');
+  assert.deepStrictEqual(parsePhone('+1 415 555 2671'), { e164: '+14155552671', countryCode: '1', number: '4155552671', type: 'international' });
+});
+
+test('formats numbers for display', () => {
+  assert.strictEqual(formatPhone('+447700900123'), '07700 900123');
+  assert.strictEqual(formatPhone('+442034419463'), '020 3441 9463');
+  assert.strictEqual(formatPhone('+441134960000'), '0113 496 0000');
+  assert.strictEqual(formatPhone('+441632960000'), '01632 960000');
+  assert.strictEqual(formatPhone('+448000842902'), '0800 084 2902');
+  assert.strictEqual(formatPhone('+14155552671'), '+1 415 555 2671');
+  assert.strictEqual(formatPhone('not a number'), 'not a number');
+});
+
+test('only UK mobiles and international numbers can receive texts', () => {
+  assert.strictEqual(canReceiveSms('+447700900123'), true);
+  assert.strictEqual(canReceiveSms('+442034419463'), false);
+  assert.strictEqual(canReceiveSms('+14155552671'), true);
+  assert.strictEqual(canReceiveSms(null), false);
+  assert.strictEqual(whatsAppNumber('07700 900123'), '447700900123');
+  assert.strictEqual(whatsAppNumber('12'), null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { renderEmails, renderPreview } = require('../lib/preview');
+const fixtures = require('./fixtures/quotes.json');
+
+const snapshots = path.join(__dirname, 'snapshots');
+
+function matchSnapshot(name, actual) {
+  const file = path.join(snapshots, name);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `${name} has no snapshot (run with UPDATE_SNAPSHOTS=1 to create it)`);
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf-8'), `${name} differs from its snapshot (rerun with UPDATE_SNAPSHOTS=1 to accept)`);
+}
+
+for (const fixture of fixtures) {
+  test(`${fixture.name} emails match their snapshots`, () => {
+    for (const [name, content] of Object.entries(renderEmails(fixture))) {
+      matchSnapshot(`${fixture.name}.${name}`, content);
+    }
+  });
+}
+
+test('plain-text parts carry the details and links without markup', () => {
+  const emails = renderEmails(fixtures[1]);
+  const office = emails['office.txt'];
+
+  assert.ok(!/<[a-z/][^>]*>/i.test(office.replace('<1m>', '')), 'contains markup');
+  assert.ok(office.includes('Outside Service Area'));
+  assert.ok(office.includes('Name: Ben O\'Neill & Family'));
+  assert.ok(office.includes('Narrow hallway <1m> at pickup.\nPlease call before arriving.'));
+  assert.ok(office.includes('PMT-20260611-E5F6 · Thursday, 11 June 2026 · lost'));
+  assert.match(office, /Print Job Sheet \(https:\/\/www\.pianomoveteam\.co\.uk\/api\/job-sheet\/PMT-20261019-C3D4\?exp=\d+&sig=[\w-]+\)/);
+  assert.match(office, /Monday, 19 October 2026 at 17:05/);
+
+  const customer = emails['customer.txt'];
+  assert.ok(customer.startsWith('Hi Ben O\'Neill & Family,'));
+  assert.ok(customer.includes('Call Us (+442034419463)'));
+  assert.ok(customer.includes('Add to Contacts (https://www.pianomoveteam.co.uk/contact.vcf)'));
+});
+
+test('preview renders the job sheet PDF', async () => {
+  const files = await renderPreview(fixtures[0]);
+  assert.strictEqual(files['job-sheet.pdf'].subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimateQuote, resolvePianoType, formatEstimate } = require('../lib/pricing');
+const rates = require('../config/pricing');
+
+const local = { distanceMiles: 3 };
+
+function labels(estimate) {
+  return estimate.breakdown.map(item => `${item.label}: ${item.amount}`);
+}
+
+test('prices each piano type from its base rate', () => {
+  assert.strictEqual(resolvePianoType('Baby Grand Piano'), 'baby-grand');
+  assert.strictEqual(resolvePianoType('piano'), 'upright');
+  assert.strictEqual(resolvePianoType('harpsichord'), null);
+
+  const upright = estimateQuote({ pianotype: 'upright' }, rates, local);
+  assert.deepStrictEqual(labels(upright), ['Upright Piano: 180']);
+  assert.deepStrictEqual([upright.low, upright.high], [160, 200]);
+
+  const unknown = estimateQuote({ pianotype: 'harpsichord' }, rates, local);
+  assert.strictEqual(unknown.pianoType, 'other');
+  assert.deepStrictEqual(labels(unknown), ['Other / Not specified: 220']);
+});
+
+test('charges steps beyond the free allowance at the piano rate', () => {
+  const estimate = estimateQuote({ pianotype: 'grand', pickup_steps: 2, delivery_steps: '5' }, rates, local);
+  assert.deepStrictEqual(labels(estimate), ['Grand Piano: 380', 'Delivery steps (5): 24']);
+});
+
+test('adds the distance band for the route', () => {
+  const band = miles => labels(estimateQuote({ pianotype: 'digital' }, rates, { distanceMiles: miles }))[1];
+  assert.strictEqual(band(5), undefined);
+  assert.strictEqual(band(12), 'Distance 5-15 miles: 30');
+  assert.strictEqual(band(30), 'Distance 15-30 miles: 70');
+  assert.strictEqual(band(45), 'Distance 30-60 miles: 150');
+  assert.strictEqual(band(100), 'Long distance (over 60 miles): 250');
+
+  const unknown = estimateQuote({ pianotype: 'digital' }, rates, { distanceMiles: null });
+  assert.deepStrictEqual(labels(unknown), ['Digital Piano: 90', 'Distance unknown: 50']);
+  assert.deepStrictEqual([unknown.low, unknown.high], [110, 170]);
+});
+
+test('adds keyword surcharges for special requirements', () => {
+  const estimate = estimateQuote({ pianotype: 'upright', specialrequirements: 'Needs a HOIST through the window, and take the stool' }, rates, local);
+  assert.deepStrictEqual(labels(estimate), [
+    'Upright Piano: 180',
+    'Special requirements: 25',
+    'Hoist / window lift: 250',
+    'Piano stool: 10',
+  ]);
+
+  assert.deepStrictEqual(labels(estimateQuote({ pianotype: 'upright', specialrequirements: '   ' }, rates, local)), ['Upright Piano: 180']);
+});
+
+test('only charges for keywords that appear as whole words', () => {
+  const storey = estimateQuote({ pianotype: 'upright', specialrequirements: 'Second storey flat, narrow windowsill on the landing' }, rates, local);
+  assert.deepStrictEqual(labels(storey), ['Upright Piano: 180', 'Special requirements: 25']);
+
+  const stored = estimateQuote({ pianotype: 'upright', specialrequirements: 'Please STORE it for a week' }, rates, local);
+  assert.deepStrictEqual(labels(stored), ['Upright Piano: 180', 'Special requirements: 25', 'Storage: 60']);
+});
+
+test('adds the weekend surcharge on top of the subtotal', () => {
+  const saturday = estimateQuote({ pianotype: 'upright', pickup_steps: 4, move_date: '2026-11-07' }, rates, local);
+  assert.deepStrictEqual(labels(saturday), ['Upright Piano: 180', 'Pickup steps (4): 8', 'Weekend move (+20%): 38']);
+  assert.strictEqual(formatEstimate(saturday), '£205 - £250');
+
+  const monday = estimateQuote({ pianotype: 'upright', pickup_steps: 4, move_date: '2026-11-09' }, rates, local);
+  assert.strictEqual(formatEstimate(monday), '£170 - £205');
+});
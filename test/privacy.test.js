@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findSubjectQuotes, exportSubjectData, eraseSubject, purgeExpiredQuotes, subjectHash } = require('../lib/privacy');
+const { erasureSchema, validate } = require('../lib/validation');
+const { getTenant } = require('../lib/tenants');
+const { createFakeSupabase } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+const buckets = { bucket: 'piano-quotes', privateBucket: 'piano-quote-files' };
+const subject = { tenantId: 'north-london', email: 'ann@example.com', phone: '+447700900123' };
+
+async function seed() {
+  const supabase = createFakeSupabase({
+    tables: {
+      quotes: [
+        quoteRow('PMT-AAAA-AAAA', { special_requirements: 'Gate code 1234', attachment_files: [{ path: 'attachments/PMT-AAAA-AAAA/stairs.jpg', filename: 'stairs.jpg' }] }),
+        quoteRow('PMT-BBBB-BBBB', { created_at: '2026-10-05T09:00:00.000Z', customer_email: 'ann.work@example.com', status: 'booked', calendar_path: 'calendar/PMT-BBBB-BBBB.ics' }),
+        quoteRow('PMT-CCCC-CCCC', { customer_name: 'Bob Other', customer_email: 'bob@example.com', customer_phone: '+447700900999' }),
+        quoteRow('PMT-DDDD-DDDD', { tenant_id: 'elsewhere' }),
+      ],
+      quote_jobs: [
+        { job_ref: 'PMT-AAAA-AAAA', kind: 'job_sheet', payload: { pdfPath: 'job-sheets/PMT-AAAA-AAAA-1.pdf' } },
+        { job_ref: 'PMT-BBBB-BBBB', kind: 'job_sheet', payload: { pdfPath: 'job-sheets/PMT-BBBB-BBBB-1.pdf' } },
+        { job_ref: 'PMT-CCCC-CCCC', kind: 'job_sheet', payload: { pdfPath: 'job-sheets/PMT-CCCC-CCCC-1.pdf' } },
+      ],
+      quote_status_history: [
+        { job_ref: 'PMT-BBBB-BBBB', from_status: 'quoted', to_status: 'booked', changed_by: 'Office', note: 'Ann prefers mornings', changed_at: '2026-10-06T09:00:00.000Z' },
+      ],
+      email_events: [
+        { job_ref: 'PMT-AAAA-AAAA', email_id: 'email-1', recipient: 'customer', type: 'email.delivered', payload: { to: ['ann@example.com'] }, occurred_at: '2026-10-01T10:01:00.000Z' },
+      ],
+      abuse_log: [
+        { reason: 'rate_limited_email', ip: '203.0.113.7', email: 'ann@example.com', created_at: '2026-09-30T10:00:00.000Z' },
+        { reason: 'rate_limited_email', ip: '203.0.113.8', email: 'bob@example.com', created_at: '2026-09-30T10:00:00.000Z' },
+      ],
+      rate_limits: [
+        { key: 'quote-email:ann@example.com', count: 3, reset_at: '2026-10-19T11:00:00.000Z' },
+        { key: 'quote-email:bob@example.com', count: 1, reset_at: '2026-10-19T11:00:00.000Z' },
+      ],
+    },
+  });
+
+  for (const path of ['attachments/PMT-AAAA-AAAA/stairs.jpg', 'job-sheets/PMT-AAAA-AAAA-1.pdf', 'job-sheets/PMT-BBBB-BBBB-1.pdf', 'job-sheets/PMT-CCCC-CCCC-1.pdf', 'calendar/PMT-BBBB-BBBB.ics']) {
+    await supabase.storage.from(buckets.privateBucket).upload(path, Buffer.from('file'));
+  }
+
+  return supabase;
+}
+
+test('finds quotes by email or phone within one tenant', async () => {
+  const supabase = await seed();
+
+  const { data: byPhone } = await findSubjectQuotes(supabase, { tenantId: 'north-london', phone: '+447700900123' });
+  assert.deepStrictEqual(byPhone.map(row => row.job_ref), ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB']);
+
+  const { data: byEmail } = await findSubjectQuotes(supabase, { tenantId: 'north-london', email: 'bob@example.com' });
+  assert.deepStrictEqual(byEmail.map(row => row.job_ref), ['PMT-CCCC-CCCC']);
+});
+
+test('matches emails stored with capitals and treats wildcards literally', async () => {
+  const supabase = createFakeSupabase({
+    tables: {
+      quotes: [
+        quoteRow('PMT-AAAA-AAAA', { customer_email: 'Ann.Smith@Example.com' }),
+        quoteRow('PMT-BBBB-BBBB', { customer_email: 'annxsmith@example.com' }),
+      ],
+    },
+  });
+
+  const { data: legacy } = await findSubjectQuotes(supabase, { tenantId: 'north-london', email: 'ann.smith@example.com' });
+  assert.deepStrictEqual(legacy.map(row => row.job_ref), ['PMT-AAAA-AAAA']);
+
+  const { data: wildcard } = await findSubjectQuotes(supabase, { tenantId: 'north-london', email: 'ann_smith@example.com' });
+  assert.deepStrictEqual(wildcard, []);
+});
+
+test('exports quotes, history, email events and files as one bundle and audits it', async () => {
+  const supabase = await seed();
+
+  const { data: bundle, error } = await exportSubjectData(supabase, buckets, subject, { requestedBy: 'Office', now: new Date('2026-10-19T12:00:00Z') });
+  assert.strictEqual(error, null);
+  assert.strictEqual(bundle.generatedAt, '2026-10-19T12:00:00.000Z');
+  assert.deepStrictEqual(bundle.quotes.map(quote => quote.jobRef), ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB']);
+  assert.strictEqual(bundle.quotes[0].specialRequirements, 'Gate code 1234');
+  assert.deepStrictEqual(bundle.quotes[0].emailEvents, [{ recipient: 'customer', type: 'email.delivered', occurredAt: '2026-10-01T10:01:00.000Z' }]);
+  assert.strictEqual(bundle.quotes[1].statusHistory[0].note, 'Ann prefers mornings');
+  assert.deepStrictEqual(bundle.files.map(file => [file.kind, file.url]), [
+    ['attachment', 'https://storage.test/signed/piano-quote-files/attachments/PMT-AAAA-AAAA/stairs.jpg?token=signed-604800'],
+    ['job_sheet', 'https://storage.test/signed/piano-quote-files/job-sheets/PMT-AAAA-AAAA-1.pdf?token=signed-604800'],
+    ['job_sheet', 'https://storage.test/signed/piano-quote-files/job-sheets/PMT-BBBB-BBBB-1.pdf?token=signed-604800'],
+    ['calendar', 'https://storage.test/signed/piano-quote-files/calendar/PMT-BBBB-BBBB.ics?token=signed-604800'],
+  ]);
+  assert.deepStrictEqual(bundle.rejectedRequests, [{ reason: 'rate_limited_email', ip: '203.0.113.7', createdAt: '2026-09-30T10:00:00.000Z' }]);
+
+  const [audit] = supabase.table('privacy_audit');
+  assert.strictEqual(audit.action, 'export');
+  assert.strictEqual(audit.subject_hash, subjectHash(subject));
+  assert.deepStrictEqual(audit.job_refs, ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB']);
+  assert.ok(!JSON.stringify(audit).includes('ann'));
+});
+
+test('anonymises quotes and removes their files, keeping the job for the books', async () => {
+  const supabase = await seed();
+
+  const { data: erased } = await eraseSubject(supabase, buckets, subject, { requestedBy: 'Office', reason: 'Customer request by email' });
+  assert.deepStrictEqual(erased, { mode: 'anonymise', jobRefs: ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB'], objects: 4 });
+  assert.deepStrictEqual([...supabase.buckets['piano-quote-files'].keys()], ['job-sheets/PMT-CCCC-CCCC-1.pdf']);
+
+  const booked = supabase.table('quotes').find(row => row.job_ref === 'PMT-BBBB-BBBB');
+  assert.strictEqual(booked.status, 'booked');
+  assert.strictEqual(booked.piano_type, 'Upright Piano');
+  assert.strictEqual(booked.customer_name, '[erased]');
+  assert.strictEqual(booked.customer_email, '[erased]');
+  assert.strictEqual(booked.pickup_postcode, 'N13');
+  assert.strictEqual(booked.special_requirements, null);
+  assert.strictEqual(booked.calendar_path, null);
+  assert.ok(booked.erased_at);
+
+  assert.strictEqual(supabase.table('quote_status_history')[0].note, null);
+  assert.strictEqual(supabase.table('email_events')[0].payload, null);
+  assert.deepStrictEqual(supabase.table('quote_jobs').find(job => job.job_ref === 'PMT-AAAA-AAAA').payload, {});
+  assert.deepStrictEqual(supabase.table('abuse_log').map(entry => entry.email), ['bob@example.com']);
+  assert.deepStrictEqual(supabase.table('rate_limits').map(entry => entry.key), ['quote-email:bob@example.com']);
+  assert.strictEqual(supabase.table('quotes').find(row => row.job_ref === 'PMT-CCCC-CCCC').customer_name, 'Bob Other');
+
+  const [audit] = supabase.table('privacy_audit');
+  assert.strictEqual(audit.action, 'erase');
+  assert.strictEqual(audit.mode, 'anonymise');
+  assert.strictEqual(audit.objects_removed, 4);
+  assert.strictEqual(audit.reason, 'Customer request by email');
+});
+
+test('deletes quotes and everything hanging off them', async () => {
+  const supabase = await seed();
+
+  const { data: erased } = await eraseSubject(supabase, buckets, { tenantId: 'north-london', phone: '+447700900123' }, { mode: 'delete', requestedBy: 'Office' });
+  assert.deepStrictEqual(erased.jobRefs, ['PMT-AAAA-AAAA', 'PMT-BBBB-BBBB']);
+  assert.deepStrictEqual(supabase.table('quotes').map(row => row.job_ref), ['PMT-CCCC-CCCC', 'PMT-DDDD-DDDD']);
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => job.job_ref), ['PMT-CCCC-CCCC']);
+  assert.strictEqual(supabase.table('quote_status_history').length, 0);
+  assert.strictEqual(supabase.table('email_events').length, 0);
+});
+
+test('leaves quotes untouched when their files cannot be removed', async () => {
+  const supabase = await seed();
+  supabase.fail('storage.remove', { message: 'storage unavailable' });
+
+  const { error } = await eraseSubject(supabase, buckets, subject, { requestedBy: 'Office' });
+  assert.deepStrictEqual(error, { status: 500, message: 'Failed to remove stored files' });
+  assert.strictEqual(supabase.table('quotes')[0].customer_name, 'Ann Example');
+  assert.strictEqual(supabase.table('privacy_audit').length, 0);
+  assert.strictEqual(supabase.buckets['piano-quote-files'].size, 5);
+});
+
+test('purges unconverted quotes past the retention period', async () => {
+  const supabase = createFakeSupabase({
+    tables: {
+      quotes: [
+        quoteRow('PMT-OLD1-AAAA', { created_at: '2025-09-01T10:00:00.000Z' }),
+        quoteRow('PMT-OLD2-AAAA', { created_at: '2025-09-02T10:00:00.000Z', status: 'lost', status_updated_at: '2025-09-10T10:00:00.000Z' }),
+        quoteRow('PMT-OLD3-AAAA', { created_at: '2025-09-03T10:00:00.000Z', status: 'completed' }),
+        quoteRow('PMT-OLD4-AAAA', { created_at: '2025-09-04T10:00:00.000Z', status: 'quoted', status_updated_at: '2026-09-01T10:00:00.000Z' }),
+        quoteRow('PMT-NEW1-AAAA', { created_at: '2026-10-01T10:00:00.000Z' }),
+      ],
+      quote_jobs: [{ job_ref: 'PMT-OLD1-AAAA', kind: 'job_sheet', payload: { pdfPath: 'job-sheets/PMT-OLD1-AAAA-1.pdf' } }],
+    },
+  });
+  await supabase.storage.from(buckets.privateBucket).upload('job-sheets/PMT-OLD1-AAAA-1.pdf', Buffer.from('file'));
+
+  const { data: purged } = await purgeExpiredQuotes(supabase, buckets, getTenant('north-london'), { now: new Date('2026-10-19T03:30:00Z') });
+  assert.deepStrictEqual(purged, { tenant: 'north-london', jobRefs: ['PMT-OLD1-AAAA', 'PMT-OLD2-AAAA'], objects: 1 });
+  assert.deepStrictEqual(supabase.table('quotes').map(row => row.job_ref), ['PMT-OLD3-AAAA', 'PMT-OLD4-AAAA', 'PMT-NEW1-AAAA']);
+  assert.strictEqual(supabase.buckets['piano-quote-files'].size, 0);
+  assert.strictEqual(supabase.table('privacy_audit')[0].action, 'retention');
+
+  const { data: skipped } = await purgeExpiredQuotes(supabase, buckets, { id: 'no-policy' });
+  assert.deepStrictEqual(skipped.jobRefs, []);
+});
+
+test('recently updated quotes do not hold up the retention batch', async () => {
+  const supabase = createFakeSupabase({
+    tables: {
+      quotes: [
+        quoteRow('PMT-OLD1-AAAA', { created_at: '2025-09-01T10:00:00.000Z', status: 'quoted', status_updated_at: '2026-09-01T10:00:00.000Z' }),
+        quoteRow('PMT-OLD2-AAAA', { created_at: '2025-09-02T10:00:00.000Z' }),
+      ],
+    },
+  });
+
+  const { data: purged } = await purgeExpiredQuotes(supabase, buckets, getTenant('north-london'), { now: new Date('2026-10-19T03:30:00Z'), batchSize: 1 });
+  assert.deepStrictEqual(purged.jobRefs, ['PMT-OLD2-AAAA']);
+  assert.deepStrictEqual(supabase.table('quotes').map(row => row.job_ref), ['PMT-OLD1-AAAA']);
+});
+
+test('normalises the subject and defaults erasure to anonymising', () => {
+  const { value, errors } = validate(erasureSchema, { email: ' Ann@Example.com ', phone: '+44 7700 900123', requestedBy: 'Office' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value, { email: 'ann@example.com', phone: '+447700900123', requestedBy: 'Office', mode: 'anonymise' });
+
+  const invalid = validate(erasureSchema, { email: 'nope', mode: 'shred' });
+  assert.deepStrictEqual(invalid.errors.map(error => error.field), ['email', 'requestedBy', 'mode']);
+});
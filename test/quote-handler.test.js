@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createQuoteHandler } = require('../lib/quote-handler');
+const { verifyJobSheetLink } = require('../lib/file-links');
+const { createMemoryProvider } = require('../lib/sms');
+const { createFakeSupabase, createFakeResend, createRequest, createResponse } = require('./support/fakes');
+const { muteConsole } = require('./support/helpers');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+muteConsole();
+
+process.env.FILE_LINK_SECRET = 'test-file-link-secret';
+
+function quoteBody(overrides = {}) {
+  return {
+    fullname: 'Ann Example',
+    email: 'Ann@Example.com',
+    phone: '07700 900123',
+    pianotype: 'Upright Piano',
+    pickup_postcode: '1 High Road, London N13 6HS',
+    pickup_steps: 4,
+    delivery_postcode: '2 Low Road, Enfield EN2 7AB',
+    delivery_steps: 0,
+    form_started_at: Date.now() - 60000,
+    ...overrides,
+  };
+}
+
+function setup(options = {}) {
+  const supabase = createFakeSupabase();
+  const resend = createFakeResend();
+  const handler = createQuoteHandler({ supabase, resend, ...options });
+
+  const send = async options => {
+    const res = createResponse();
+    await handler(createRequest(options), res);
+    return res;
+  };
+
+  return { supabase, resend, send, post: (body, headers) => send({ body, headers }) };
+}
+
+function stored(supabase, prefix, bucket = 'piano-quote-files') {
+  return [...(supabase.buckets[bucket] || new Map()).keys()].filter(path => path.startsWith(prefix));
+}
+
+test('saves the quote, builds the job sheet and sends both emails', async () => {
+  const { supabase, resend, post } = setup();
+  const res = await post(quoteBody());
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(Object.keys(res.body).sort(), [
+    'attachments', 'estimate', 'jobRef', 'message', 'pdfUrl', 'rejectedAttachments', 'success', 'vcfUrl',
+  ]);
+  assert.strictEqual(res.body.success, true);
+  assert.match(res.body.jobRef, /^PMT-[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+  assert.match(res.body.pdfUrl, /^https:\/\/www\.pianomoveteam\.co\.uk\/api\/job-sheet\/PMT-[A-Z0-9-]+\?exp=\d+&sig=/);
+  assert.strictEqual(res.body.vcfUrl, 'https://storage.test/piano-quotes/vcf/The-North-London-Piano.vcf');
+  assert.deepStrictEqual(res.body.estimate, { low: 170, high: 205, currency: 'GBP' });
+
+  const [quote] = supabase.table('quotes');
+  assert.strictEqual(quote.job_ref, res.body.jobRef);
+  assert.strictEqual(quote.tenant_id, 'north-london');
+  assert.strictEqual(quote.customer_email, 'ann@example.com');
+  assert.strictEqual(quote.customer_phone, '+447700900123');
+  assert.strictEqual(quote.email_id, 'email-1');
+  assert.strictEqual(quote.customer_email_id, 'email-2');
+  assert.ok(supabase.table('quote_jobs').every(job => job.status === 'done'));
+
+  const link = new URL(res.body.pdfUrl);
+  assert.strictEqual(verifyJobSheetLink({ jobRef: quote.job_ref, exp: link.searchParams.get('exp'), sig: link.searchParams.get('sig') }).valid, true);
+
+  const [pdfPath] = stored(supabase, 'job-sheets/');
+  assert.strictEqual(quote.pdf_path, pdfPath);
+  assert.deepStrictEqual(stored(supabase, '', 'piano-quotes'), ['vcf/The-North-London-Piano.vcf']);
+  const pdf = supabase.buckets['piano-quote-files'].get(pdfPath);
+  assert.strictEqual(pdf.contentType, 'application/pdf');
+  assert.strictEqual(pdf.content.subarray(0, 5).toString(), '%PDF-');
+  assert.match(supabase.buckets['piano-quotes'].get('vcf/The-North-London-Piano.vcf').content.toString(), /^BEGIN:VCARD/);
+
+  const [office, customer] = resend.sent;
+  assert.strictEqual(office.subject, 'Piano Quote - Ann Example + PDF');
+  assert.deepStrictEqual(office.to, ['thenorthpiano@googlemail.com']);
+  assert.strictEqual(office.replyTo, 'ann@example.com');
+  assert.ok(office.html.includes(`https://www.pianomoveteam.co.uk/api/job-sheet/${quote.job_ref}?exp=`));
+  assert.ok(office.html.includes('£170 - £205'));
+  assert.ok(office.text.includes('Name: Ann Example'));
+  assert.deepStrictEqual(office.attachments.map(file => file.filename), [`Job-Sheet-${quote.job_ref}.pdf`]);
+  assert.ok(office.attachments[0].content.equals(pdf.content));
+
+  assert.deepStrictEqual(customer.to, ['ann@example.com']);
+  assert.ok(customer.html.includes('Hi Ann Example'));
+  assert.ok(customer.text.includes('Add to Contacts (https://storage.test/piano-quotes/vcf/The-North-London-Piano.vcf)'));
+});
+
+test('stores photos and attaches them to the office email', async () => {
+  const { supabase, resend, post } = setup();
+  const res = await post(quoteBody({
+    attachments: [
+      { filename: 'stairs.png', content: PNG },
+      { filename: 'notes.txt', content: Buffer.from('hello').toString('base64') },
+    ],
+  }));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.attachments, 2);
+  assert.deepStrictEqual(res.body.rejectedAttachments.map(file => file.filename), ['notes.txt']);
+  assert.deepStrictEqual(stored(supabase, 'attachments/'), [`attachments/${res.body.jobRef}/stairs.png`]);
+  assert.deepStrictEqual(supabase.table('quotes')[0].attachment_files.map(file => file.path), [`attachments/${res.body.jobRef}/stairs.png`]);
+
+  const photos = supabase.table('quote_jobs').find(job => job.kind === 'attachments');
+  assert.strictEqual(photos.status, 'done');
+  assert.strictEqual(photos.payload.files[0].content, undefined);
+
+  const office = resend.sent.find(email => email.replyTo === 'ann@example.com');
+  assert.strictEqual(office.subject, 'Piano Quote - Ann Example (1 photos) + PDF');
+  assert.deepStrictEqual(office.attachments.map(file => file.filename), ['stairs.png', `Job-Sheet-${res.body.jobRef}.pdf`]);
+});
+
+test('rejects invalid submissions with field errors and stores nothing', async () => {
+  const { supabase, resend, post } = setup();
+  const res = await post(quoteBody({ email: 'not-an-email', pickup_postcode: '' }));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.error, 'Invalid quote request');
+  assert.deepStrictEqual(res.body.fields.map(field => field.field).sort(), ['email', 'pickup_postcode']);
+  assert.deepStrictEqual(supabase.table('quotes'), []);
+  assert.deepStrictEqual(resend.sent, []);
+});
+
+test('answers preflight, rejects other methods and unknown origins', async () => {
+  const { supabase, send } = setup();
+
+  const preflight = await send({ method: 'OPTIONS' });
+  assert.strictEqual(preflight.statusCode, 200);
+  assert.strictEqual(preflight.headers['access-control-allow-origin'], 'https://www.pianomoveteam.co.uk');
+
+  assert.strictEqual((await send({ method: 'GET' })).statusCode, 405);
+
+  const foreign = await send({ body: quoteBody(), headers: { origin: 'https://evil.example' } });
+  assert.strictEqual(foreign.statusCode, 403);
+  assert.deepStrictEqual(foreign.body, { error: 'Origin not allowed' });
+  assert.strictEqual(supabase.table('abuse_log')[0].reason, 'origin_not_allowed');
+});
+
+test('rejects forms sent without a start time', async () => {
+  const { supabase, post } = setup();
+  const res = await post(quoteBody({ form_started_at: undefined }));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(res.body, { error: 'Submission rejected, please try again' });
+  assert.strictEqual(supabase.table('abuse_log')[0].reason, 'timing_missing');
+  assert.deepStrictEqual(supabase.table('quotes'), []);
+});
+
+test('keeps the quote and retries the job sheet when the PDF upload fails', async () => {
+  const { supabase, resend, post } = setup();
+  supabase.fail('storage.upload', { message: 'Bucket unavailable' });
+
+  const res = await post(quoteBody());
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(supabase.table('quotes').length, 1);
+  assert.deepStrictEqual(resend.sent, []);
+
+  const jobs = Object.fromEntries(supabase.table('quote_jobs').map(job => [job.kind, job]));
+  assert.strictEqual(jobs.job_sheet.status, 'pending');
+  assert.strictEqual(jobs.job_sheet.last_error, 'Failed to upload PDF to storage: Bucket unavailable');
+  assert.strictEqual(jobs.office_email.attempts, 0);
+  assert.strictEqual(jobs.contact_card.status, 'pending');
+});
+
+test('keeps the quote and retries the photos when they cannot be stored', async () => {
+  const { supabase, resend, post } = setup();
+  supabase.fail('storage.upload', { message: 'Bucket unavailable' });
+
+  const res = await post(quoteBody({ attachments: [{ filename: 'stairs.png', content: PNG }] }));
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.attachments, 2);
+  assert.strictEqual(supabase.table('quotes').length, 1);
+
+  const jobs = Object.fromEntries(supabase.table('quote_jobs').map(job => [job.kind, job]));
+  assert.strictEqual(jobs.attachments.status, 'pending');
+  assert.strictEqual(jobs.attachments.last_error, 'Failed to store attachments: Bucket unavailable');
+  assert.strictEqual(jobs.job_sheet.attempts, 0);
+  assert.ok(resend.sent.every(email => !email.subject.startsWith('Piano Quote')));
+});
+
+test('uploads nothing when the quote cannot be saved', async () => {
+  const { supabase, post } = setup();
+  supabase.fail('rpc.create_quote_with_jobs', { message: 'connection refused' });
+
+  const res = await post(quoteBody({ attachments: [{ filename: 'stairs.png', content: PNG }] }));
+  assert.strictEqual(res.statusCode, 500);
+  assert.deepStrictEqual(stored(supabase, ''), []);
+});
+
+test('keeps the quote when the job sheet link cannot be signed', async () => {
+  const { supabase, post } = setup();
+  delete process.env.FILE_LINK_SECRET;
+
+  try {
+    const res = await post(quoteBody());
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.pdfUrl, null);
+    assert.strictEqual(supabase.table('quotes').length, 1);
+  } finally {
+    process.env.FILE_LINK_SECRET = 'test-file-link-secret';
+  }
+});
+
+test('keeps the quote and queues a retry when an email fails to send', async () => {
+  const { supabase, resend, post } = setup();
+  resend.fail({ message: 'Daily quota exceeded' });
+
+  const res = await post(quoteBody());
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.success, true);
+
+  const [quote] = supabase.table('quotes');
+  assert.strictEqual(quote.email_id, undefined);
+  assert.ok(quote.pdf_path);
+
+  const office = supabase.table('quote_jobs').find(job => job.kind === 'office_email');
+  assert.strictEqual(office.status, 'pending');
+  assert.strictEqual(office.last_error, 'Resend error (business email): Daily quota exceeded');
+  assert.ok(Date.parse(office.run_after) > Date.now());
+});
+
+test('returns 500 when the quote cannot be saved', async () => {
+  const { supabase, resend, post } = setup();
+  supabase.fail('rpc.create_quote_with_jobs', { message: 'connection refused' });
+
+  const res = await post(quoteBody());
+  assert.strictEqual(res.statusCode, 500);
+  assert.deepStrictEqual(res.body, { error: 'Failed to save quote' });
+  assert.deepStrictEqual(resend.sent, []);
+});
+
+test('replays a repeated submission instead of saving it twice', async () => {
+  const { supabase, resend, post } = setup();
+  const headers = { 'idempotency-key': 'form-1234-5678' };
+
+  const first = await post(quoteBody(), headers);
+  const second = await post(quoteBody(), headers);
+
+  assert.strictEqual(second.statusCode, 200);
+  assert.strictEqual(second.body.replayed, true);
+  assert.strictEqual(second.body.jobRef, first.body.jobRef);
+  assert.strictEqual(second.body.pdfUrl.split('?')[0], first.body.pdfUrl.split('?')[0]);
+  assert.strictEqual(second.body.emailId, 'email-1');
+  assert.strictEqual(supabase.table('quotes').length, 1);
+  assert.strictEqual(resend.sent.length, 2);
+});
+
+test('rate limits repeated quotes for the same email address', async () => {
+  const { post } = setup();
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    const res = await post(quoteBody({ pickup_postcode: `${i + 1} High Road, London N13 6HS` }));
+    statuses.push(res.statusCode);
+  }
+
+  assert.deepStrictEqual(statuses, [200, 200, 200, 429]);
+});
+
+test('texts the customer and the on-call mobile, respecting opt-outs and landlines', async () => {
+  const sms = createMemoryProvider();
+  const { supabase, post } = setup({ sms });
+
+  const res = await post(quoteBody());
+  const [quote] = supabase.table('quotes');
+  assert.deepStrictEqual(sms.sent.map(message => message.to), ['+447700900123', '+447711872434']);
+  assert.ok(sms.sent[0].body.includes(res.body.jobRef));
+  assert.ok(sms.sent[1].body.startsWith(`New quote ${res.body.jobRef}: Ann Example +447700900123.`));
+  assert.strictEqual(quote.customer_sms_id, 'sms-1');
+  assert.strictEqual(quote.on_call_sms_id, 'sms-2');
+
+  supabase.table('sms_opt_outs').push({ phone: '+447700900999' });
+  await post(quoteBody({ email: 'bob@example.com', phone: '07700 900999' }));
+  await post(quoteBody({ email: 'cat@example.com', phone: '020 3441 9000' }));
+  assert.deepStrictEqual(sms.sent.map(message => message.to), ['+447700900123', '+447711872434', '+447711872434', '+447711872434']);
+
+  const skipped = supabase.table('quote_jobs').filter(job => job.kind === 'customer_sms').map(job => job.result);
+  assert.deepStrictEqual(skipped.slice(1), [
+    { skipped: true, reason: 'Opted out of SMS' },
+    { skipped: true, reason: 'Not a mobile number' },
+  ]);
+});
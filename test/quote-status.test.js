@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STATUSES, TRANSITIONS, canTransition } = require('../lib/quote-status');
+const { createQuoteStatusHandler } = require('../lib/quote-status-handler');
+const { generateStatusEmailForCustomer } = require('../lib/emails');
+const { createFakeSupabase, createFakeResend, createRequest, createResponse } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+function statusApi(rows = [quoteRow('PMT-AAAA-AAAA', { status: 'quoted', quoted_price: 350 })]) {
+  const supabase = createFakeSupabase({ tables: { quotes: rows } });
+  const resend = createFakeResend();
+  return { supabase, resend, handler: createQuoteStatusHandler({ supabase, resend }) };
+}
+
+async function send(handler, { token = 'test-admin-key', ...request }) {
+  const res = createResponse();
+  await handler(createRequest({ headers: token ? { authorization: `Bearer ${token}` } : {}, ...request }), res);
+  return res;
+}
+
+test('allows only the configured transitions', () => {
+  assert.ok(canTransition('new', 'called_back'));
+  assert.ok(canTransition('quoted', 'booked'));
+  assert.ok(canTransition('booked', 'completed'));
+  assert.ok(canTransition('lost', 'quoted'));
+  assert.ok(!canTransition('new', 'completed'));
+  assert.ok(!canTransition('completed', 'lost'));
+  assert.ok(!canTransition('unknown', 'new'));
+
+  for (const targets of Object.values(TRANSITIONS)) {
+    for (const status of targets) assert.ok(STATUSES.includes(status));
+  }
+});
+
+test('builds a customer email for each status with escaped content', () => {
+  const quote = {
+    job_ref: 'PMT-ABCD-EFGH',
+    customer_name: '<b>Ann</b>',
+    piano_type: 'Upright Piano',
+    pickup_postcode: 'N13 6HS',
+    delivery_postcode: 'EN2 7AB',
+  };
+
+  for (const status of STATUSES.filter(status => status !== 'new')) {
+    const email = generateStatusEmailForCustomer(quote, status, { price: 350, moveDate: '2026-11-02' });
+    assert.ok(email.subject.endsWith('(PMT-ABCD-EFGH)'));
+    assert.ok(email.html.includes('Hi &lt;b&gt;Ann&lt;/b&gt;,'));
+    assert.ok(email.html.includes('£350'));
+    assert.ok(email.html.includes('Monday, 2 November 2026'));
+  }
+
+  assert.strictEqual(generateStatusEmailForCustomer(quote, 'new'), null);
+});
+
+test('needs the admin key', async () => {
+  const { handler, supabase } = statusApi();
+
+  const missing = await send(handler, { token: null, body: { jobRef: 'PMT-AAAA-AAAA', status: 'lost', changedBy: 'Office' } });
+  const wrong = await send(handler, { token: 'guess', body: { jobRef: 'PMT-AAAA-AAAA', status: 'lost', changedBy: 'Office' } });
+
+  assert.strictEqual(missing.statusCode, 401);
+  assert.strictEqual(wrong.statusCode, 401);
+  assert.strictEqual(supabase.table('quotes')[0].status, 'quoted');
+});
+
+test('refuses transitions the state machine does not allow', async () => {
+  const { handler, supabase } = statusApi();
+
+  const res = await send(handler, { body: { jobRef: 'PMT-AAAA-AAAA', status: 'completed', changedBy: 'Office' } });
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.deepStrictEqual(res.body, {
+    error: 'Cannot move a quote from "quoted" to "completed"',
+    allowed: ['quoted', 'booked', 'lost'],
+  });
+  assert.deepStrictEqual(supabase.table('quote_status_history'), []);
+});
+
+test('records each change in the status history', async () => {
+  const { handler, supabase, resend } = statusApi();
+
+  const res = await send(handler, { body: { jobRef: 'PMT-AAAA-AAAA', status: 'lost', changedBy: 'Office', note: 'Went elsewhere', notifyCustomer: true } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.previousStatus, 'quoted');
+  assert.strictEqual(res.body.status, 'lost');
+  assert.strictEqual(supabase.table('quotes')[0].status, 'lost');
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status]), [['status_customer_email', 'done']]);
+  assert.deepStrictEqual(resend.sent.map(email => email.to), [['ann@example.com']]);
+
+  const history = await send(handler, { method: 'GET', query: { jobRef: 'PMT-AAAA-AAAA' } });
+  assert.strictEqual(history.statusCode, 200);
+  assert.deepStrictEqual(history.body.history.map(entry => [entry.from_status, entry.to_status, entry.changed_by, entry.note]), [
+    ['quoted', 'lost', 'Office', 'Went elsewhere'],
+  ]);
+});
+
+test('leaves the status alone when the history cannot be written', async () => {
+  const { handler, supabase, resend } = statusApi();
+  supabase.fail('quote_status_history.insert');
+
+  const res = await send(handler, { body: { jobRef: 'PMT-AAAA-AAAA', status: 'lost', changedBy: 'Office', notifyCustomer: true } });
+
+  assert.strictEqual(res.statusCode, 500);
+  assert.strictEqual(res.body.error, 'Failed to update quote status');
+  assert.strictEqual(supabase.table('quotes')[0].status, 'quoted');
+  assert.deepStrictEqual(supabase.table('quote_status_history'), []);
+  assert.deepStrictEqual(resend.sent, []);
+});
+
+test('links to the calendar file with a signed url that expires', async () => {
+  const { handler, supabase } = statusApi();
+
+  const res = await send(handler, { body: { jobRef: 'PMT-AAAA-AAAA', status: 'booked', changedBy: 'Office', moveDate: '2026-11-02' } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.calendarUrl, 'https://storage.test/signed/piano-quote-files/calendar/PMT-AAAA-AAAA.ics?token=signed-300');
+  assert.strictEqual(supabase.table('quotes')[0].calendar_path, 'calendar/PMT-AAAA-AAAA.ics');
+  assert.strictEqual(supabase.table('quotes')[0].calendar_url, undefined);
+});
+
+test('sends the calendar update to the office and the customer through the outbox', async () => {
+  const { handler, supabase, resend } = statusApi([quoteRow('PMT-AAAA-AAAA', { status: 'booked', quoted_price: 350, move_date: '2026-11-02', calendar_sequence: 0 })]);
+
+  const res = await send(handler, { body: { jobRef: 'PMT-AAAA-AAAA', status: 'lost', changedBy: 'Office', notifyCustomer: true } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status]), [
+    ['move_event', 'done'],
+    ['status_office_email', 'done'],
+    ['status_customer_email', 'done'],
+  ]);
+  assert.strictEqual(supabase.table('quotes')[0].calendar_sequence, 1);
+
+  const [office, customer] = resend.sent;
+  assert.strictEqual(office.subject, 'Cancelled - Ann Example (PMT-AAAA-AAAA)');
+  assert.deepStrictEqual(customer.to, ['ann@example.com']);
+  for (const email of [office, customer]) {
+    assert.ok(email.attachments[0].content.includes('SEQUENCE:1'));
+    assert.ok(email.attachments[0].content.includes('STATUS:CANCELLED'));
+  }
+});
+
+test('keeps the status change and retries the emails when the send fails', async () => {
+  const { handler, supabase, resend } = statusApi();
+  resend.fail();
+
+  const res = await send(handler, { body: { jobRef: 'PMT-AAAA-AAAA', status: 'booked', changedBy: 'Office', moveDate: '2026-11-02', notifyCustomer: true } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(supabase.table('quotes')[0].status, 'booked');
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status, job.attempts]), [
+    ['move_event', 'done', 1],
+    ['status_office_email', 'pending', 1],
+    ['status_customer_email', 'pending', 1],
+  ]);
+  assert.match(supabase.table('quote_jobs')[2].last_error, /^Resend error \(status email\)/);
+  assert.deepStrictEqual(resend.sent, []);
+});
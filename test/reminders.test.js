@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendScheduledEmails } = require('../lib/reminders');
+const { getTenant } = require('../lib/tenants');
+const { createFakeSupabase, createFakeResend } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+process.env.BOOKING_LINK_SECRET = 'test-booking-secret';
+
+const now = new Date('2026-10-19T07:00:00Z');
+const tenant = getTenant('north-london');
+
+function seed() {
+  return createFakeSupabase({
+    tables: {
+      quotes: [
+        quoteRow('PMT-FOLO-AAAA', { created_at: '2026-10-15T10:00:00.000Z' }),
+        quoteRow('PMT-FOLO-BBBB', { created_at: '2026-10-14T10:00:00.000Z', status: 'quoted', status_updated_at: '2026-10-14T12:00:00.000Z', quoted_price: 240, offered_dates: ['2026-11-02'] }),
+        quoteRow('PMT-RCNT-AAAA', { created_at: '2026-10-14T10:00:00.000Z', status: 'quoted', status_updated_at: '2026-10-18T12:00:00.000Z' }),
+        quoteRow('PMT-FRSH-AAAA', { created_at: '2026-10-18T16:00:00.000Z' }),
+        quoteRow('PMT-OLDQ-AAAA', { created_at: '2026-09-01T10:00:00.000Z' }),
+        quoteRow('PMT-BNCE-AAAA', { created_at: '2026-10-15T10:00:00.000Z', status: 'called_back', customer_email_status: 'bounced' }),
+        quoteRow('PMT-LOST-AAAA', { created_at: '2026-10-15T10:00:00.000Z', status: 'lost' }),
+        quoteRow('PMT-GONE-AAAA', { created_at: '2026-10-15T10:00:00.000Z', erased_at: '2026-10-16T10:00:00.000Z' }),
+        quoteRow('PMT-MOVE-AAAA', { status: 'booked', move_date: '2026-10-20', move_time: '09:30:00' }),
+        quoteRow('PMT-MOVE-BBBB', { status: 'booked', move_date: '2026-10-21' }),
+      ],
+    },
+  });
+}
+
+test('sends follow-ups, move reminders and the office digest once', async () => {
+  const supabase = seed();
+  const resend = createFakeResend();
+
+  const { data: first } = await sendScheduledEmails(supabase, resend, tenant, { now });
+  assert.deepStrictEqual(first, { tenant: 'north-london', followUps: 2, moveReminders: 1, digest: 3, failed: 0 });
+  assert.deepStrictEqual(resend.sent.map(email => email.subject), [
+    'Following up on your piano moving quote (PMT-FOLO-BBBB)',
+    'Following up on your piano moving quote (PMT-FOLO-AAAA)',
+    'Your piano move is tomorrow (PMT-MOVE-AAAA)',
+    'Quotes waiting for a call - 3 (2026-10-19)',
+  ]);
+  assert.deepStrictEqual(resend.sent[3].to, tenant.business.recipients.office.to);
+  assert.deepStrictEqual(supabase.table('scheduled_emails').map(row => [row.key, row.email_id]), [
+    ['follow_up:PMT-FOLO-BBBB', 'email-1'],
+    ['follow_up:PMT-FOLO-AAAA', 'email-2'],
+    ['move_reminder:PMT-MOVE-AAAA:2026-10-20', 'email-3'],
+    ['digest:north-london:2026-10-19', 'email-4'],
+  ]);
+
+  const { data: second } = await sendScheduledEmails(supabase, resend, tenant, { now: new Date('2026-10-19T09:00:00Z') });
+  assert.deepStrictEqual(second, { tenant: 'north-london', followUps: 0, moveReminders: 0, digest: 0, failed: 0 });
+  assert.strictEqual(resend.sent.length, 4);
+
+  supabase.table('quotes').find(row => row.job_ref === 'PMT-MOVE-AAAA').move_date = '2026-10-21';
+  const { data: nextDay } = await sendScheduledEmails(supabase, resend, tenant, { now: new Date('2026-10-20T07:00:00Z') });
+  assert.strictEqual(nextDay.moveReminders, 2);
+  assert.strictEqual(nextDay.digest, 3);
+});
+
+test('reminder emails carry the booking link, prep tips and phone links', async () => {
+  const supabase = seed();
+  const resend = createFakeResend();
+  await sendScheduledEmails(supabase, resend, tenant, { now });
+
+  const [quoted, plain, reminder, digest] = resend.sent;
+  assert.strictEqual(plain.subject, 'Following up on your piano moving quote (PMT-FOLO-AAAA)');
+  assert.doesNotMatch(plain.html, /booking\.html/);
+  assert.match(quoted.html, /booking\.html\?ref=PMT-FOLO-BBBB/);
+  assert.match(quoted.text, /£240/);
+
+  assert.strictEqual(reminder.subject, 'Your piano move is tomorrow (PMT-MOVE-AAAA)');
+  assert.match(reminder.text, /Close and lock the lid/);
+  assert.match(reminder.text, /Tuesday, 20 October 2026/);
+  assert.match(reminder.text, /09:30/);
+
+  assert.strictEqual(digest.subject, 'Quotes waiting for a call - 3 (2026-10-19)');
+  assert.match(digest.html, /href="tel:\+447700900123"[^>]*>07700 900123</);
+  assert.ok(digest.text.indexOf('PMT-OLDQ-AAAA') < digest.text.indexOf('PMT-FRSH-AAAA'));
+});
+
+test('releases the record when an email fails so the next run retries it', async () => {
+  const supabase = seed();
+  const resend = createFakeResend();
+  resend.fail();
+
+  const { data: failed } = await sendScheduledEmails(supabase, resend, tenant, { now });
+  assert.deepStrictEqual(failed, { tenant: 'north-london', followUps: 0, moveReminders: 0, digest: 0, failed: 4 });
+  assert.strictEqual(supabase.table('scheduled_emails').length, 0);
+
+  resend.recover();
+  const { data: retried } = await sendScheduledEmails(supabase, resend, tenant, { now });
+  assert.deepStrictEqual(retried, { tenant: 'north-london', followUps: 2, moveReminders: 1, digest: 3, failed: 0 });
+});
+
+test('skips tenants without reminder settings and reports lookup failures', async () => {
+  const supabase = seed();
+  const resend = createFakeResend();
+
+  const { data: skipped } = await sendScheduledEmails(supabase, resend, { ...tenant, reminders: undefined }, { now });
+  assert.deepStrictEqual(skipped, { tenant: 'north-london', followUps: 0, moveReminders: 0, digest: 0, failed: 0 });
+
+  supabase.fail('quotes.select');
+  const { error } = await sendScheduledEmails(supabase, resend, tenant, { now });
+  assert.deepStrictEqual(error, { status: 500, message: 'Failed to load quotes for scheduled emails' });
+  assert.strictEqual(resend.sent.length, 0);
+});
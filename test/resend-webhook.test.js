@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { verifyWebhook, recordEmailEvent } = require('../lib/resend-webhook');
+const { createResendWebhookHandler } = require('../lib/resend-webhook-handler');
+const { createFakeSupabase, createFakeResend, createResponse } = require('./support/fakes');
+const { muteConsole, quoteRow } = require('./support/helpers');
+
+muteConsole();
+
+const secret = `whsec_${Buffer.from('test-webhook-secret').toString('base64')}`;
+const now = Date.UTC(2026, 9, 19, 12);
+
+function signedHeaders(body, { id = 'msg_1', timestamp = now / 1000 } = {}) {
+  const signature = crypto
+    .createHmac('sha256', Buffer.from('test-webhook-secret'))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64');
+  return { 'svix-id': id, 'svix-timestamp': String(timestamp), 'svix-signature': `v1,bogus v1,${signature}` };
+}
+
+function webhookSupabase() {
+  return createFakeSupabase({
+    tables: { quotes: [quoteRow('PMT-AAAA-AAAA', { email_id: 're_office', customer_email_id: 're_customer' })] },
+  });
+}
+
+function event(type, emailId, extra = {}) {
+  return { type, created_at: '2026-10-19T12:00:00.000Z', data: { email_id: emailId, ...extra } };
+}
+
+test('verifies Resend webhook signatures', () => {
+  const body = JSON.stringify(event('email.delivered', 're_1'));
+  const headers = signedHeaders(body);
+
+  assert.deepStrictEqual(verifyWebhook(body, headers, { secret, now }), { valid: true, id: 'msg_1' });
+  assert.strictEqual(verifyWebhook(body.replace('delivered', 'bounced'), headers, { secret, now }).valid, false);
+  assert.strictEqual(verifyWebhook(body, headers, { secret: 'whsec_b3RoZXI=', now }).valid, false);
+  assert.strictEqual(verifyWebhook(body, headers, { secret, now: now + 10 * 60 * 1000 }).reason, 'Timestamp outside tolerance');
+  assert.strictEqual(verifyWebhook(body, {}, { secret, now }).valid, false);
+  assert.strictEqual(verifyWebhook(body, headers, { secret: '', now }).valid, false);
+});
+
+test('stores delivery state on the quote for the matching email', async () => {
+  const supabase = webhookSupabase();
+  const quote = () => supabase.table('quotes')[0];
+
+  const delivered = await recordEmailEvent(supabase, event('email.delivered', 're_customer'), { svixId: 'msg_1' });
+  assert.strictEqual(delivered.data.recipient, 'customer');
+  assert.strictEqual(quote().customer_email_status, 'delivered');
+  assert.strictEqual(quote().email_status, undefined);
+
+  await recordEmailEvent(supabase, event('email.opened', 're_office'), { svixId: 'msg_2' });
+  assert.strictEqual(quote().email_status, 'opened');
+
+  const late = await recordEmailEvent(supabase, event('email.sent', 're_customer'), { svixId: 'msg_3' });
+  assert.strictEqual(late.data.updated, false);
+  assert.strictEqual(quote().customer_email_status, 'delivered');
+
+  const bounced = await recordEmailEvent(supabase, event('email.bounced', 're_customer'), { svixId: 'msg_4' });
+  assert.strictEqual(bounced.data.state, 'bounced');
+  assert.strictEqual(quote().customer_email_status, 'bounced');
+
+  const replayed = await recordEmailEvent(supabase, event('email.bounced', 're_customer'), { svixId: 'msg_4' });
+  assert.strictEqual(replayed.data.duplicate, true);
+  assert.strictEqual(supabase.table('email_events').length, 4);
+});
+
+test('ignores unsupported events and unsafe email ids', async () => {
+  const supabase = webhookSupabase();
+
+  assert.strictEqual((await recordEmailEvent(supabase, event('contact.created', 're_office'))).error.status, 400);
+  assert.strictEqual((await recordEmailEvent(supabase, event('email.delivered', 'x,email_id.neq.0'))).error.status, 400);
+  assert.strictEqual(supabase.table('email_events').length, 0);
+});
+
+test('redoes the status update and bounce alert when a delivery is retried', async () => {
+  const supabase = webhookSupabase();
+  const resend = createFakeResend();
+  const handler = createResendWebhookHandler({ supabase, resend });
+  const body = JSON.stringify(event('email.bounced', 're_customer', { bounce: { message: 'Mailbox full' } }));
+
+  process.env.RESEND_WEBHOOK_SECRET = secret;
+  const deliver = async () => {
+    const req = Object.assign(Readable.from([Buffer.from(body)]), { method: 'POST', headers: signedHeaders(body, { timestamp: Math.floor(Date.now() / 1000) }) });
+    const res = createResponse();
+    await handler(req, res);
+    return res;
+  };
+
+  supabase.fail('quotes.update');
+  const first = await deliver();
+  assert.strictEqual(first.statusCode, 500);
+  assert.strictEqual(supabase.table('email_events').length, 1);
+  assert.strictEqual(supabase.table('quotes')[0].customer_email_status, undefined);
+  assert.deepStrictEqual(supabase.table('quote_jobs'), []);
+
+  supabase.recover('quotes.update');
+  const retried = await deliver();
+  assert.strictEqual(retried.statusCode, 200);
+  assert.strictEqual(supabase.table('email_events').length, 1);
+  assert.strictEqual(supabase.table('quotes')[0].customer_email_status, 'bounced');
+  assert.deepStrictEqual(supabase.table('quote_jobs').map(job => [job.kind, job.status]), [['bounce_alert', 'done']]);
+  assert.strictEqual(resend.sent.length, 1);
+  assert.match(resend.sent[0].subject, /^Customer email bounced/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  createSmsProvider,
+  createMemoryProvider,
+  generateCustomerSms,
+  generateOnCallSms,
+  isOptedOut,
+  handleInboundSms,
+  verifyTwilioSignature,
+} = require('../lib/sms');
+const { createFakeSupabase } = require('./support/fakes');
+const { muteConsole } = require('./support/helpers');
+const business = require('../config/business');
+
+muteConsole();
+
+const quote = {
+  job_ref: 'PMT-ABCD-EFGH',
+  customer_name: 'Ann Example',
+  customer_phone: '+447700900123',
+  piano_type: 'Upright Piano',
+  pickup_postcode: '1 High Road, London N13 6HS',
+  delivery_postcode: '2 Low Road, Enfield EN2 7AB',
+  move_date: '2026-11-02',
+};
+
+test('customer texts carry the reference and how to opt out', () => {
+  const text = generateCustomerSms(quote, business);
+  assert.strictEqual(text, 'The North London Piano: Thanks Ann, we have your piano moving quote request, ref PMT-ABCD-EFGH. We\'ll call you shortly. Questions? Call 020 3441 9463. Reply STOP to opt out');
+});
+
+test('on-call alerts summarise the job in one line', () => {
+  const route = { pickup: { outward: 'N13' }, delivery: { outward: 'EN2' }, distanceMiles: 2.9, outsideServiceArea: false };
+  const text = generateOnCallSms(quote, { currency: 'GBP', low: 170, high: 205 }, route);
+  assert.strictEqual(text, 'New quote PMT-ABCD-EFGH: Ann Example +447700900123. Upright Piano N13 to EN2, 2.9 mi, £170 - £205, move 2026-11-02');
+});
+
+test('picks the provider from the environment and records local messages', async () => {
+  assert.strictEqual(createSmsProvider(undefined), null);
+  assert.strictEqual(createSmsProvider('carrier-pigeon'), null);
+  assert.strictEqual(createSmsProvider('twilio').name, 'twilio');
+
+  const provider = createMemoryProvider();
+  assert.deepStrictEqual(await provider.send({ to: '+447700900123', body: 'Hello' }), { data: { id: 'sms-1' }, error: null });
+  assert.deepStrictEqual(provider.sent, [{ id: 'sms-1', to: '+447700900123', body: 'Hello' }]);
+
+  const unconfigured = await createSmsProvider('twilio').send({ to: '+447700900123', body: 'Hello' });
+  assert.match(unconfigured.error.message, /TWILIO_ACCOUNT_SID/);
+});
+
+test('STOP and START replies update the opt-out list', async () => {
+  const supabase = createFakeSupabase();
+
+  assert.deepStrictEqual((await handleInboundSms(supabase, { from: '+447700900123', body: ' stop please' })).data, { action: 'opted_out', phone: '+447700900123' });
+  assert.strictEqual(await isOptedOut(supabase, '+447700900123'), true);
+
+  assert.deepStrictEqual((await handleInboundSms(supabase, { from: '+447700900123', body: 'Thanks!' })).data, { action: 'ignored' });
+  assert.strictEqual(await isOptedOut(supabase, '+447700900123'), true);
+
+  assert.deepStrictEqual((await handleInboundSms(supabase, { from: '07700 900123', body: 'START' })).data, { action: 'opted_in', phone: '+447700900123' });
+  assert.strictEqual(await isOptedOut(supabase, '+447700900123'), false);
+});
+
+test('accepts only webhooks signed with the Twilio auth token', () => {
+  const url = 'https://www.pianomoveteam.co.uk/api/sms-webhook';
+  const params = { From: '+447700900123', Body: 'STOP', To: '+447700900000' };
+  const signature = crypto.createHmac('sha1', 'token').update(`${url}Body${params.Body}From${params.From}To${params.To}`).digest('base64');
+
+  assert.strictEqual(verifyTwilioSignature(url, params, signature, 'token'), true);
+  assert.strictEqual(verifyTwilioSignature(url, { ...params, Body: 'START' }, signature, 'token'), false);
+  assert.strictEqual(verifyTwilioSignature(url, params, signature, 'other'), false);
+  assert.strictEqual(verifyTwilioSignature(url, params, undefined, 'token'), false);
+});
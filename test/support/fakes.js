@@ -0,0 +1,461 @@
+const UNIQUE_KEYS = {
+  quotes: [['job_ref'], ['tenant_id', 'idempotency_key']],
+  quote_jobs: [['job_ref', 'kind']],
+  email_events: [['svix_id']],
+  scheduled_emails: [['key']],
+};
+
+const DEFAULTS = {
+  quote_jobs: now => ({ status: 'pending', attempts: 0, max_attempts: 6, run_after: new Date(now).toISOString() }),
+};
+
+const CASCADES = {
+  quotes: { column: 'job_ref', tables: ['quote_jobs', 'quote_status_history', 'email_events', 'crew_assignments'] },
+};
+
+function createFakeSupabase({ tables = {}, now = () => Date.now() } = {}) {
+  const rows = {};
+  const buckets = {};
+  const failures = {};
+  const ids = {};
+
+  const table = name => (rows[name] = rows[name] || []);
+  const defaults = name => (DEFAULTS[name] ? DEFAULTS[name](now()) : {});
+  const failure = key => failures[key] || null;
+
+  for (const [name, seed] of Object.entries(tables)) {
+    table(name).push(...seed.map(row => ({ id: (ids[name] = (ids[name] || 0) + 1), ...defaults(name), ...row })));
+  }
+
+  const insertRows = (name, input, { onConflict, ignoreDuplicates, merge = false } = {}) => {
+    const inserted = [];
+    for (const values of [].concat(input)) {
+      const row = { id: (ids[name] = (ids[name] || 0) + 1), created_at: new Date(now()).toISOString(), ...defaults(name), ...values };
+      const keys = onConflict ? [onConflict.split(',')] : UNIQUE_KEYS[name] || [];
+      const clash = keys.find(columns =>
+        columns.every(column => row[column] != null) &&
+        table(name).some(existing => columns.every(column => existing[column] === row[column]))
+      );
+
+      if (clash && ignoreDuplicates) continue;
+      if (clash && merge) {
+        const existing = table(name).find(other => clash.every(column => other[column] === row[column]));
+        Object.assign(existing, values);
+        inserted.push(existing);
+        continue;
+      }
+      if (clash) return { error: { code: '23505', message: `duplicate key value violates unique constraint on ${clash.join(', ')}` } };
+      table(name).push(row);
+      inserted.push(row);
+    }
+    return { data: inserted, error: null };
+  };
+
+  const rpcs = {
+    create_quote_with_jobs({ p_quote, p_jobs }) {
+      const { data, error } = insertRows('quotes', p_quote);
+      if (error) return { data: null, error };
+
+      insertRows('quote_jobs', p_jobs.map(job => ({
+        job_ref: p_quote.job_ref,
+        tenant_id: p_quote.tenant_id || 'north-london',
+        kind: job.kind,
+        payload: job.payload || {},
+        depends_on: job.depends_on || null,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: job.max_attempts || 6,
+        run_after: new Date(now()).toISOString(),
+      })));
+      return { data, error: null };
+    },
+
+    claim_quote_jobs({ p_batch_size, p_job_ref }) {
+      const jobs = table('quote_jobs');
+      const done = job => jobs.some(other => other.job_ref === job.job_ref && other.kind === job.depends_on && other.status === 'done');
+      const due = jobs
+        .filter(job => job.status === 'pending' && Date.parse(job.run_after) <= now())
+        .filter(job => !p_job_ref || job.job_ref === p_job_ref)
+        .filter(job => !job.depends_on || done(job))
+        .slice(0, p_batch_size);
+
+      for (const job of due) {
+        job.status = 'running';
+        job.attempts += 1;
+      }
+      return { data: due.map(job => ({ ...job })), error: null };
+    },
+
+    transition_quote({ p_job_ref, p_from, p_changes, p_history, p_jobs = [] }) {
+      const historyError = failure('quote_status_history.insert');
+      if (historyError) return { data: null, error: historyError };
+
+      const quote = table('quotes').find(row => row.job_ref === p_job_ref && (row.status || 'new') === p_from);
+      if (!quote) return { data: [], error: null };
+
+      Object.assign(quote, p_changes);
+      insertRows('quote_status_history', { job_ref: p_job_ref, from_status: p_from, ...p_history });
+      insertRows('quote_jobs', p_jobs.map(job => ({
+        job_ref: p_job_ref,
+        tenant_id: quote.tenant_id || 'north-london',
+        kind: job.kind,
+        payload: job.payload || {},
+        depends_on: job.depends_on || null,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: job.max_attempts || 6,
+        run_after: new Date(now()).toISOString(),
+        last_error: null,
+        result: null,
+        completed_at: null,
+      })), { onConflict: 'job_ref,kind', merge: true });
+      return { data: [{ ...quote }], error: null };
+    },
+
+    assign_crew({ p_crew_id, p_move_date, p_assignments }) {
+      const assignments = table('crew_assignments');
+      for (const row of assignments.filter(row => row.crew_id === p_crew_id && row.move_date === p_move_date)) {
+        assignments.splice(assignments.indexOf(row), 1);
+      }
+      return insertRows('crew_assignments', p_assignments, { onConflict: 'job_ref', merge: true });
+    },
+
+    increment_rate_limit({ p_key, p_window_seconds }) {
+      const limits = table('rate_limits');
+      let entry = limits.find(candidate => candidate.key === p_key);
+      if (entry && Date.parse(entry.reset_at) <= now()) {
+        limits.splice(limits.indexOf(entry), 1);
+        entry = null;
+      }
+      if (!entry) {
+        entry = { key: p_key, count: 0, reset_at: new Date(now() + p_window_seconds * 1000).toISOString() };
+        limits.push(entry);
+      }
+      entry.count += 1;
+      return { data: [{ count: entry.count, reset_at: entry.reset_at }], error: null };
+    },
+  };
+
+  return {
+    tables: rows,
+    buckets,
+
+    fail(key, error = { message: `${key} failed` }) {
+      failures[key] = error;
+    },
+
+    recover(key) {
+      delete failures[key];
+    },
+
+    table,
+
+    from(name) {
+      return createQuery(name, { table, insertRows, failure });
+    },
+
+    async rpc(name, params) {
+      const error = failure(`rpc.${name}`);
+      if (error) return { data: null, error };
+      if (!rpcs[name]) return { data: null, error: { message: `Unknown function ${name}` } };
+      return rpcs[name](params);
+    },
+
+    storage: {
+      from(bucket) {
+        const files = (buckets[bucket] = buckets[bucket] || new Map());
+
+        return {
+          async upload(path, content, { contentType, upsert = false } = {}) {
+            const error = failure('storage.upload');
+            if (error) return { data: null, error };
+            if (files.has(path) && !upsert) return { data: null, error: { statusCode: '409', message: 'The resource already exists' } };
+
+            files.set(path, { content: Buffer.from(content), contentType });
+            return { data: { path }, error: null };
+          },
+
+          async download(path) {
+            const error = failure('storage.download');
+            if (error) return { data: null, error };
+            if (!files.has(path)) return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+
+            const { content, contentType } = files.get(path);
+            return { data: new Blob([content], { type: contentType }), error: null };
+          },
+
+          async remove(paths) {
+            const error = failure('storage.remove');
+            if (error) return { data: null, error };
+            const removed = paths.filter(path => files.delete(path));
+            return { data: removed.map(name => ({ name })), error: null };
+          },
+
+          async createSignedUrl(path, expiresIn, { download } = {}) {
+            const error = failure('storage.createSignedUrl');
+            if (error) return { data: null, error };
+            if (!files.has(path)) return { data: null, error: { statusCode: '404', message: 'Object not found' } };
+
+            const params = new URLSearchParams({ token: `signed-${expiresIn}`, ...(download ? { download } : {}) });
+            return { data: { signedUrl: `https://storage.test/signed/${bucket}/${path}?${params}` }, error: null };
+          },
+
+          getPublicUrl(path) {
+            return { data: { publicUrl: `https://storage.test/${bucket}/${path}` } };
+          },
+        };
+      },
+    },
+  };
+}
+
+function createQuery(name, { table, insertRows, failure }) {
+  const filters = [];
+  let operation = 'select';
+  let values = null;
+  let options = {};
+  let returning = false;
+  let count = false;
+  let head = false;
+  const orderings = [];
+  let limit = null;
+  let offset = 0;
+  let single = null;
+
+  const query = {
+    select(columns, selectOptions = {}) {
+      if (operation === 'select') {
+        count = Boolean(selectOptions.count);
+        head = Boolean(selectOptions.head);
+      } else {
+        returning = true;
+      }
+      return query;
+    },
+    insert(input) {
+      operation = 'insert';
+      values = input;
+      return query;
+    },
+    upsert(input, upsertOptions = {}) {
+      operation = 'upsert';
+      values = input;
+      options = upsertOptions;
+      return query;
+    },
+    update(changes) {
+      operation = 'update';
+      values = changes;
+      return query;
+    },
+    delete() {
+      operation = 'delete';
+      return query;
+    },
+    eq: (column, value) => where(row => row[column] === value),
+    neq: (column, value) => where(row => row[column] !== value),
+    gt: (column, value) => where(row => row[column] > value),
+    gte: (column, value) => where(row => row[column] >= value),
+    lt: (column, value) => where(row => row[column] < value),
+    lte: (column, value) => where(row => row[column] <= value),
+    in: (column, list) => where(row => list.includes(row[column])),
+    is: (column, value) => where(row => (row[column] ?? null) === value),
+    ilike: (column, pattern) => where(row => row[column] != null && likePattern(pattern).test(row[column])),
+    or(expression) {
+      const alternatives = expression.split(',').map(part => {
+        const [column, op, ...rest] = part.split('.');
+        const operand = rest.join('.');
+        if (op === 'eq') return row => String(row[column]) === operand;
+        if (op === 'match') return row => row[column] != null && new RegExp(operand).test(row[column]);
+        if (op === 'is' && operand === 'null') return row => row[column] == null;
+        if (op === 'lt') return row => row[column] != null && row[column] < operand;
+        throw new Error(`Unsupported filter ${part}`);
+      });
+      return where(row => alternatives.some(test => test(row)));
+    },
+    order(column, { ascending = true } = {}) {
+      orderings.push({ column, ascending });
+      return query;
+    },
+    limit(n) {
+      limit = n;
+      return query;
+    },
+    range(from, to) {
+      offset = from;
+      limit = to - from + 1;
+      return query;
+    },
+    maybeSingle() {
+      single = 'maybe';
+      return query;
+    },
+    single() {
+      single = 'one';
+      return query;
+    },
+    then(resolve, reject) {
+      return Promise.resolve().then(run).then(resolve, reject);
+    },
+  };
+
+  function where(test) {
+    filters.push(test);
+    return query;
+  }
+
+  function matching() {
+    return table(name).filter(row => filters.every(test => test(row)));
+  }
+
+  function shape(found) {
+    let list = found.map(row => ({ ...row }));
+    list.sort((a, b) => {
+      for (const { column, ascending } of orderings) {
+        const order = (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1);
+        if (order) return order;
+      }
+      return 0;
+    });
+    if (limit != null) list = list.slice(offset, offset + limit);
+
+    if (single === 'maybe' && list.length > 1) return { data: null, error: { message: 'Multiple rows returned' } };
+    if (single === 'one' && list.length !== 1) return { data: null, error: { message: 'Expected a single row' } };
+    if (single) return { data: list[0] || null, error: null };
+    return { data: list, error: null };
+  }
+
+  function run() {
+    const error = failure(`${name}.${operation}`);
+    if (error) return { data: null, error };
+
+    if (operation === 'select') {
+      const found = matching();
+      if (head) return { data: null, count: found.length, error: null };
+      return { ...shape(found), ...(count ? { count: found.length } : {}) };
+    }
+
+    if (operation === 'insert' || operation === 'upsert') {
+      const result = insertRows(name, values, operation === 'upsert' ? { ...options, merge: !options.ignoreDuplicates } : {});
+      if (result.error || !returning) return { data: null, error: result.error };
+      return shape(result.data);
+    }
+
+    const found = matching();
+    if (operation === 'update') {
+      for (const row of found) Object.assign(row, values);
+    } else {
+      const rows = table(name);
+      for (const row of found) rows.splice(rows.indexOf(row), 1);
+
+      const cascade = CASCADES[name];
+      for (const child of cascade ? cascade.tables : []) {
+        const keys = found.map(row => row[cascade.column]);
+        const children = table(child);
+        for (const row of children.filter(candidate => keys.includes(candidate[cascade.column]))) children.splice(children.indexOf(row), 1);
+      }
+    }
+    return returning ? shape(found) : { data: null, error: null };
+  }
+
+  return query;
+}
+
+function createFakeResend() {
+  const sent = [];
+  let failure = null;
+
+  return {
+    sent,
+
+    fail(error = { message: 'Resend is unavailable' }) {
+      failure = error;
+    },
+
+    recover() {
+      failure = null;
+    },
+
+    emails: {
+      async send(message) {
+        if (failure) return { data: null, error: failure };
+        const id = `email-${sent.length + 1}`;
+        sent.push({ id, ...message });
+        return { data: { id }, error: null };
+      },
+    },
+  };
+}
+
+function likePattern(pattern) {
+  const source = pattern.replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])/g, (match, escaped, wildcard, special) => {
+    if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wildcard) return wildcard === '%' ? '.*' : '.';
+    return `\\${special}`;
+  });
+  return new RegExp(`^${source}$`, 'is');
+}
+
+function createRequest({ method = 'POST', headers = {}, query = {}, body } = {}) {
+  return {
+    method,
+    query,
+    headers: { origin: 'https://www.pianomoveteam.co.uk', 'x-forwarded-for': '203.0.113.7', ...headers },
+    body,
+    socket: { remoteAddress: '203.0.113.7' },
+  };
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    headersSent: false,
+    ended: false,
+    destroyed: null,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    write(chunk) {
+      res.headersSent = true;
+      res.chunks.push(String(chunk));
+      return true;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.headersSent = true;
+      res.ended = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.headersSent = true;
+      res.ended = true;
+      return res;
+    },
+    end() {
+      res.headersSent = true;
+      res.ended = true;
+      return res;
+    },
+    destroy(error) {
+      res.destroyed = error || new Error('destroyed');
+      return res;
+    },
+  };
+  return res;
+}
+
+module.exports = {
+  createFakeSupabase,
+  createFakeResend,
+  createRequest,
+  createResponse,
+};
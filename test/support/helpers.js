@@ -0,0 +1,40 @@
+const test = require('node:test');
+
+function muteConsole() {
+  for (const level of ['log', 'warn', 'error']) {
+    test.mock.method(console, level, () => {});
+  }
+}
+
+function quoteRow(jobRef, overrides = {}) {
+  return {
+    job_ref: jobRef,
+    tenant_id: 'north-london',
+    created_at: '2026-10-01T10:00:00.000Z',
+    status: 'new',
+    customer_name: 'Ann Example',
+    customer_email: 'ann@example.com',
+    customer_phone: '+447700900123',
+    piano_type: 'Upright Piano',
+    pickup_postcode: '1 High Road, London N13 6HS',
+    pickup_outward: 'N13',
+    pickup_area: 'Palmers Green',
+    pickup_steps: 4,
+    delivery_postcode: '2 Low Road, Enfield EN2 7AB',
+    delivery_outward: 'EN2',
+    delivery_area: 'Enfield Chase',
+    delivery_steps: 0,
+    distance_miles: '2.9',
+    estimate_low: '170.00',
+    estimate_high: '205.00',
+    estimate_breakdown: [{ label: 'Upright Piano', amount: 180 }],
+    special_requirements: null,
+    attachment_files: [],
+    ...overrides,
+  };
+}
+
+module.exports = {
+  muteConsole,
+  quoteRow,
+};
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const business = require('../config/business');
+const pricing = require('../config/pricing');
+const serviceArea = require('../config/service-area');
+const { resolveTenant, tenantForQuote, storagePath } = require('../lib/tenants');
+const { generateEmailForCustomer, generateStatusEmailForCustomer, generateJobFailedEmail } = require('../lib/emails');
+const { createBookingLink } = require('../lib/booking-link');
+const { createJobSheetLink } = require('../lib/file-links');
+const { buildMoveEvents } = require('../lib/move-event');
+const { quoteSchemaFor, validate } = require('../lib/validation');
+
+const partnerBusiness = {
+  ...business,
+  name: 'Acme Removals',
+  domain: 'acme-removals.example',
+  website: 'https://www.acme-removals.example',
+  email: 'office@acme-removals.example',
+  phones: { office: { label: 'Tel', display: '0161 496 0000', e164: '+441614960000' }, mobile: business.phones.mobile },
+};
+
+const tenants = {
+  'north-london': { default: true, business, pricing, serviceArea, origins: null, apiKeyEnv: 'TEST_NORTH_KEY', storagePrefix: '' },
+  acme: {
+    business: partnerBusiness,
+    pricing,
+    serviceArea: { base: 'M1 1AE', radiusMiles: 30 },
+    appUrl: 'https://quotes.acme-removals.example',
+    origins: ['https://www.acme-removals.example'],
+    apiKeyEnv: 'TEST_ACME_KEY',
+    storagePrefix: 'tenants/acme/',
+  },
+};
+
+test('resolves the tenant from the API key or the request origin', () => {
+  process.env.TEST_ACME_KEY = 'acme-secret';
+
+  assert.strictEqual(resolveTenant({ headers: { 'x-api-key': 'acme-secret' } }, tenants).tenant.id, 'acme');
+  assert.strictEqual(resolveTenant({ headers: { 'x-api-key': 'wrong' } }, tenants).reason, 'api_key_not_recognised');
+  assert.strictEqual(resolveTenant({ headers: { origin: 'https://www.acme-removals.example' } }, tenants).tenant.id, 'acme');
+  assert.strictEqual(resolveTenant({ headers: { origin: business.website } }, tenants).tenant.id, 'north-london');
+  assert.strictEqual(resolveTenant({ headers: { origin: 'https://evil.example' } }, tenants).reason, 'origin_not_allowed');
+  assert.strictEqual(resolveTenant({ headers: {} }, tenants).tenant.id, 'north-london');
+
+  delete process.env.TEST_ACME_KEY;
+});
+
+test('maps quotes back to their tenant and prefixes storage paths', () => {
+  const acme = tenantForQuote({ tenant_id: 'acme' }, tenants);
+  assert.strictEqual(acme.business.name, 'Acme Removals');
+  assert.strictEqual(storagePath(acme, 'job-sheets/a.pdf'), 'tenants/acme/job-sheets/a.pdf');
+  assert.strictEqual(tenantForQuote({ tenant_id: 'gone' }, tenants).id, 'north-london');
+  assert.strictEqual(tenantForQuote({}, tenants).id, 'north-london');
+});
+
+test('brands emails and calendar events per tenant', () => {
+  const data = {
+    fullname: 'Ann',
+    pianotype: 'Upright Piano',
+    pickup_postcode: 'M1 1AE',
+    pickup_steps: 0,
+    delivery_postcode: 'M2 3AB',
+    delivery_steps: 0,
+  };
+  const customerHtml = generateEmailForCustomer(data, 'https://example.com/acme.vcf', partnerBusiness);
+  assert.ok(customerHtml.includes('Why Choose Acme Removals?'));
+  assert.ok(customerHtml.includes('tel:+441614960000'));
+  assert.ok(!customerHtml.includes(business.name));
+
+  const quote = { job_ref: 'PMT-ABCD-EFGH', customer_name: 'Ann', piano_type: 'Upright Piano', pickup_postcode: 'M1 1AE', delivery_postcode: 'M2 3AB', move_date: '2026-11-02' };
+  assert.match(generateStatusEmailForCustomer(quote, 'completed', {}, partnerBusiness).subject, /^Thank you for choosing Acme Removals/);
+
+  const events = buildMoveEvents(quote, { tenant: tenantForQuote({ tenant_id: 'acme' }, tenants) });
+  const ics = events.customer.toString();
+  assert.ok(ics.includes('UID:PMT-ABCD-EFGH@acme-removals.example'));
+  assert.ok(ics.includes('Questions? Call 0161 496 0000.'));
+});
+
+test('links point at the tenant app', () => {
+  const secret = 'test-secret';
+  const acme = tenantForQuote({ tenant_id: 'acme' }, tenants);
+
+  assert.match(createBookingLink('PMT-ABCD-EFGH', { secret, appUrl: acme.appUrl }).url, /^https:\/\/quotes\.acme-removals\.example\/booking\.html\?/);
+  assert.match(createJobSheetLink('PMT-ABCD-EFGH', { secret, appUrl: acme.appUrl }).url, /^https:\/\/quotes\.acme-removals\.example\/api\/job-sheet\/PMT-ABCD-EFGH\?/);
+  assert.ok(generateJobFailedEmail({ job_ref: 'PMT-ABCD-EFGH', kind: 'office_email', attempts: 6 }, acme.business, acme.appUrl)
+    .includes('https://quotes.acme-removals.example/ops.html?jobRef=PMT-ABCD-EFGH'));
+  assert.strictEqual(tenantForQuote({ tenant_id: 'north-london' }).appUrl, process.env.APP_URL || business.website);
+});
+
+test('checks piano types and prices against the tenant pricing', () => {
+  const eurPricing = {
+    ...pricing,
+    currency: 'EUR',
+    pianoTypes: { ...pricing.pianoTypes, harpsichord: { label: 'Harpsichord', base: 300, perStep: 4, hours: 3 } },
+  };
+  const request = { fullname: 'Ann Example', email: 'ann@example.com', phone: '07700 900123', pickup_postcode: 'M1 1AE', delivery_postcode: 'M2 3AB' };
+
+  assert.strictEqual(validate(quoteSchemaFor(eurPricing), { ...request, pianotype: 'harpsichord' }).value.pianotype, 'Harpsichord');
+  assert.deepStrictEqual(validate(quoteSchemaFor(pricing), { ...request, pianotype: 'harpsichord' }).errors.map(error => error.field), ['pianotype']);
+
+  const quote = { job_ref: 'PMT-ABCD-EFGH', customer_name: 'Ann', piano_type: 'Harpsichord', pickup_postcode: 'M1 1AE', delivery_postcode: 'M2 3AB', quoted_price: 350 };
+  assert.ok(generateStatusEmailForCustomer(quote, 'quoted', { price: 350, currency: 'EUR' }, partnerBusiness).html.includes('€350'));
+  assert.ok(generateStatusEmailForCustomer(quote, 'quoted', { price: 350 }, partnerBusiness).html.includes('£350'));
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quoteSchema, statusChangeSchema, validate } = require('../lib/validation');
+
+test('normalises a valid quote request', () => {
+  const { value, errors } = validate(quoteSchema, {
+    fullname: '  Ann Example ',
+    email: 'Ann@Example.COM',
+    phone: '+44 (0)7700 900-123',
+    pianotype: 'upright',
+    pickup_postcode: '1 High   Road, london n13 6hs',
+    pickup_steps: '4',
+    delivery_postcode: '2 Low Road, Enfield EN27AB',
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value, {
+    fullname: 'Ann Example',
+    email: 'ann@example.com',
+    phone: '+447700900123',
+    pianotype: 'Upright Piano',
+    pickup_postcode: '1 High Road, london N13 6HS',
+    pickup_steps: 4,
+    delivery_postcode: '2 Low Road, Enfield EN2 7AB',
+    delivery_steps: 0,
+    attachments: [],
+  });
+});
+
+test('reports every invalid quote field', () => {
+  const { errors } = validate(quoteSchema, {
+    fullname: 'A',
+    email: 'ann@',
+    phone: '12345',
+    pianotype: 'Harpsichord',
+    pickup_postcode: 'Somewhere nice',
+    pickup_steps: 2.5,
+    delivery_steps: 400,
+    move_date: '2026-02-30',
+    attachments: [{ filename: 'a.png', content: 'not base64!' }],
+  });
+
+  assert.deepStrictEqual(Object.fromEntries(errors.map(error => [error.field, error.message])), {
+    fullname: 'Must be at least 2 characters',
+    email: 'Enter a valid email address',
+    phone: 'Enter a valid phone number, including the country code if it is outside the UK',
+    pianotype: 'Must be one of: Digital Piano, Upright Piano, Baby Grand Piano, Grand Piano, Concert Grand Piano, Other / Not specified',
+    pickup_postcode: 'Include a valid UK postcode',
+    pickup_steps: 'Must be a whole number',
+    delivery_postcode: 'This field is required',
+    delivery_steps: 'Must be between 0 and 300',
+    move_date: 'Enter a valid date',
+    attachments: 'Item 1: File content must be base64 encoded',
+  });
+});
+
+test('treats a missing body as empty and checks types', () => {
+  assert.strictEqual(validate(quoteSchema, null).errors.length, 5);
+
+  const { errors } = validate(statusChangeSchema, { jobRef: 'PMT-1', status: 'booked', changedBy: 'Office', notifyCustomer: 'yes', price: 'cheap' });
+  assert.deepStrictEqual(errors, [
+    { field: 'price', message: 'Must be a number' },
+    { field: 'notifyCustomer', message: 'Must be true or false' },
+  ]);
+});
+
+test('accepts only numbers and numeric strings for numeric fields', () => {
+  const base = { fullname: 'Ann Example', email: 'ann@example.com', phone: '07700 900123', pickup_postcode: 'N13 6HS', delivery_postcode: 'EN2 7AB' };
+  const steps = value => validate(quoteSchema, { ...base, pickup_steps: value });
+
+  assert.strictEqual(steps('12').value.pickup_steps, 12);
+  assert.strictEqual(steps(3).value.pickup_steps, 3);
+  for (const value of [true, false, [], {}, '0x10', '1e2', ' 4 5 ', '3.5']) {
+    assert.deepStrictEqual(steps(value).errors, [{ field: 'pickup_steps', message: 'Must be a whole number' }], String(value));
+  }
+
+  assert.strictEqual(validate(statusChangeSchema, { jobRef: 'PMT-1', status: 'quoted', changedBy: 'Office', price: '240.50' }).value.price, 240.5);
+  assert.deepStrictEqual(validate(statusChangeSchema, { jobRef: 'PMT-1', status: 'quoted', changedBy: 'Office', price: true }).errors, [{ field: 'price', message: 'Must be a number' }]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const business = require('../config/business');
+const { generateVCard, vcardFileName } = require('../lib/vcard');
+const { generateEmailForCustomer } = require('../lib/emails');
+
+test('public contact card is built from the business profile', () => {
+  const published = fs.readFileSync(path.join(__dirname, '..', 'public', 'contact.vcf'));
+  assert.ok(published.equals(generateVCard()), 'run npm run build:vcf after changing config/business.js');
+});
+
+test('contact card lists every phone number and escapes values', () => {
+  const card = generateVCard({ ...business, name: 'Smith, Jones; Sons' }).toString();
+
+  for (const phone of Object.values(business.phones)) {
+    assert.ok(card.includes(`:${phone.e164}\r\n`));
+  }
+  assert.ok(card.includes('FN:Smith\\, Jones\\; Sons\r\n'));
+  assert.strictEqual(vcardFileName({ name: 'Smith, Jones & Sons' }), 'Smith-Jones-Sons.vcf');
+});
+
+test('customer email uses the business profile contact details', () => {
+  const html = generateEmailForCustomer({
+    fullname: 'Ann',
+    pianotype: 'Upright Piano',
+    pickup_postcode: 'N13 6HS',
+    pickup_steps: 0,
+    delivery_postcode: 'EN2 7AB',
+    delivery_steps: 0,
+  }, 'https://example.com/card.vcf');
+
+  assert.ok(html.includes(`tel:${business.phones.office.e164}`));
+  assert.ok(html.includes(`mailto:${business.email}?`));
+  assert.ok(html.includes(`download="${vcardFileName()}"`));
+  assert.ok(html.includes(`Why Choose ${business.name}?`));
+});